@@ -0,0 +1,299 @@
+// dev/mock-exchange.js
+// Offline stand-in for the Binance spot trading API, for testing the broker
+// adapter and the Connect flow without network access or real keys. Balances,
+// orders and prices live in memory and reset on restart. No dependencies.
+//
+//   node dev/mock-exchange.js [--port 8788] [--key mock-key] [--secret mock-secret]
+//                             [--balance 10000] [--skew 0]
+//
+// Then run the functions against it:
+//
+//   BINANCE_TRADE_BASE_URL=http://localhost:8788 BINANCE_API_KEY=mock-key \
+//   BINANCE_API_SECRET=mock-secret netlify dev
+//
+//   --balance N   starting USDT balance
+//   --skew MS     run the exchange clock MS ahead, so the adapter has to
+//                 resync its timestamps after a -1021 error
+//
+// Serves GET /api/v3/time, /api/v3/exchangeInfo and /api/v3/ticker/price, and
+// the signed GET /api/v3/account, /api/v3/openOrders and GET/POST/DELETE
+// /api/v3/order with parameters in the query string. Signatures, recvWindow,
+// lot/tick/notional filters and balances are checked the way Binance does,
+// with its error codes. Market orders fill at once; limit and stop orders
+// rest until the simulated price crosses them.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = Number(args.port) || 8788;
+const API_KEY = args.key || 'mock-key';
+const API_SECRET = args.secret || 'mock-secret';
+const START_BALANCE = Number(args.balance) || 10000;
+const SKEW_MS = Number(args.skew) || 0;
+
+const TICK_MS = 1000;
+const FEE = 0.001;          // taker and maker, taken from the asset received
+const SLIPPAGE = 0.0005;    // market orders fill this far through the price
+const MIN_NOTIONAL = 5;
+const START_PRICES = { BTCUSDT: 65000, ETHUSDT: 3200, SOLUSDT: 150, BNBUSDT: 580, XRPUSDT: 0.6, DOGEUSDT: 0.15 };
+
+const now = () => Date.now() + SKEW_MS;
+const balances = new Map([['USDT', { free: START_BALANCE, locked: 0 }]]);
+const orders = new Map();
+let nextOrderId = 1;
+
+// ============ MARKETS ============
+const markets = new Map(Object.entries(START_PRICES).map(([symbol, price]) => {
+  const tickSize = Math.pow(10, Math.floor(Math.log10(price)) - 4);
+  const stepSize = Math.pow(10, -Math.max(0, Math.ceil(Math.log10(price))));
+  return [symbol, { symbol, base: symbol.slice(0, -4), quote: 'USDT', price, tickSize, stepSize }];
+}));
+
+function symbolInfo(m) {
+  const decimals = step => Math.max(0, Math.round(-Math.log10(step))).toString();
+  return {
+    symbol: m.symbol,
+    status: 'TRADING',
+    baseAsset: m.base,
+    quoteAsset: m.quote,
+    orderTypes: ['LIMIT', 'LIMIT_MAKER', 'MARKET', 'STOP_LOSS', 'STOP_LOSS_LIMIT'],
+    filters: [
+      { filterType: 'PRICE_FILTER', minPrice: m.tickSize.toFixed(decimals(m.tickSize)), maxPrice: '1000000', tickSize: m.tickSize.toFixed(decimals(m.tickSize)) },
+      { filterType: 'LOT_SIZE', minQty: m.stepSize.toFixed(decimals(m.stepSize)), maxQty: '9000', stepSize: m.stepSize.toFixed(decimals(m.stepSize)) },
+      { filterType: 'NOTIONAL', minNotional: String(MIN_NOTIONAL), applyMinToMarket: true }
+    ]
+  };
+}
+
+function step() {
+  markets.forEach(m => {
+    m.price = Math.max(m.tickSize, m.price * (1 + (Math.random() - 0.5) * 0.002));
+  });
+  orders.forEach(o => {
+    if (o.status !== 'NEW') return;
+    const price = markets.get(o.symbol).price;
+    const limit = parseFloat(o.price), stop = parseFloat(o.stopPrice);
+    if (o.type === 'LIMIT' && (o.side === 'BUY' ? price <= limit : price >= limit)) fill(o, limit, true);
+    if (o.type === 'STOP_LOSS' && (o.side === 'BUY' ? price >= stop : price <= stop)) fill(o, price, true);
+  });
+}
+
+// ============ ACCOUNT ============
+function balance(asset) {
+  if (!balances.has(asset)) balances.set(asset, { free: 0, locked: 0 });
+  return balances.get(asset);
+}
+
+// What a resting order holds back: quote for buys, base for sells
+function reserve(o) {
+  const m = markets.get(o.symbol);
+  const qty = parseFloat(o.origQty);
+  return o.side === 'BUY'
+    ? { asset: m.quote, amount: qty * (parseFloat(o.price) || parseFloat(o.stopPrice)) }
+    : { asset: m.base, amount: qty };
+}
+
+// reserved: the order was resting and holds its reserve until now
+function fill(o, price, reserved = false) {
+  const m = markets.get(o.symbol);
+  const qty = parseFloat(o.origQty);
+  const quote = qty * price;
+
+  if (reserved) {
+    const r = reserve(o);
+    balance(r.asset).locked -= r.amount;
+    balance(r.asset).free += r.amount;
+  }
+  if (o.side === 'BUY') {
+    balance(m.quote).free -= quote;
+    balance(m.base).free += qty * (1 - FEE);
+  } else {
+    balance(m.base).free -= qty;
+    balance(m.quote).free += quote * (1 - FEE);
+  }
+
+  o.status = 'FILLED';
+  o.executedQty = o.origQty;
+  o.cummulativeQuoteQty = quote.toFixed(8);
+  o.updateTime = now();
+  o.fills = [{ price: price.toFixed(8), qty: o.origQty, commission: ((o.side === 'BUY' ? qty : quote) * FEE).toFixed(8), commissionAsset: o.side === 'BUY' ? m.base : m.quote }];
+}
+
+function placeOrder(q) {
+  const m = markets.get(String(q.symbol || '').toUpperCase());
+  if (!m) return [400, { code: -1121, msg: 'Invalid symbol.' }];
+  const side = q.side, type = q.type;
+  if (side !== 'BUY' && side !== 'SELL') return [400, { code: -1102, msg: 'Mandatory parameter \'side\' was not sent, was empty/null, or malformed.' }];
+  if (!['MARKET', 'LIMIT', 'STOP_LOSS'].includes(type)) return [400, { code: -1116, msg: 'Invalid orderType.' }];
+  if (type === 'LIMIT' && q.timeInForce !== 'GTC') return [400, { code: -1102, msg: 'Mandatory parameter \'timeInForce\' was not sent, was empty/null, or malformed.' }];
+
+  const qty = parseFloat(q.quantity);
+  const limit = parseFloat(q.price), stop = parseFloat(q.stopPrice);
+  if (!(qty > 0)) return [400, { code: -1102, msg: 'Mandatory parameter \'quantity\' was not sent, was empty/null, or malformed.' }];
+  if (type === 'LIMIT' && !(limit > 0)) return [400, { code: -1102, msg: 'Mandatory parameter \'price\' was not sent, was empty/null, or malformed.' }];
+  if (type === 'STOP_LOSS' && !(stop > 0)) return [400, { code: -1102, msg: 'Mandatory parameter \'stopPrice\' was not sent, was empty/null, or malformed.' }];
+  if (!onGrid(qty, m.stepSize)) return [400, { code: -1013, msg: 'Filter failure: LOT_SIZE' }];
+  if ((limit > 0 && !onGrid(limit, m.tickSize)) || (stop > 0 && !onGrid(stop, m.tickSize))) return [400, { code: -1013, msg: 'Filter failure: PRICE_FILTER' }];
+
+  const ref = type === 'LIMIT' ? limit : type === 'STOP_LOSS' ? stop : m.price;
+  if (qty * ref < MIN_NOTIONAL) return [400, { code: -1013, msg: 'Filter failure: NOTIONAL' }];
+  if (type === 'STOP_LOSS' && (side === 'BUY' ? stop <= m.price : stop >= m.price)) {
+    return [400, { code: -2010, msg: 'Stop price would trigger immediately.' }];
+  }
+
+  const o = {
+    symbol: m.symbol,
+    orderId: nextOrderId++,
+    clientOrderId: q.newClientOrderId || `mock${crypto.randomBytes(8).toString('hex')}`,
+    transactTime: now(),
+    price: type === 'LIMIT' ? q.price : '0.00000000',
+    origQty: q.quantity,
+    executedQty: '0.00000000',
+    cummulativeQuoteQty: '0.00000000',
+    status: 'NEW',
+    timeInForce: q.timeInForce || 'GTC',
+    type,
+    side,
+    stopPrice: type === 'STOP_LOSS' ? q.stopPrice : '0.00000000',
+    time: now(),
+    updateTime: now(),
+    fills: []
+  };
+
+  const fillPrice = m.price * (1 + (side === 'BUY' ? SLIPPAGE : -SLIPPAGE));
+  const needs = type === 'MARKET'
+    ? (side === 'BUY' ? { asset: m.quote, amount: qty * fillPrice } : { asset: m.base, amount: qty })
+    : reserve(o);
+  if (balance(needs.asset).free < needs.amount) {
+    return [400, { code: -2010, msg: 'Account has insufficient balance for requested action.' }];
+  }
+
+  if (type === 'MARKET') {
+    fill(o, fillPrice);
+  } else if (type === 'LIMIT' && (side === 'BUY' ? limit >= m.price : limit <= m.price)) {
+    // A marketable limit fills now at the better of its price and the market
+    fill(o, side === 'BUY' ? Math.min(limit, m.price) : Math.max(limit, m.price));
+  } else {
+    balance(needs.asset).free -= needs.amount;
+    balance(needs.asset).locked += needs.amount;
+  }
+  orders.set(o.orderId, o);
+  return [200, o];
+}
+
+function cancelOrder(q) {
+  const o = orders.get(Number(q.orderId));
+  if (!o || o.symbol !== String(q.symbol).toUpperCase()) return [400, { code: -2011, msg: 'Unknown order sent.' }];
+  if (o.status !== 'NEW') return [400, { code: -2011, msg: 'Unknown order sent.' }];
+  const r = reserve(o);
+  balance(r.asset).locked -= r.amount;
+  balance(r.asset).free += r.amount;
+  o.status = 'CANCELED';
+  o.updateTime = now();
+  return [200, o];
+}
+
+// ============ REQUEST SIGNING ============
+// Returns an error response, or null when the key, signature and timestamp
+// all check out. The signature covers the raw query string before it.
+function checkSignature(req, rawQuery, q) {
+  const key = req.headers['x-mbx-apikey'];
+  if (!key) return [401, { code: -2014, msg: 'API-key format invalid.' }];
+  if (key !== API_KEY) return [401, { code: -2015, msg: 'Invalid API-key, IP, or permissions for action.' }];
+
+  const at = rawQuery.lastIndexOf('&signature=');
+  const payload = at >= 0 ? rawQuery.slice(0, at) : rawQuery;
+  const expected = crypto.createHmac('sha256', API_SECRET).update(payload).digest('hex');
+  if (!q.signature || q.signature !== expected) {
+    return [400, { code: -1022, msg: 'Signature for this request is not valid.' }];
+  }
+
+  const recvWindow = Number(q.recvWindow) || 5000;
+  const timestamp = Number(q.timestamp);
+  if (!timestamp || timestamp > now() + 1000 || now() - timestamp > recvWindow) {
+    return [400, { code: -1021, msg: 'Timestamp for this request is outside of the recvWindow.' }];
+  }
+  return null;
+}
+
+// ============ HTTP ============
+const server = http.createServer((req, res) => {
+  const rawQuery = (req.url.split('?')[1] || '');
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const q = Object.fromEntries(url.searchParams);
+  const send = ([status, body]) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end(JSON.stringify(body));
+  };
+  const route = `${req.method} ${url.pathname}`;
+
+  if (route === 'GET /api/v3/ping') return send([200, {}]);
+  if (route === 'GET /api/v3/time') return send([200, { serverTime: now() }]);
+
+  if (route === 'GET /api/v3/exchangeInfo') {
+    const list = q.symbol ? [markets.get(q.symbol.toUpperCase())] : [...markets.values()];
+    if (list.some(m => !m)) return send([400, { code: -1121, msg: 'Invalid symbol.' }]);
+    return send([200, { timezone: 'UTC', serverTime: now(), symbols: list.map(symbolInfo) }]);
+  }
+
+  if (route === 'GET /api/v3/ticker/price') {
+    const price = m => ({ symbol: m.symbol, price: m.price.toFixed(8) });
+    if (!q.symbol) return send([200, [...markets.values()].map(price)]);
+    const m = markets.get(q.symbol.toUpperCase());
+    return send(m ? [200, price(m)] : [400, { code: -1121, msg: 'Invalid symbol.' }]);
+  }
+
+  const signed = ['GET /api/v3/account', 'GET /api/v3/openOrders', 'GET /api/v3/order', 'POST /api/v3/order', 'DELETE /api/v3/order'];
+  if (!signed.includes(route)) return send([404, { code: -1, msg: 'Not found' }]);
+  const denied = checkSignature(req, rawQuery, q);
+  if (denied) return send(denied);
+
+  if (route === 'GET /api/v3/account') {
+    return send([200, {
+      makerCommission: FEE * 10000,
+      takerCommission: FEE * 10000,
+      commissionRates: { maker: FEE.toFixed(8), taker: FEE.toFixed(8), buyer: '0.00000000', seller: '0.00000000' },
+      canTrade: true,
+      canWithdraw: false,
+      canDeposit: false,
+      updateTime: now(),
+      accountType: 'SPOT',
+      balances: [...balances.entries()].map(([asset, b]) => ({ asset, free: b.free.toFixed(8), locked: b.locked.toFixed(8) })),
+      permissions: ['SPOT']
+    }]);
+  }
+
+  if (route === 'GET /api/v3/openOrders') {
+    return send([200, [...orders.values()].filter(o => o.status === 'NEW' && (!q.symbol || o.symbol === q.symbol.toUpperCase()))]);
+  }
+
+  if (route === 'GET /api/v3/order') {
+    const o = orders.get(Number(q.orderId));
+    return send(o && o.symbol === String(q.symbol).toUpperCase() ? [200, o] : [400, { code: -2013, msg: 'Order does not exist.' }]);
+  }
+
+  if (route === 'POST /api/v3/order') return send(placeOrder(q));
+  if (route === 'DELETE /api/v3/order') return send(cancelOrder(q));
+});
+
+// ============ HELPER FUNCTIONS ============
+function onGrid(value, step) {
+  const n = value / step;
+  return Math.abs(n - Math.round(n)) < 1e-6;
+}
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) out[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+  }
+  return out;
+}
+
+setInterval(step, TICK_MS);
+
+server.listen(PORT, () => {
+  console.log(`Mock Binance exchange on http://localhost:${PORT}, key "${API_KEY}", ${START_BALANCE} USDT` +
+    (SKEW_MS ? `, clock ${SKEW_MS}ms ahead` : ''));
+});
@@ -0,0 +1,309 @@
+// dev/mock-stream.js
+// Offline stand-in for the Binance spot REST and WebSocket APIs, for testing
+// streaming mode without network access. No dependencies: plain http plus
+// the WebSocket handshake and framing done by hand.
+//
+//   node dev/mock-stream.js [--port 8787] [--speed 60] [--gap-every 0] [--drop-after 0]
+//
+// Then enter http://localhost:8787 as the stream server in Settings, and
+// optionally run `BINANCE_BASE_URL=http://localhost:8787 netlify dev` so
+// market-data loads its candles from here too.
+//
+//   --speed N       the mock clock runs N times faster than real time, so
+//                   1H candles close every 60 s at the default of 60
+//   --gap-every N   skip every Nth depth diff per client to force a resync
+//   --drop-after S  close every socket after S seconds to force a reconnect
+//
+// Serves GET /api/v3/depth, /api/v3/klines and /api/v3/ticker/24hr, and
+// combined streams on /stream?streams=a/b/c (or /ws/<stream>) for
+// <symbol>@ticker, <symbol>@kline_<interval> and <symbol>@depth[@100ms].
+
+const http = require('http');
+const crypto = require('crypto');
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = Number(args.port) || 8787;
+const SPEED = Number(args.speed) || 60;
+const GAP_EVERY = Number(args['gap-every']) || 0;
+const DROP_AFTER = Number(args['drop-after']) || 0;
+
+const TICK_MS = 100;
+const BOOK_DEPTH = 100;
+const HISTORY_BARS = 1000;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const INTERVAL_MS = { '1m': 60e3, '5m': 300e3, '15m': 900e3, '1h': 3600e3, '4h': 14400e3, '1d': 86400e3, '1w': 604800e3 };
+const START_PRICES = { BTCUSDT: 65000, ETHUSDT: 3200, SOLUSDT: 150, BNBUSDT: 580, XRPUSDT: 0.6, DOGEUSDT: 0.15 };
+
+const started = Date.now();
+const clock = () => started + (Date.now() - started) * SPEED;
+const markets = new Map();
+const clients = new Set();
+
+// ============ MARKET SIMULATION ============
+function market(symbol) {
+  if (!markets.has(symbol)) {
+    const price = START_PRICES[symbol] || 100;
+    const tick = Math.pow(10, Math.floor(Math.log10(price)) - 4);
+    markets.set(symbol, {
+      symbol, price, tick,
+      decimals: Math.max(0, -Math.round(Math.log10(tick))),
+      open24h: price, high24h: price, low24h: price, volume24h: 0,
+      updateId: 1000, bids: new Map(), asks: new Map(),
+      series: {}
+    });
+    rebuildBook(markets.get(symbol));
+  }
+  return markets.get(symbol);
+}
+
+// Levels sit on the tick grid around the price; returns the changed levels
+// (qty '0' for removed ones) in depthUpdate form
+function rebuildBook(m) {
+  const mid = Math.round(m.price / m.tick);
+  const fmt = i => (i * m.tick).toFixed(m.decimals);
+  const diff = { b: [], a: [] };
+
+  [['bids', 'b', -1], ['asks', 'a', 1]].forEach(([side, key, dir]) => {
+    const next = new Map();
+    for (let i = 1; i <= BOOK_DEPTH; i++) {
+      const price = fmt(mid + dir * i);
+      const old = m[side].get(price);
+      const qty = old && Math.random() > 0.05 ? old : (Math.random() * 5 * (1 + i / 20)).toFixed(4);
+      next.set(price, qty);
+      if (qty !== old) diff[key].push([price, qty]);
+    }
+    m[side].forEach((_, price) => { if (!next.has(price)) diff[key].push([price, '0']); });
+    m[side] = next;
+  });
+  return diff;
+}
+
+function seriesFor(m, interval) {
+  if (!m.series[interval]) {
+    const ms = INTERVAL_MS[interval];
+    const openTime = Math.floor(clock() / ms) * ms;
+    // Walk backwards from the current price so history ends where live starts
+    const closed = [];
+    let close = m.price;
+    for (let i = 1; i <= HISTORY_BARS; i++) {
+      const open = close * (1 + (Math.random() - 0.5) * 0.01);
+      closed.unshift({
+        t: openTime - i * ms, o: open, c: close,
+        h: Math.max(open, close) * (1 + Math.random() * 0.003),
+        l: Math.min(open, close) * (1 - Math.random() * 0.003),
+        v: Math.random() * 100
+      });
+      close = open;
+    }
+    m.series[interval] = { closed, forming: { t: openTime, o: m.price, h: m.price, l: m.price, c: m.price, v: 0 } };
+  }
+  return m.series[interval];
+}
+
+function step(m) {
+  m.price = Math.max(m.tick, m.price * (1 + (Math.random() - 0.5) * 0.0008));
+  const qty = Math.random() * 0.5;
+  m.high24h = Math.max(m.high24h, m.price);
+  m.low24h = Math.min(m.low24h, m.price);
+  m.volume24h += qty;
+
+  const diff = rebuildBook(m);
+  const first = m.updateId + 1;
+  m.updateId += 1 + Math.floor(Math.random() * 3);
+  const now = clock();
+  broadcast(`${m.symbol.toLowerCase()}@depth`, { e: 'depthUpdate', E: now, s: m.symbol, U: first, u: m.updateId, b: diff.b, a: diff.a });
+
+  Object.entries(m.series).forEach(([interval, s]) => {
+    const ms = INTERVAL_MS[interval];
+    const f = s.forming;
+    if (now >= f.t + ms) {
+      broadcast(`${m.symbol.toLowerCase()}@kline_${interval}`, klineEvent(m, interval, f, true));
+      s.closed.push(f);
+      if (s.closed.length > HISTORY_BARS) s.closed.shift();
+      s.forming = { t: Math.floor(now / ms) * ms, o: f.c, h: Math.max(f.c, m.price), l: Math.min(f.c, m.price), c: m.price, v: qty };
+    } else {
+      f.c = m.price;
+      f.h = Math.max(f.h, m.price);
+      f.l = Math.min(f.l, m.price);
+      f.v += qty;
+    }
+    broadcast(`${m.symbol.toLowerCase()}@kline_${interval}`, klineEvent(m, interval, s.forming, false));
+  });
+}
+
+function tickerEvent(m) {
+  const f = v => v.toFixed(m.decimals);
+  return {
+    e: '24hrTicker', E: clock(), s: m.symbol,
+    p: f(m.price - m.open24h), P: ((m.price / m.open24h - 1) * 100).toFixed(3),
+    c: f(m.price), o: f(m.open24h), h: f(m.high24h), l: f(m.low24h),
+    v: m.volume24h.toFixed(4), q: (m.volume24h * m.price).toFixed(2),
+    b: [...m.bids.keys()][0], a: [...m.asks.keys()][0]
+  };
+}
+
+function klineEvent(m, interval, k, closed) {
+  const f = v => v.toFixed(m.decimals);
+  return {
+    e: 'kline', E: clock(), s: m.symbol,
+    k: { t: k.t, T: k.t + INTERVAL_MS[interval] - 1, s: m.symbol, i: interval, o: f(k.o), c: f(k.c), h: f(k.h), l: f(k.l), v: k.v.toFixed(4), x: closed }
+  };
+}
+
+setInterval(() => {
+  const active = new Set();
+  clients.forEach(c => c.streams.forEach(s => active.add(s.split('@')[0].toUpperCase())));
+  active.forEach(symbol => {
+    const m = market(symbol);
+    clients.forEach(c => c.streams.forEach(s => {
+      const [name, kind] = s.split('@');
+      if (name.toUpperCase() === symbol && kind.startsWith('kline_')) seriesFor(m, kind.slice(6));
+    }));
+    step(m);
+  });
+}, TICK_MS);
+
+setInterval(() => markets.forEach(m => broadcast(`${m.symbol.toLowerCase()}@ticker`, tickerEvent(m))), 1000);
+
+// ============ REST ============
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const q = Object.fromEntries(url.searchParams);
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end(JSON.stringify(body));
+  };
+  if (!q.symbol && url.pathname.startsWith('/api/')) return send(400, { code: -1102, msg: 'Mandatory parameter \'symbol\' was not sent' });
+
+  if (url.pathname === '/api/v3/depth') {
+    const m = market(q.symbol.toUpperCase());
+    const limit = Math.min(Number(q.limit) || 100, 5000);
+    return send(200, {
+      lastUpdateId: m.updateId,
+      bids: [...m.bids.entries()].slice(0, limit),
+      asks: [...m.asks.entries()].slice(0, limit)
+    });
+  }
+
+  if (url.pathname === '/api/v3/klines') {
+    if (!INTERVAL_MS[q.interval]) return send(400, { code: -1120, msg: 'Invalid interval.' });
+    const m = market(q.symbol.toUpperCase());
+    const s = seriesFor(m, q.interval);
+    let rows = [...s.closed, s.forming];
+    if (q.startTime) rows = rows.filter(k => k.t >= Number(q.startTime));
+    if (q.endTime) rows = rows.filter(k => k.t <= Number(q.endTime));
+    const limit = Math.min(Number(q.limit) || 500, 1000);
+    rows = q.startTime ? rows.slice(0, limit) : rows.slice(-limit);
+    const f = v => v.toFixed(m.decimals);
+    return send(200, rows.map(k => [k.t, f(k.o), f(k.h), f(k.l), f(k.c), k.v.toFixed(4), k.t + INTERVAL_MS[q.interval] - 1]));
+  }
+
+  if (url.pathname === '/api/v3/ticker/24hr') {
+    const t = tickerEvent(market(q.symbol.toUpperCase()));
+    return send(200, {
+      symbol: t.s, priceChange: t.p, priceChangePercent: t.P, lastPrice: t.c, openPrice: t.o,
+      highPrice: t.h, lowPrice: t.l, volume: t.v, quoteVolume: t.q, bidPrice: t.b, askPrice: t.a
+    });
+  }
+
+  send(404, { msg: 'Not found' });
+});
+
+// ============ WEBSOCKET ============
+server.on('upgrade', (req, socket) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const streams = url.pathname === '/stream'
+    ? (url.searchParams.get('streams') || '').split('/').filter(Boolean)
+    : url.pathname.startsWith('/ws/') ? [url.pathname.slice(4)] : [];
+  const key = req.headers['sec-websocket-key'];
+  if (!key || streams.length === 0) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+  // Depth streams are keyed without the speed suffix: btcusdt@depth@100ms -> btcusdt@depth
+  const client = { socket, streams: streams.map(s => s.toLowerCase().replace(/@depth(@\d+ms)?$/, '@depth')), combined: url.pathname === '/stream', sent: 0, buffer: Buffer.alloc(0) };
+  clients.add(client);
+  console.log(`client connected: ${client.streams.join(', ')}`);
+
+  const drop = DROP_AFTER > 0 ? setTimeout(() => closeClient(client, 1001), DROP_AFTER * 1000) : null;
+  socket.on('data', chunk => readFrames(client, chunk));
+  socket.on('close', () => {
+    clearTimeout(drop);
+    clients.delete(client);
+  });
+  socket.on('error', () => clients.delete(client));
+});
+
+function broadcast(stream, data) {
+  clients.forEach(c => {
+    if (!c.streams.includes(stream)) return;
+    if (GAP_EVERY > 0 && data.e === 'depthUpdate' && ++c.sent % GAP_EVERY === 0) return;
+    sendFrame(c.socket, 0x1, Buffer.from(JSON.stringify(c.combined ? { stream, data } : data)));
+  });
+}
+
+// Server frames are never masked
+function sendFrame(socket, opcode, payload) {
+  if (socket.destroyed) return;
+  const len = payload.length;
+  const header = len < 126 ? Buffer.from([0x80 | opcode, len])
+    : len < 65536 ? Buffer.from([0x80 | opcode, 126, len >> 8, len & 0xff])
+      : Buffer.concat([Buffer.from([0x80 | opcode, 127]), bigLength(len)]);
+  socket.write(Buffer.concat([header, payload]));
+}
+
+function bigLength(len) {
+  const b = Buffer.alloc(8);
+  b.writeBigUInt64BE(BigInt(len));
+  return b;
+}
+
+// Client frames are always masked; only close and ping need an answer
+function readFrames(client, chunk) {
+  client.buffer = Buffer.concat([client.buffer, chunk]);
+  while (client.buffer.length >= 2) {
+    const b = client.buffer;
+    const opcode = b[0] & 0x0f;
+    let len = b[1] & 0x7f;
+    let offset = 2;
+    if (len === 126) { if (b.length < 4) return; len = b.readUInt16BE(2); offset = 4; }
+    else if (len === 127) { if (b.length < 10) return; len = Number(b.readBigUInt64BE(2)); offset = 10; }
+    const masked = (b[1] & 0x80) !== 0;
+    const end = offset + (masked ? 4 : 0) + len;
+    if (b.length < end) return;
+
+    const mask = masked ? b.slice(offset, offset + 4) : null;
+    const payload = Buffer.from(b.slice(end - len, end));
+    if (mask) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    client.buffer = b.slice(end);
+
+    if (opcode === 0x8) return closeClient(client, 1000);
+    if (opcode === 0x9) sendFrame(client.socket, 0xA, payload);
+  }
+}
+
+function closeClient(client, code) {
+  const payload = Buffer.from([code >> 8, code & 0xff]);
+  sendFrame(client.socket, 0x8, payload);
+  client.socket.end();
+  clients.delete(client);
+}
+
+// ============ HELPER FUNCTIONS ============
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) out[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+  }
+  return out;
+}
+
+server.listen(PORT, () => {
+  console.log(`Mock Binance on http://localhost:${PORT} (ws://localhost:${PORT}/stream), clock x${SPEED}` +
+    (GAP_EVERY ? `, dropping every ${GAP_EVERY}th depth diff` : '') +
+    (DROP_AFTER ? `, closing sockets after ${DROP_AFTER}s` : ''));
+});
@@ -0,0 +1,206 @@
+// js/alerts.js
+// Price and indicator alerts evaluated against market-data payloads. Loaded
+// by index.html as window.Alerts and requireable from Node.
+//
+// Alerts fire on transitions, not levels: each alert keeps the last reading
+// it saw in `state`, the first evaluation only records it, and a condition
+// that stays true does not fire again. A 'once' alert disarms after firing;
+// a 'rearm' alert stays armed and fires on the next fresh transition.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Alerts = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const TYPES = {
+    'price-cross': {
+      label: 'Price crosses level',
+      defaults: { level: null, direction: 'any' },  // 'above' | 'below' | 'any'
+      read: data => ({ price: data.price }),
+      check: (p, prev, cur) => {
+        if (!(p.level > 0)) return null;
+        const up = prev.price < p.level && cur.price >= p.level;
+        const down = prev.price > p.level && cur.price <= p.level;
+        if (up && p.direction !== 'below') return `crossed above ${p.level}`;
+        if (down && p.direction !== 'above') return `crossed below ${p.level}`;
+        return null;
+      }
+    },
+    'rsi-zone': {
+      label: 'RSI leaves range',
+      defaults: { lower: 30, upper: 70 },
+      read: data => ({ rsi: data.indicators?.rsi }),
+      check: (p, prev, cur) => {
+        if (prev.rsi == null || cur.rsi == null) return null;
+        if (prev.rsi >= p.lower && cur.rsi < p.lower) return `RSI fell below ${p.lower} (${cur.rsi.toFixed(1)})`;
+        if (prev.rsi <= p.upper && cur.rsi > p.upper) return `RSI rose above ${p.upper} (${cur.rsi.toFixed(1)})`;
+        return null;
+      }
+    },
+    'macd-sign': {
+      label: 'MACD histogram changes sign',
+      defaults: { direction: 'any' },  // 'positive' | 'negative' | 'any'
+      read: data => ({ histogram: data.indicators?.macd?.histogram }),
+      check: (p, prev, cur) => {
+        if (prev.histogram == null || cur.histogram == null) return null;
+        if (prev.histogram <= 0 && cur.histogram > 0 && p.direction !== 'negative') return 'MACD histogram turned positive';
+        if (prev.histogram >= 0 && cur.histogram < 0 && p.direction !== 'positive') return 'MACD histogram turned negative';
+        return null;
+      }
+    },
+    'level-touch': {
+      label: 'Price touches support/resistance',
+      defaults: { tolerancePct: 0.2, kind: 'any' },  // kind: 'support' | 'resistance' | 'any'
+      read: (data, p) => ({ touched: touchedLevel(data, p) }),
+      check: (p, prev, cur) => {
+        if (!cur.touched || (prev.touched && Math.abs(prev.touched.price - cur.touched.price) < 1e-9)) return null;
+        return `touched ${cur.touched.type} ${formatNumber(cur.touched.price)}`;
+      }
+    },
+    'change-24h': {
+      label: '24h change passes threshold',
+      defaults: { threshold: 5, direction: 'any' },  // 'up' | 'down' | 'any'
+      read: data => ({ change: data.changePercent }),
+      check: (p, prev, cur) => {
+        if (prev.change == null || cur.change == null) return null;
+        const up = prev.change < p.threshold && cur.change >= p.threshold;
+        const down = prev.change > -p.threshold && cur.change <= -p.threshold;
+        if (up && p.direction !== 'down') return `24h change reached +${cur.change.toFixed(2)}%`;
+        if (down && p.direction !== 'up') return `24h change reached ${cur.change.toFixed(2)}%`;
+        return null;
+      }
+    }
+  };
+
+  let counter = 0;
+
+  // spec: { symbol, timeframe, type, params, mode: 'once'|'rearm', note }
+  function createAlert(spec, now = Date.now()) {
+    const type = TYPES[spec.type];
+    if (!type) throw new Error(`Unknown alert type "${spec.type}"`);
+    if (!spec.symbol) throw new Error('Alert needs a symbol');
+
+    const params = { ...type.defaults, ...numericParams(spec.params || {}) };
+    if (spec.type === 'price-cross' && !(params.level > 0)) throw new Error('Price alerts need a level');
+
+    return {
+      id: `A${now.toString(36)}${(counter++).toString(36)}`,
+      symbol: spec.symbol.toUpperCase(),
+      timeframe: spec.timeframe || '1H',
+      type: spec.type,
+      params,
+      mode: spec.mode === 'rearm' ? 'rearm' : 'once',
+      note: spec.note || '',
+      armed: true,
+      state: null,
+      createdAt: now,
+      lastFiredAt: null,
+      fireCount: 0
+    };
+  }
+
+  // Returns { alert, event } where event is null unless the alert fired
+  function evaluate(alert, data, now = Date.now()) {
+    const type = TYPES[alert.type];
+    if (!type || !data || data.symbol !== alert.symbol) return { alert, event: null };
+
+    const cur = type.read(data, alert.params);
+    const next = { ...alert, state: cur };
+    if (!alert.armed || alert.state === null) return { alert: next, event: null };
+
+    const message = type.check(alert.params, alert.state, cur);
+    if (!message) return { alert: next, event: null };
+
+    next.lastFiredAt = now;
+    next.fireCount = alert.fireCount + 1;
+    if (alert.mode === 'once') next.armed = false;
+
+    return {
+      alert: next,
+      event: {
+        alertId: alert.id,
+        symbol: alert.symbol,
+        timeframe: alert.timeframe,
+        type: alert.type,
+        message: `${alert.symbol} ${message}`,
+        price: data.price,
+        note: alert.note,
+        time: now
+      }
+    };
+  }
+
+  // Evaluates every alert watching data.symbol on the given timeframe
+  function evaluateAll(alerts, data, timeframe, now = Date.now()) {
+    const events = [];
+    const updated = alerts.map(alert => {
+      if (alert.symbol !== data.symbol || alert.timeframe !== timeframe) return alert;
+      const result = evaluate(alert, data, now);
+      if (result.event) events.push(result.event);
+      return result.alert;
+    });
+    return { alerts: updated, events };
+  }
+
+  // Re-arming forgets the last reading so a condition that is already true
+  // does not fire the moment the alert comes back
+  function rearm(alert) {
+    return { ...alert, armed: true, state: null };
+  }
+
+  function disarm(alert) {
+    return { ...alert, armed: false };
+  }
+
+  // Distinct { symbol, timeframe } pairs that armed alerts need data for
+  function watchList(alerts) {
+    const seen = new Map();
+    alerts.filter(a => a.armed).forEach(a => seen.set(`${a.symbol}|${a.timeframe}`, { symbol: a.symbol, timeframe: a.timeframe }));
+    return [...seen.values()];
+  }
+
+  function describe(alert) {
+    const p = alert.params;
+    const text = {
+      'price-cross': () => `price crosses ${p.direction === 'any' ? '' : p.direction + ' '}${p.level}`,
+      'rsi-zone': () => `RSI leaves ${p.lower}-${p.upper}`,
+      'macd-sign': () => `MACD histogram turns ${p.direction === 'any' ? 'positive or negative' : p.direction}`,
+      'level-touch': () => `price within ${p.tolerancePct}% of ${p.kind === 'any' ? 'support/resistance' : p.kind}`,
+      'change-24h': () => `24h change ${p.direction === 'down' ? '≤ -' : p.direction === 'up' ? '≥ +' : '± '}${p.threshold}%`
+    }[alert.type];
+    return `${alert.symbol} ${alert.timeframe}: ${text ? text() : alert.type}`;
+  }
+
+  // ============ HELPER FUNCTIONS ============
+  function touchedLevel(data, p) {
+    const sr = data.supportResistance || {};
+    const price = data.price;
+    const levels = [
+      ...(p.kind !== 'resistance' ? (sr.support || []).map(v => ({ price: v, type: 'support' })) : []),
+      ...(p.kind !== 'support' ? (sr.resistance || []).map(v => ({ price: v, type: 'resistance' })) : [])
+    ];
+    const near = levels
+      .filter(l => Math.abs(price - l.price) / price * 100 <= p.tolerancePct)
+      .sort((a, b) => Math.abs(price - a.price) - Math.abs(price - b.price));
+    return near[0] || null;
+  }
+
+  function numericParams(params) {
+    return Object.fromEntries(Object.entries(params).map(([k, v]) =>
+      [k, typeof v === 'string' && v.trim() !== '' && isFinite(v) ? Number(v) : v]));
+  }
+
+  function formatNumber(v) {
+    return v.toFixed(Math.abs(v) < 10 ? 4 : 2);
+  }
+
+  return {
+    TYPES,
+    createAlert,
+    evaluate,
+    evaluateAll,
+    rearm,
+    disarm,
+    watchList,
+    describe
+  };
+});
@@ -0,0 +1,223 @@
+// js/brokers.js
+// Broker adapters behind the Connect button. Every adapter exposes the same
+// async interface:
+//
+//   account()            { broker, name, mode, canTrade, currency, equity, balances }
+//   balances()           [{ asset, free, locked, total }]
+//   positions()          [{ id, symbol, side, qty, entryPrice, value }]
+//   openOrders(params)   [order]
+//   placeOrder(request)  { order, events }
+//   cancelOrder({ symbol, id })   { order, events }
+//   orderStatus({ symbol, id })   order
+//
+// where order is { id, clientOrderId, symbol, side, type, qty, price,
+// stopPrice, filledQty, avgPrice, status, time } and status is one of
+// ORDER_STATUSES. The paper adapter runs on the local PaperTrading account;
+// remote adapters call the broker function, which holds the exchange keys.
+// Loaded by index.html as window.Brokers and required by the Netlify functions.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./paper-trading'));
+  else root.Brokers = factory(root.PaperTrading);
+})(typeof self !== 'undefined' ? self : this, function (PaperTrading) {
+  const ORDER_TYPES = ['market', 'limit', 'stop'];
+  const ORDER_STATUSES = ['open', 'partially_filled', 'filled', 'cancelled', 'rejected', 'expired'];
+  const DEFAULT_ENDPOINT = '/.netlify/functions/broker';
+
+  // code is machine-readable: INVALID_REQUEST, INVALID_ORDER, NOT_FOUND,
+  // NOT_CONFIGURED, AUTH, REJECTED, RATE_LIMITED, EXCHANGE_ERROR, NETWORK_ERROR
+  class BrokerError extends Error {
+    constructor(code, message, status) {
+      super(message);
+      this.name = 'BrokerError';
+      this.code = code;
+      this.status = status || null;
+    }
+  }
+
+  // Checks the fields every adapter needs and returns a clean copy
+  function validateOrderRequest(request = {}) {
+    const type = request.type || 'market';
+    const qty = Number(request.qty);
+    const price = request.price == null || request.price === '' ? null : Number(request.price);
+
+    if (!request.symbol) throw new BrokerError('INVALID_ORDER', 'Symbol is required');
+    if (request.side !== 'buy' && request.side !== 'sell') throw new BrokerError('INVALID_ORDER', `Side must be buy or sell, got "${request.side}"`);
+    if (!ORDER_TYPES.includes(type)) throw new BrokerError('INVALID_ORDER', `Unknown order type "${type}"`);
+    if (!(qty > 0)) throw new BrokerError('INVALID_ORDER', 'Quantity must be positive');
+    if (type !== 'market' && !(price > 0)) throw new BrokerError('INVALID_ORDER', `${type} orders need a price`);
+
+    return {
+      symbol: String(request.symbol).toUpperCase(),
+      side: request.side,
+      type,
+      qty,
+      price: type === 'market' ? null : price,
+      clientOrderId: request.clientOrderId || null
+    };
+  }
+
+  // ============ PAPER ADAPTER ============
+  // getAccount / applyAccount are the UI's account ref and updater (applyAccount
+  // takes fn(account) -> { account, events } and returns the events).
+  // getPrice(symbol) returns the latest known price, or null.
+  function createPaperBroker({ getAccount, applyAccount, getPrice }) {
+    const prices = () => {
+      const out = {};
+      for (const p of getAccount().positions) {
+        const price = getPrice(p.symbol);
+        if (price > 0) out[p.symbol] = price;
+      }
+      return out;
+    };
+
+    const balances = async () => {
+      const account = getAccount();
+      const free = PaperTrading.freeMargin(account, prices());
+      return [{ asset: 'USD', free, locked: Math.max(0, account.balance - free), total: account.balance }];
+    };
+
+    return {
+      id: 'paper',
+      name: 'Paper trading',
+      mode: 'paper',
+      account: async () => ({
+        broker: 'paper',
+        name: 'Paper trading',
+        mode: 'paper',
+        canTrade: true,
+        currency: 'USD',
+        equity: PaperTrading.equity(getAccount(), prices()),
+        balances: await balances()
+      }),
+      balances,
+      positions: async () => getAccount().positions.map(p => {
+        const price = getPrice(p.symbol);
+        return {
+          id: p.id,
+          symbol: p.symbol,
+          side: p.side,
+          qty: p.qty,
+          entryPrice: p.entry,
+          value: price > 0 ? PaperTrading.notional(p, price) : null,
+          stopLoss: p.stopLoss,
+          takeProfit: p.takeProfit
+        };
+      }),
+      openOrders: async ({ symbol } = {}) => getAccount().orders.filter(o => !symbol || o.symbol === symbol).map(paperOrder),
+      placeOrder: async request => {
+        const price = getPrice(request.symbol);
+        let events;
+        try {
+          events = applyAccount(a => PaperTrading.placeOrder(a, request, { price, time: Date.now() }));
+        } catch (err) {
+          throw new BrokerError(err.name === 'PaperTradingError' ? 'REJECTED' : 'INVALID_ORDER', err.message);
+        }
+        const last = [...events].reverse().find(e => e.order);
+        return { order: paperOrder(last.order), events };
+      },
+      cancelOrder: async ({ id }) => {
+        let events;
+        try {
+          events = applyAccount(a => PaperTrading.cancelOrder(a, id));
+        } catch (err) {
+          throw new BrokerError('NOT_FOUND', err.message);
+        }
+        return { order: paperOrder(events[0].order), events };
+      },
+      // Filled paper orders live on as positions; closed ones are not kept
+      orderStatus: async ({ id }) => {
+        const account = getAccount();
+        const open = account.orders.find(o => o.id === id);
+        if (open) return paperOrder(open);
+        const position = account.positions.find(p => p.orderId === id);
+        if (position) {
+          return paperOrder({ id, symbol: position.symbol, side: position.side === 'long' ? 'buy' : 'sell', type: 'market', qty: position.qty, status: 'filled', fillPrice: position.entry, createdAt: position.openedAt });
+        }
+        throw new BrokerError('NOT_FOUND', `No open order or position for ${id}`);
+      }
+    };
+  }
+
+  function paperOrder(o) {
+    const filled = o.status === 'filled';
+    return {
+      id: o.id,
+      clientOrderId: null,
+      symbol: o.symbol,
+      side: o.side,
+      type: o.type,
+      qty: o.qty,
+      price: o.type === 'limit' ? o.price : null,
+      stopPrice: o.type === 'stop' ? o.price : null,
+      filledQty: filled ? o.qty : 0,
+      avgPrice: filled ? o.fillPrice : null,
+      status: o.status,
+      time: o.filledAt || o.closedAt || o.createdAt
+    };
+  }
+
+  // ============ REMOTE ADAPTERS ============
+  // Calls the broker function. token (the access session, or a separate
+  // BROKER_ACCESS_TOKEN) is sent as a bearer token.
+  function createRemoteBroker(id, options = {}) {
+    const call = (action, params = {}) => request(options, 'POST', { broker: id, action, ...params }).then(d => d.result);
+
+    return {
+      id,
+      account: () => call('account'),
+      balances: () => call('balances'),
+      positions: () => call('positions'),
+      openOrders: (params = {}) => call('openOrders', params),
+      placeOrder: async req => ({ order: await call('placeOrder', validateOrderRequest(req)), events: [] }),
+      cancelOrder: async params => ({ order: await call('cancelOrder', params), events: [] }),
+      orderStatus: params => call('orderStatus', params)
+    };
+  }
+
+  // Brokers the server has keys for: [{ id, name, mode, configured }]
+  async function listBrokers(options = {}) {
+    const d = await request(options, 'GET');
+    return d.brokers;
+  }
+
+  async function request(options, method, body) {
+    const doFetch = options.fetch || fetch;
+    const headers = { 'Content-Type': 'application/json' };
+    if (options.token) headers.Authorization = `Bearer ${options.token}`;
+
+    let res, data;
+    try {
+      res = await doFetch(options.endpoint || DEFAULT_ENDPOINT, { method, headers, body: body ? JSON.stringify(body) : undefined });
+      data = await res.json();
+    } catch (err) {
+      throw new BrokerError('NETWORK_ERROR', `Broker unreachable: ${err.message}`);
+    }
+    if (!res.ok) throw new BrokerError(data.code || 'EXCHANGE_ERROR', data.error || `HTTP ${res.status}`, res.status);
+    return data;
+  }
+
+  // ============ RISK ============
+  // An account-shaped view of a broker snapshot for Risk.checkOrder: holdings
+  // and resting orders count as exposure; exchanges keep no closed-trade
+  // history here, so the daily loss limit only sees the open drawdown.
+  function riskAccount({ equity, positions, orders }) {
+    return {
+      balance: equity,
+      positions: positions.map(p => ({ qty: p.qty, entry: p.entryPrice ?? (p.value / p.qty) })).filter(p => p.entry > 0),
+      orders: orders.map(o => ({ qty: o.qty - (o.filledQty || 0), price: o.price ?? o.stopPrice })).filter(o => o.price > 0),
+      history: []
+    };
+  }
+
+  return {
+    ORDER_TYPES,
+    ORDER_STATUSES,
+    BrokerError,
+    validateOrderRequest,
+    createPaperBroker,
+    createRemoteBroker,
+    listBrokers,
+    riskAccount
+  };
+});
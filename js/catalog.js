@@ -0,0 +1,76 @@
+// js/catalog.js
+// Named instruments with the words people use for them. The server's symbol
+// resolver builds its instruments from these lists and the voice parser
+// matches spoken names against them. Loaded by index.html as window.Catalog.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Catalog = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  // [base, name, aliases] - quoted in USD
+  const CRYPTO = [
+    ['BTC', 'Bitcoin', ['bitcoin', 'btc']],
+    ['ETH', 'Ethereum', ['ethereum', 'eth', 'ether']],
+    ['SOL', 'Solana', ['solana', 'sol']],
+    ['XRP', 'Ripple', ['ripple', 'xrp']],
+    ['BNB', 'BNB', ['binance coin', 'bnb']],
+    ['ADA', 'Cardano', ['cardano', 'ada']],
+    ['DOGE', 'Dogecoin', ['dogecoin', 'doge']],
+    ['AVAX', 'Avalanche', ['avalanche', 'avax']],
+    ['DOT', 'Polkadot', ['polkadot', 'dot']],
+    ['LINK', 'Chainlink', ['chainlink', 'link']],
+    ['LTC', 'Litecoin', ['litecoin', 'ltc']],
+    ['TRX', 'Tron', ['tron', 'trx']]
+  ];
+
+  // [symbol, name, aliases]
+  const FOREX = [
+    ['EURUSD', 'Euro / US Dollar', ['euro', 'euro dollar', 'fiber']],
+    ['GBPUSD', 'British Pound / US Dollar', ['pound', 'sterling', 'cable']],
+    ['USDJPY', 'US Dollar / Japanese Yen', ['yen', 'dollar yen']],
+    ['AUDUSD', 'Australian Dollar / US Dollar', ['aussie', 'australian dollar']],
+    ['USDCAD', 'US Dollar / Canadian Dollar', ['loonie', 'canadian dollar']],
+    ['USDCHF', 'US Dollar / Swiss Franc', ['swissy', 'swiss franc', 'franc']],
+    ['NZDUSD', 'New Zealand Dollar / US Dollar', ['kiwi', 'new zealand dollar']],
+    ['EURGBP', 'Euro / British Pound', ['euro pound']],
+    ['EURJPY', 'Euro / Japanese Yen', ['euro yen']],
+    ['GBPJPY', 'British Pound / Japanese Yen', ['pound yen', 'geppy']]
+  ];
+
+  const COMMODITIES = [
+    ['XAUUSD', 'Gold', ['gold']],
+    ['XAGUSD', 'Silver', ['silver']],
+    ['WTIUSD', 'Crude Oil WTI', ['oil', 'crude', 'crude oil', 'wti', 'usoil']]
+  ];
+
+  const STOCKS = [
+    ['AAPL', 'Apple', ['apple']],
+    ['MSFT', 'Microsoft', ['microsoft']],
+    ['NVDA', 'Nvidia', ['nvidia']],
+    ['AMZN', 'Amazon', ['amazon']],
+    ['GOOGL', 'Alphabet', ['google', 'alphabet']],
+    ['META', 'Meta Platforms', ['meta', 'facebook']],
+    ['TSLA', 'Tesla', ['tesla']],
+    ['AMD', 'AMD', ['amd']],
+    ['NFLX', 'Netflix', ['netflix']],
+    ['JPM', 'JPMorgan Chase', ['jpmorgan', 'jp morgan']]
+  ];
+
+  // Every entry as { symbol, name, aliases, assetClass }
+  function entries() {
+    return [
+      ...CRYPTO.map(([base, name, aliases]) => ({ symbol: base + 'USD', name, aliases, assetClass: 'crypto' })),
+      ...FOREX.map(([symbol, name, aliases]) => ({ symbol, name, aliases, assetClass: 'forex' })),
+      ...COMMODITIES.map(([symbol, name, aliases]) => ({ symbol, name, aliases, assetClass: 'commodity' })),
+      ...STOCKS.map(([symbol, name, aliases]) => ({ symbol, name, aliases, assetClass: 'stock' }))
+    ];
+  }
+
+  return {
+    CRYPTO,
+    FOREX,
+    COMMODITIES,
+    STOCKS,
+    entries
+  };
+});
@@ -0,0 +1,287 @@
+// js/conditions.js
+// Small condition language over a market-data payload, used by the screener
+// filter and the signal rules (js/rules.js). Loaded by index.html as
+// window.Conditions and required by the Netlify functions.
+//
+//   RSI < 30 and price above EMA200
+//   ADX > 25 and Uptrend
+//   (oversold or histogram > 0) and not downtrend
+//   pattern "Bullish Engulfing" and close > support
+//   indicators.bollingerBands.percentB < 0.05
+//   change < -3 and macd.histogram > -0.5
+//
+// Comparisons take a field, a dotted path into the payload or a number on
+// either side, optionally negated with a leading `-`; `above` and `below`
+// read as > and <. Paths may leave out `indicators.` for the indicator
+// groups (macd.histogram is indicators.macd.histogram). `and` binds tighter than
+// `or`. A comparison with a value the payload does not have (EMA200 on a
+// short history) is false.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Conditions = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const FIELDS = {
+    price: d => d.price,
+    change: d => d.changePercent,
+    volume: d => d.volume,
+    rsi: d => d.indicators?.rsi,
+    macd: d => d.indicators?.macd?.value,
+    signal: d => d.indicators?.macd?.signal,
+    histogram: d => d.indicators?.macd?.histogram,
+    ema20: d => d.indicators?.ema20,
+    ema50: d => d.indicators?.ema50,
+    ema200: d => d.indicators?.ema200,
+    sma20: d => d.indicators?.sma20,
+    sma50: d => d.indicators?.sma50,
+    atr: d => d.indicators?.atr,
+    adx: d => d.indicators?.adx,
+    plusdi: d => d.indicators?.plusDI,
+    minusdi: d => d.indicators?.minusDI,
+    stochk: d => d.indicators?.stochastic?.k,
+    stochd: d => d.indicators?.stochastic?.d,
+    bbupper: d => d.indicators?.bollingerBands?.upper,
+    bbmiddle: d => d.indicators?.bollingerBands?.middle,
+    bblower: d => d.indicators?.bollingerBands?.lower,
+    vwap: d => d.indicators?.vwap?.value,
+    avwap: d => d.indicators?.anchoredVwap?.value,
+    poc: d => d.indicators?.volumeProfile?.poc,
+    vah: d => d.indicators?.volumeProfile?.vah,
+    val: d => d.indicators?.volumeProfile?.val,
+    relvol: d => d.indicators?.relativeVolume?.ratio,
+    // Nearest levels and the classic pivots
+    support: d => d.supportResistance?.support?.[0],
+    resistance: d => d.supportResistance?.resistance?.[0],
+    pivot: d => d.supportResistance?.pivots?.classic?.P,
+    r1: d => d.supportResistance?.pivots?.classic?.R1,
+    r2: d => d.supportResistance?.pivots?.classic?.R2,
+    s1: d => d.supportResistance?.pivots?.classic?.S1,
+    s2: d => d.supportResistance?.pivots?.classic?.S2
+  };
+
+  // Where a dotted path may start
+  const PATH_ROOTS = ['indicators', 'supportResistance', 'availability'];
+  // Indicator groups a path may name without the `indicators.` root
+  const INDICATOR_GROUPS = ['macd', 'stochastic', 'bollingerBands', 'vwap', 'anchoredVwap', 'volumeProfile', 'obv', 'accumulationDistribution', 'relativeVolume'];
+
+  const ALIASES = { close: 'price', changepercent: 'change', hist: 'histogram', macdhist: 'histogram', stoch: 'stochk', volumeratio: 'relvol' };
+
+  // Words that stand for a whole condition
+  const FLAGS = {
+    uptrend: d => trendName(d) === 'Uptrend',
+    downtrend: d => trendName(d) === 'Downtrend',
+    sideways: d => trendName(d) === 'Sideways',
+    overbought: d => d.indicators?.rsi != null && d.indicators.rsi > 70,
+    oversold: d => d.indicators?.rsi != null && d.indicators.rsi < 30,
+    bullish: d => d.indicators?.macd?.histogram != null && d.indicators.macd.histogram > 0,
+    bearish: d => d.indicators?.macd?.histogram != null && d.indicators.macd.histogram < 0,
+    bullishpattern: d => patternsOf(d).some(p => p.direction === 'bullish'),
+    bearishpattern: d => patternsOf(d).some(p => p.direction === 'bearish')
+  };
+
+  const OPERATORS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '=': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    above: (a, b) => a > b,
+    below: (a, b) => a < b
+  };
+
+  class ConditionError extends Error {
+    constructor(message, position) {
+      super(position == null ? message : `${message} at position ${position + 1}`);
+      this.name = 'ConditionError';
+      this.position = position;
+    }
+  }
+
+  // ============ TOKENIZER ============
+  const TOKEN = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*)|"([^"]*)"|'([^']*)'|(<=|>=|!=|==|&&|\|\||[<>=()!-]))/y;
+
+  function tokenize(text) {
+    const tokens = [];
+    TOKEN.lastIndex = 0;
+    while (TOKEN.lastIndex < text.length) {
+      const start = TOKEN.lastIndex;
+      if (/^\s*$/.test(text.slice(start))) break;
+      const m = TOKEN.exec(text);
+      if (!m) throw new ConditionError(`Unexpected "${text.slice(start).trim()[0]}"`, start + text.slice(start).search(/\S/));
+      const position = TOKEN.lastIndex - m[0].trimStart().length;
+      if (m[1]) tokens.push({ type: 'number', value: Number(m[1]), position });
+      else if (m[2]) tokens.push(m[2].includes('.') ? { type: 'path', value: m[2], position } : word(m[2].toLowerCase(), position));
+      else if (m[3] != null || m[4] != null) tokens.push({ type: 'string', value: m[3] ?? m[4], position });
+      else tokens.push(symbolToken(m[5], position));
+    }
+    return tokens;
+  }
+
+  function word(w, position) {
+    if (w === 'and' || w === 'or' || w === 'not') return { type: w, position };
+    if (w === 'above' || w === 'below') return { type: 'op', value: w, position };
+    return { type: 'name', value: ALIASES[w] || w, position };
+  }
+
+  function symbolToken(s, position) {
+    if (s === '&&') return { type: 'and', position };
+    if (s === '||') return { type: 'or', position };
+    if (s === '!') return { type: 'not', position };
+    if (s === '(' || s === ')' || s === '-') return { type: s, position };
+    return { type: 'op', value: s === '==' ? '=' : s, position };
+  }
+
+  // ============ PARSER ============
+  // Compiles text into a predicate over market-data payloads. Throws
+  // ConditionError on syntax errors and unknown names.
+  function compile(text) {
+    const source = String(text || '').trim();
+    if (!source) return { source, fields: [], test: () => true };
+
+    const tokens = tokenize(source);
+    const fields = new Set();
+    let i = 0;
+
+    const peek = () => tokens[i];
+    const expect = type => {
+      const t = tokens[i];
+      if (!t || t.type !== type) throw new ConditionError(`Expected "${type}"`, t ? t.position : source.length);
+      i++;
+      return t;
+    };
+
+    const parseOr = () => {
+      let node = parseAnd();
+      while (peek()?.type === 'or') {
+        i++;
+        const left = node, right = parseAnd();
+        node = d => left(d) || right(d);
+      }
+      return node;
+    };
+
+    const parseAnd = () => {
+      let node = parseUnary();
+      while (peek()?.type === 'and') {
+        i++;
+        const left = node, right = parseUnary();
+        node = d => left(d) && right(d);
+      }
+      return node;
+    };
+
+    const parseUnary = () => {
+      const t = peek();
+      if (t?.type === 'not') {
+        i++;
+        const inner = parseUnary();
+        return d => !inner(d);
+      }
+      if (t?.type === '(') {
+        i++;
+        const inner = parseOr();
+        expect(')');
+        return inner;
+      }
+      return parseComparison();
+    };
+
+    const parseComparison = () => {
+      const t = peek();
+      if (t?.type === 'name' && FLAGS[t.value] && tokens[i + 1]?.type !== 'op') {
+        i++;
+        return FLAGS[t.value];
+      }
+      if (t?.type === 'name' && t.value === 'pattern') {
+        const quoted = tokens[++i];
+        if (quoted?.type !== 'string') throw new ConditionError('Expected a quoted pattern name', quoted ? quoted.position : source.length);
+        i++;
+        const name = quoted.value.trim().toLowerCase();
+        return d => patternsOf(d).some(p => p.name.toLowerCase() === name);
+      }
+
+      const left = parseOperand();
+      const op = peek();
+      if (op?.type !== 'op') throw new ConditionError('Expected a comparison', op ? op.position : source.length);
+      i++;
+      const right = parseOperand();
+      const compare = OPERATORS[op.value];
+      return d => {
+        const a = left(d), b = right(d);
+        return a != null && b != null && isFinite(a) && isFinite(b) && compare(a, b);
+      };
+    };
+
+    const parseOperand = () => {
+      const t = peek();
+      if (!t) throw new ConditionError('Unexpected end of condition', source.length);
+      i++;
+      if (t.type === '-') {
+        const inner = parseOperand();
+        return d => {
+          const v = inner(d);
+          return v == null ? v : -v;
+        };
+      }
+      if (t.type === 'number') return () => t.value;
+      if (t.type === 'name' && FIELDS[t.value]) {
+        fields.add(t.value);
+        return FIELDS[t.value];
+      }
+      if (t.type === 'path') {
+        const root = t.value.split('.')[0];
+        const path = INDICATOR_GROUPS.includes(root) ? `indicators.${t.value}` : t.value;
+        if (!PATH_ROOTS.includes(path.split('.')[0])) {
+          throw new ConditionError(`Paths start with ${PATH_ROOTS.join(', ')} or an indicator group, not "${root}"`, t.position);
+        }
+        fields.add(path);
+        return d => read(path, d);
+      }
+      if (t.type === 'name') throw new ConditionError(`Unknown field "${t.value}"`, t.position);
+      throw new ConditionError('Expected a field or number', t.position);
+    };
+
+    const predicate = parseOr();
+    if (i < tokens.length) throw new ConditionError('Unexpected input', tokens[i].position);
+
+    return { source, fields: [...fields], test: data => Boolean(predicate(data)) };
+  }
+
+  // Flat field values of a payload, for tables and sorting
+  function valuesOf(data) {
+    const values = Object.fromEntries(Object.entries(FIELDS).map(([k, read]) => [k, read(data) ?? null]));
+    values.trend = trendName(data);
+    return values;
+  }
+
+  // ============ HELPER FUNCTIONS ============
+  // A field's value or a dotted path's number; undefined when absent
+  function read(field, data) {
+    if (FIELDS[field]) return FIELDS[field](data);
+    const value = field.split('.').reduce((o, key) => (o == null ? undefined : o[key]), data);
+    return typeof value === 'number' ? value : undefined;
+  }
+
+  // The trend reading detectPatterns puts first in the payload's patterns
+  function trendName(data) {
+    const trend = (data.patterns || []).find(p => p && p.type === 'trend');
+    return trend ? trend.name : null;
+  }
+
+  // Candle and chart patterns, without the trend reading
+  function patternsOf(data) {
+    return (data.patterns || []).filter(p => p && typeof p === 'object' && p.type !== 'trend' && p.name);
+  }
+
+  return {
+    FIELDS: Object.keys(FIELDS),
+    FLAGS: Object.keys(FLAGS),
+    ConditionError,
+    PATH_ROOTS,
+    tokenize,
+    compile,
+    read,
+    valuesOf
+  };
+});
@@ -0,0 +1,322 @@
+// js/data-io.js
+// CSV and JSON import/export: OHLCV with every indicator series, the
+// analysis result and the trade journal out; a user's own OHLCV CSV in.
+// Loaded by index.html as window.DataIO and required by the analyze-ohlcv
+// function, so the browser preview and the server parse a file the same way.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.DataIO = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const FIELDS = ['time', 'open', 'high', 'low', 'close', 'volume'];
+  const DELIMITERS = [',', ';', '\t', '|'];
+  const MAX_SKIPPED = 20;
+
+  // Header names other platforms use, after lowercasing and dropping <>, quotes and spaces
+  const HEADER_ALIASES = {
+    time: ['time', 'date', 'datetime', 'timestamp', 'date/time', 'opentime', 'gmttime', 'localtime', 'unix', 'ts'],
+    open: ['open', 'o', 'openprice', 'first'],
+    high: ['high', 'h', 'highprice', 'max'],
+    low: ['low', 'l', 'lowprice', 'min'],
+    close: ['close', 'c', 'closeprice', 'last', 'price', 'adjclose'],
+    volume: ['volume', 'vol', 'v', 'tickvol', 'tickvolume', 'realvolume', 'basevolume']
+  };
+
+  class CsvError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'CsvError';
+    }
+  }
+
+  // ============ CSV ============
+  function splitLine(line, delimiter) {
+    const cells = [];
+    let cell = '', quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"') quoted = true;
+      else if (ch === delimiter) { cells.push(cell.trim()); cell = ''; }
+      else cell += ch;
+    }
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  function detectDelimiter(line) {
+    const counts = DELIMITERS.map(d => splitLine(line, d).length);
+    const best = counts.indexOf(Math.max(...counts));
+    return counts[best] > 1 ? DELIMITERS[best] : ',';
+  }
+
+  const headerKey = cell => cell.toLowerCase().replace(/[<>"'\s_]/g, '');
+
+  // columns: { time, open, high, low, close, volume } as header names or
+  // 1-based column numbers; blank fields are found from the header.
+  // time may name two columns, "date+time", for platforms that split them.
+  function resolveColumns(header, columns = {}, width) {
+    const keys = header ? header.map(headerKey) : null;
+    const find = spec => {
+      if (typeof spec === 'number' || /^\d+$/.test(String(spec))) {
+        const n = parseInt(spec, 10);
+        if (n < 1 || n > width) throw new CsvError(`Column ${n} is out of range (1-${width})`);
+        return n - 1;
+      }
+      if (!keys) throw new CsvError(`"${spec}" names a header column, but the file has no header row - use column numbers`);
+      const i = keys.indexOf(headerKey(String(spec)));
+      if (i === -1) throw new CsvError(`No column named "${spec}" (found: ${header.join(', ')})`);
+      return i;
+    };
+
+    const resolved = {};
+    for (const field of FIELDS) {
+      const spec = columns[field];
+      if (spec != null && String(spec).trim() !== '') {
+        resolved[field] = String(spec).split('+').map(s => find(s.trim()));
+      } else if (keys) {
+        if (field === 'time' && keys.includes('date') && keys.includes('time')) {
+          resolved.time = [keys.indexOf('date'), keys.indexOf('time')];
+        } else {
+          const i = keys.findIndex(k => HEADER_ALIASES[field].includes(k));
+          if (i !== -1) resolved[field] = [i];
+        }
+      } else {
+        // No header: time, open, high, low, close[, volume] in that order
+        const i = FIELDS.indexOf(field);
+        if (i < width) resolved[field] = [i];
+      }
+    }
+
+    const missing = FIELDS.filter(f => f !== 'volume' && !resolved[f]);
+    if (missing.length > 0) {
+      throw new CsvError(`Could not find the ${missing.join(', ')} column${missing.length > 1 ? 's' : ''}` +
+        (header ? ` in header "${header.join(', ')}" - map them by name or number` : ''));
+    }
+    return resolved;
+  }
+
+  // "1,234.5" and European "1234,5" (files with ; between fields) both read
+  function parseNumber(value) {
+    let s = String(value).replace(/[\s']/g, '');
+    if (s.includes(',') && s.includes('.')) s = s.replace(/,/g, '');
+    else if (s.includes(',')) s = s.replace(',', '.');
+    return s === '' ? NaN : Number(s);
+  }
+
+  // ============ TIME ============
+  // Offset (ms) of a timezone from UTC at the given instant. zone is 'UTC',
+  // a fixed offset like '+02:00' or '-0500', 'local', or an IANA name.
+  function zoneOffsetMs(zone, utcMs) {
+    const z = String(zone || 'UTC').trim();
+    if (/^(utc|gmt|z)$/i.test(z)) return 0;
+    const fixed = z.match(/^(?:utc|gmt)?([+-])(\d{1,2}):?(\d{2})?$/i);
+    if (fixed) return (fixed[1] === '-' ? -1 : 1) * (parseInt(fixed[2], 10) * 60 + parseInt(fixed[3] || '0', 10)) * 60000;
+    if (z.toLowerCase() === 'local') return -new Date(utcMs).getTimezoneOffset() * 60000;
+
+    let parts;
+    try {
+      parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: z, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+      }).formatToParts(new Date(utcMs));
+    } catch (err) {
+      throw new CsvError(`Unknown timezone "${zone}"`);
+    }
+    const v = Object.fromEntries(parts.map(p => [p.type, p.value]));
+    return Date.UTC(+v.year, v.month - 1, +v.day, +v.hour % 24, +v.minute, +v.second) - Math.floor(utcMs / 1000) * 1000;
+  }
+
+  // A wall-clock time in zone to epoch ms (the offset is re-read at the
+  // first guess so times next to a DST change land on the right side)
+  function wallToUtc(y, mo, d, h, mi, s, ms, zone) {
+    const wall = Date.UTC(y, mo - 1, d, h, mi, s, ms);
+    const guess = wall - zoneOffsetMs(zone, wall);
+    return wall - zoneOffsetMs(zone, guess);
+  }
+
+  const TIME_OF_DAY = '(?:[ T]+(\\d{1,2}):(\\d{2})(?::(\\d{2})(?:[.,](\\d{1,3}))?)?)?';
+  const YMD = new RegExp(`^(\\d{4})[-./]?(\\d{1,2})[-./]?(\\d{1,2})${TIME_OF_DAY}$`);
+  const XYZ = new RegExp(`^(\\d{1,2})[-./](\\d{1,2})[-./](\\d{4})${TIME_OF_DAY}$`);
+
+  // options: { timezone, dateOrder: 'dmy' | 'mdy' for dd/mm/yyyy-style
+  // dates that could be either, timeUnit: 'auto' | 's' | 'ms' for epochs }
+  function parseTime(value, options = {}) {
+    const s = String(value).trim();
+    const clock = m => [parseInt(m[4] || '0', 10), parseInt(m[5] || '0', 10), parseInt(m[6] || '0', 10), parseInt((m[7] || '0').padEnd(3, '0'), 10)];
+
+    if (/^\d{9,}(\.\d+)?$/.test(s)) {
+      const n = parseFloat(s);
+      const unit = options.timeUnit && options.timeUnit !== 'auto' ? options.timeUnit : n < 1e11 ? 's' : 'ms';
+      return unit === 's' ? n * 1000 : n;
+    }
+    // An explicit zone in the text wins over the timezone option
+    if (/\d{2}:\d{2}(:\d{2}(\.\d+)?)?\s*(z|[+-]\d{2}:?\d{2})$/i.test(s)) return Date.parse(s.replace(' ', 'T'));
+
+    let m = s.match(YMD);
+    if (m) return wallToUtc(+m[1], +m[2], +m[3], ...clock(m), options.timezone);
+    m = s.match(XYZ);
+    if (m) {
+      const a = +m[1], b = +m[2];
+      const dmy = a > 12 ? true : b > 12 ? false : options.dateOrder !== 'mdy';
+      return wallToUtc(+m[3], dmy ? b : a, dmy ? a : b, ...clock(m), options.timezone);
+    }
+    return NaN;
+  }
+
+  // ============ IMPORT ============
+  // options: { delimiter: 'auto' | char, header: 'auto' | true | false,
+  // columns (see resolveColumns), timezone, dateOrder, timeUnit }
+  // Returns { candles (ascending, one per timestamp), header, columns,
+  // delimiter, rows, skipped: [{ line, reason }] (first few), skippedCount }.
+  // Throws CsvError when the file cannot be read at all.
+  function parseCsv(text, options = {}) {
+    const lines = String(text || '').replace(/^﻿/, '').split(/\r?\n/);
+    const first = lines.findIndex(l => l.trim() !== '');
+    if (first === -1) throw new CsvError('The file is empty');
+
+    const delimiter = !options.delimiter || options.delimiter === 'auto' ? detectDelimiter(lines[first])
+      : options.delimiter === 'tab' || options.delimiter === '\\t' ? '\t' : options.delimiter;
+    const firstCells = splitLine(lines[first], delimiter);
+    const hasHeader = options.header === true || options.header === false ? options.header
+      : firstCells.filter(c => !isNaN(parseNumber(c))).length < 4;
+    const header = hasHeader ? firstCells : null;
+    const columns = resolveColumns(header, options.columns, firstCells.length);
+
+    const byTime = new Map();
+    const skipped = [];
+    let skippedCount = 0, rows = 0;
+    const skip = (line, reason) => {
+      skippedCount++;
+      if (skipped.length < MAX_SKIPPED) skipped.push({ line, reason });
+    };
+
+    for (let i = first + (hasHeader ? 1 : 0); i < lines.length; i++) {
+      if (lines[i].trim() === '') continue;
+      rows++;
+      const cells = splitLine(lines[i], delimiter);
+      const cell = field => columns[field] ? columns[field].map(c => cells[c] ?? '').join(' ').trim() : '';
+
+      const time = parseTime(cell('time'), options);
+      if (!isFinite(time)) { skip(i + 1, `unreadable time "${cell('time')}"`); continue; }
+      const [open, high, low, close] = ['open', 'high', 'low', 'close'].map(f => parseNumber(cell(f)));
+      if (![open, high, low, close].every(isFinite)) { skip(i + 1, 'missing or non-numeric price'); continue; }
+      if (high < low) { skip(i + 1, 'high below low'); continue; }
+      const volume = columns.volume ? parseNumber(cell('volume')) : 0;
+
+      byTime.set(time, { time, open, high, low, close, volume: isFinite(volume) ? volume : 0 });
+    }
+
+    return {
+      candles: [...byTime.values()].sort((a, b) => a.time - b.time),
+      header,
+      columns,
+      delimiter,
+      rows,
+      skipped,
+      skippedCount
+    };
+  }
+
+  // ============ EXPORT ============
+  function toCsv(header, rows, delimiter = ',') {
+    const quote = v => {
+      if (v == null || (typeof v === 'number' && !isFinite(v))) return '';
+      const s = String(v);
+      return s.includes(delimiter) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    return [header, ...rows].map(r => r.map(quote).join(delimiter)).join('\n') + '\n';
+  }
+
+  // indicators.series as flat named columns: ema20, macd_line, bollinger_upper...
+  function flattenSeries(series, prefix = '') {
+    return Object.entries(series || {}).flatMap(([key, value]) => {
+      const name = prefix ? `${prefix}_${key}` : key;
+      if (Array.isArray(value)) return [[name, value]];
+      return value && typeof value === 'object' ? flattenSeries(value, name) : [];
+    });
+  }
+
+  // Candles with every indicator series alongside. Series are aligned on the
+  // latest bar, since a live stream may have added bars after they were computed.
+  function candleTable(data) {
+    const candles = data.candles || [];
+    const series = flattenSeries(data.indicators && data.indicators.series);
+    const header = [...FIELDS, ...series.map(([name]) => name)];
+    const rows = candles.map((c, i) => [
+      new Date(c.time).toISOString(), c.open, c.high, c.low, c.close, c.volume,
+      ...series.map(([, values]) => {
+        const v = values[i - (candles.length - values.length)];
+        return v == null ? null : v;
+      })
+    ]);
+    return { header, rows };
+  }
+
+  function candlesCsv(data, delimiter) {
+    const { header, rows } = candleTable(data);
+    return toCsv(header, rows, delimiter);
+  }
+
+  function candlesJson(data) {
+    const { header, rows } = candleTable(data);
+    return JSON.stringify({
+      symbol: data.symbol,
+      timeframe: data.timeframe,
+      source: data.source,
+      exportedAt: new Date().toISOString(),
+      columns: header,
+      candles: rows.map(r => Object.fromEntries(header.map((h, i) => [h, r[i]])))
+    }, null, 2);
+  }
+
+  // The analysis and the market snapshot it was made from, without the bulky series
+  function analysisJson(data, analysis) {
+    const { series, ...indicators } = data.indicators || {};
+    return JSON.stringify({
+      symbol: data.symbol,
+      timeframe: data.timeframe,
+      source: data.source,
+      quality: data.quality,
+      exportedAt: new Date().toISOString(),
+      lastUpdate: data.lastUpdate,
+      price: data.price,
+      change: data.change,
+      changePercent: data.changePercent,
+      indicators,
+      patterns: data.patterns || [],
+      supportResistance: data.supportResistance || null,
+      analysis
+    }, null, 2);
+  }
+
+  const JOURNAL_COLUMNS = ['id', 'symbol', 'side', 'qty', 'entry', 'exit', 'stopLoss', 'takeProfit', 'openedAt', 'closedAt', 'pnl', 'returnPct', 'fees', 'reason'];
+
+  function journalCsv(history, delimiter) {
+    const iso = t => t ? new Date(t).toISOString() : null;
+    return toCsv(JOURNAL_COLUMNS, history.map(t => JOURNAL_COLUMNS.map(k => k === 'openedAt' || k === 'closedAt' ? iso(t[k]) : t[k])), delimiter);
+  }
+
+  function journalJson(history) {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), trades: history }, null, 2);
+  }
+
+  return {
+    FIELDS,
+    DELIMITERS,
+    CsvError,
+    parseCsv,
+    parseTime,
+    zoneOffsetMs,
+    toCsv,
+    flattenSeries,
+    candleTable,
+    candlesCsv,
+    candlesJson,
+    analysisJson,
+    journalCsv,
+    journalJson
+  };
+});
@@ -0,0 +1,84 @@
+// js/data-quality.js
+// The data-quality contract of market-data responses. Every payload carries
+//
+//   quality        'full'        candles from a provider; indicators computed from them
+//                  'quote-only'  a live rate without history; no indicators, patterns or levels
+//                  'demo'        synthetic candles, only when explicitly requested
+//   availability   which quote fields and indicators hold real values
+//   providerErrors [{ provider, code, error }] for providers tried before the one that answered
+//
+// Unavailable values are null, never estimated. signalBlockers() says why a
+// signal cannot be produced from a payload. Loaded by index.html as
+// window.DataQuality and required by the Netlify functions.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.DataQuality = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const LEVELS = ['full', 'quote-only', 'demo'];
+
+  const QUOTE_FIELDS = ['price', 'change', 'changePercent', 'high24h', 'low24h', 'volume', 'bid', 'ask'];
+
+  // Indicator -> the value that must be present for it to count as available
+  const INDICATORS = {
+    rsi: i => i.rsi,
+    macd: i => i.macd && i.macd.histogram,
+    ema20: i => i.ema20,
+    ema50: i => i.ema50,
+    ema200: i => i.ema200,
+    sma20: i => i.sma20,
+    sma50: i => i.sma50,
+    bollingerBands: i => i.bollingerBands && i.bollingerBands.middle,
+    atr: i => i.atr,
+    adx: i => i.adx,
+    stochastic: i => i.stochastic && i.stochastic.k,
+    // Null when the source reports no volume (indicators.volume.available)
+    relativeVolume: i => i.relativeVolume && i.relativeVolume.ratio,
+    vwap: i => i.vwap && i.vwap.value,
+    anchoredVwap: i => i.anchoredVwap && i.anchoredVwap.value,
+    obv: i => i.obv && i.obv.value,
+    accumulationDistribution: i => i.accumulationDistribution && i.accumulationDistribution.value,
+    volumeProfile: i => i.volumeProfile && i.volumeProfile.poc
+  };
+
+  const present = v => v !== null && v !== undefined && (typeof v !== 'number' || isFinite(v));
+
+  function availability(data) {
+    const indicators = (data && data.indicators) || {};
+    const out = { bars: data && data.candles ? data.candles.length : 0 };
+    QUOTE_FIELDS.forEach(f => { out[f] = present(data && data[f]); });
+    out.indicators = {};
+    Object.entries(INDICATORS).forEach(([name, get]) => { out.indicators[name] = present(get(indicators)); });
+    out.patterns = Array.isArray(data && data.patterns) && data.patterns.length > 0;
+    out.supportResistance = !!(data && data.supportResistance && data.supportResistance.levels && data.supportResistance.levels.length > 0);
+    return out;
+  }
+
+  // [{ code, message }]; empty when a signal may be produced. required lists
+  // the indicators the signal engine reads.
+  function signalBlockers(data, required = []) {
+    if (!data) return [{ code: 'NO_DATA', message: 'No market data loaded' }];
+    if (data.quality === 'demo') {
+      return [{ code: 'DEMO_DATA', message: 'Demo data is synthetic - signals are only produced from live market data' }];
+    }
+    if (data.quality !== 'full') {
+      return [{ code: 'QUOTE_ONLY', message: `${data.source || 'The provider'} supplied a live rate but no price history, so there are no indicators, patterns or levels to analyze` }];
+    }
+
+    const blockers = [];
+    if (!present(data.price) || !(data.price > 0)) blockers.push({ code: 'NO_PRICE', message: 'No current price' });
+    const available = availability(data).indicators;
+    required.filter(name => !available[name]).forEach(name => {
+      blockers.push({ code: 'INDICATOR_UNAVAILABLE', message: `${name.toUpperCase()} is unavailable (${(data.candles || []).length} bars loaded)` });
+    });
+    return blockers;
+  }
+
+  return {
+    LEVELS,
+    QUOTE_FIELDS,
+    INDICATORS: Object.keys(INDICATORS),
+    availability,
+    signalBlockers
+  };
+});
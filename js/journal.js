@@ -0,0 +1,258 @@
+// js/journal.js
+// The signal journal: every BUY or SELL the analysis produces is stored with
+// what it was based on, then scored against the candles that followed. A
+// signal ends when price reaches its take profit ('tp') or stop loss ('sl'),
+// or after expiryBars bars without either ('expired', closed at the last
+// bar's close). Until then it is 'open'. Loaded by index.html as
+// window.Journal and required by netlify/functions/journal.js.
+//
+// R is the result in units of the planned risk |entry - stopLoss|; maximum
+// favorable and adverse excursion (mfe, mae) are in R too.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Journal = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DEFAULTS = {
+    expiryBars: 48,
+    maxEntries: 500
+  };
+
+  const STATUSES = ['open', 'tp', 'sl', 'expired', 'invalid'];
+  const CLOSED = ['tp', 'sl', 'expired'];
+
+  const CONFIDENCE_BUCKETS = [
+    { label: '< 50', min: 0, max: 50 },
+    { label: '50-59', min: 50, max: 60 },
+    { label: '60-69', min: 60, max: 70 },
+    { label: '70-79', min: 70, max: 80 },
+    { label: '80+', min: 80, max: Infinity }
+  ];
+
+  const num = v => (v === null || v === undefined || v === '' ? null : Number(v));
+
+  // ============ RECORDING ============
+  // A journal entry from an analysis result and the payload it was made from;
+  // null for HOLD, blocked or incomplete signals. The signal starts after the
+  // payload's last candle.
+  function createEntry(analysis, data, now = Date.now()) {
+    if (!analysis || !data || !['BUY', 'SELL'].includes(analysis.recommendation)) return null;
+    const entry = num(analysis.entryPoint);
+    const stopLoss = num(analysis.stopLoss);
+    const takeProfit = num(analysis.takeProfit);
+    if (![entry, stopLoss, takeProfit].every(v => v !== null && isFinite(v))) return null;
+
+    const candles = data.candles || [];
+    const { series, ...indicators } = data.indicators || {};
+    if (indicators.volumeProfile) {
+      const { bins, ...profile } = indicators.volumeProfile;
+      indicators.volumeProfile = profile;
+    }
+    const sr = data.supportResistance || {};
+    const barTime = candles.length > 0 ? candles[candles.length - 1].time : now;
+
+    return {
+      id: `${data.symbol}|${data.timeframe}|${barTime}|${analysis.engine}|${analysis.recommendation}`,
+      createdAt: now,
+      barTime,
+      symbol: data.symbol,
+      timeframe: data.timeframe,
+      engine: analysis.engine,
+      model: analysis.model || analysis.ruleSet || null,
+      direction: analysis.recommendation,
+      confidence: analysis.confidence ?? null,
+      entry,
+      stopLoss,
+      takeProfit,
+      price: data.price,
+      indicators,
+      levels: { support: sr.support || [], resistance: sr.resistance || [] },
+      patterns: (data.patterns || []).filter(p => p && typeof p === 'object').map(p => p.name),
+      outcome: initialOutcome({ direction: analysis.recommendation, entry, stopLoss, takeProfit })
+    };
+  }
+
+  // Adds an entry unless the same signal (symbol, timeframe, bar, engine,
+  // direction) is already there; newest first, capped at maxEntries
+  function add(entries, entry, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    if (!entry || entries.some(e => e.id === entry.id)) return entries;
+    return [entry, ...entries].slice(0, opts.maxEntries);
+  }
+
+  function initialOutcome(signal) {
+    const long = signal.direction === 'BUY';
+    const valid = long
+      ? signal.stopLoss < signal.entry && signal.entry < signal.takeProfit
+      : signal.takeProfit < signal.entry && signal.entry < signal.stopLoss;
+    return {
+      status: valid ? 'open' : 'invalid',
+      bars: 0,
+      exitPrice: null,
+      exitTime: null,
+      r: null,
+      mfe: 0,
+      mae: 0,
+      ambiguous: false,
+      scoredAt: null
+    };
+  }
+
+  // ============ SCORING ============
+  // Walks the candles after the signal's bar. A bar that reaches both the stop
+  // and the target counts as a stop (the order inside a bar is unknown) and
+  // is flagged ambiguous. A bar opening beyond a level exits at the open.
+  function score(signal, candles, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const base = initialOutcome(signal);
+    if (base.status === 'invalid') return { ...base, scoredAt: Date.now() };
+
+    const long = signal.direction === 'BUY';
+    const risk = Math.abs(signal.entry - signal.stopLoss);
+    const inR = price => (long ? price - signal.entry : signal.entry - price) / risk;
+    const after = candles.filter(c => c.time > signal.barTime);
+
+    let mfe = 0, mae = 0, bars = 0;
+    for (const c of after) {
+      bars++;
+      const best = long ? c.high : c.low;
+      const worst = long ? c.low : c.high;
+      const stopped = long ? worst <= signal.stopLoss : worst >= signal.stopLoss;
+      const targeted = long ? best >= signal.takeProfit : best <= signal.takeProfit;
+
+      if (stopped || targeted) {
+        const gapStop = long ? c.open <= signal.stopLoss : c.open >= signal.stopLoss;
+        const gapTarget = long ? c.open >= signal.takeProfit : c.open <= signal.takeProfit;
+        const status = stopped && !gapTarget ? 'sl' : 'tp';
+        const exitPrice = status === 'sl'
+          ? (gapStop ? c.open : signal.stopLoss)
+          : (gapTarget ? c.open : signal.takeProfit);
+        return {
+          status,
+          bars,
+          exitPrice,
+          exitTime: c.time,
+          r: inR(exitPrice),
+          mfe: Math.max(mfe, status === 'tp' ? inR(exitPrice) : inR(best)),
+          mae: Math.min(mae, status === 'sl' ? inR(exitPrice) : inR(worst)),
+          ambiguous: stopped && targeted && !gapStop && !gapTarget,
+          scoredAt: Date.now()
+        };
+      }
+
+      mfe = Math.max(mfe, inR(best));
+      mae = Math.min(mae, inR(worst));
+      if (bars >= opts.expiryBars) {
+        return {
+          status: 'expired',
+          bars,
+          exitPrice: c.close,
+          exitTime: c.time,
+          r: inR(c.close),
+          mfe,
+          mae,
+          ambiguous: false,
+          scoredAt: Date.now()
+        };
+      }
+    }
+
+    return { ...base, bars, mfe, mae, scoredAt: Date.now() };
+  }
+
+  // Rescores the open entries for one symbol and timeframe; the rest are
+  // returned as they are
+  function scoreAll(entries, symbol, timeframe, candles, options = {}) {
+    return entries.map(e => {
+      if (e.symbol !== symbol || e.timeframe !== timeframe || e.outcome.status !== 'open') return e;
+      return { ...e, outcome: score(e, candles, options) };
+    });
+  }
+
+  // The symbol/timeframe pairs with open signals, and the earliest bar each
+  // needs candles from
+  function watchList(entries) {
+    const pairs = new Map();
+    entries.filter(e => e.outcome.status === 'open').forEach(e => {
+      const key = `${e.symbol}|${e.timeframe}`;
+      const current = pairs.get(key);
+      if (!current || e.barTime < current.since) pairs.set(key, { symbol: e.symbol, timeframe: e.timeframe, since: e.barTime });
+    });
+    return [...pairs.values()];
+  }
+
+  // ============ STATISTICS ============
+  // Hit rate is take-profits over closed signals; average R, MFE and MAE are
+  // over closed signals too
+  function summarize(entries) {
+    const closed = entries.filter(e => CLOSED.includes(e.outcome.status));
+    const count = status => entries.filter(e => e.outcome.status === status).length;
+    const mean = values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+    return {
+      signals: entries.length,
+      open: count('open'),
+      closed: closed.length,
+      tp: count('tp'),
+      sl: count('sl'),
+      expired: count('expired'),
+      invalid: count('invalid'),
+      hitRate: closed.length ? count('tp') / closed.length : null,
+      avgR: mean(closed.map(e => e.outcome.r)),
+      totalR: closed.reduce((a, e) => a + e.outcome.r, 0),
+      avgMfe: mean(closed.map(e => e.outcome.mfe)),
+      avgMae: mean(closed.map(e => e.outcome.mae))
+    };
+  }
+
+  // 'n/a' for a missing confidence and for one no bucket holds (negative, NaN)
+  function confidenceBucket(confidence) {
+    if (confidence === null || confidence === undefined) return 'n/a';
+    const bucket = CONFIDENCE_BUCKETS.find(b => confidence >= b.min && confidence < b.max);
+    return bucket ? bucket.label : 'n/a';
+  }
+
+  const GROUPS = {
+    symbol: e => e.symbol,
+    timeframe: e => e.timeframe,
+    direction: e => e.direction,
+    confidence: e => confidenceBucket(e.confidence),
+    engine: e => e.engine
+  };
+
+  // { overall, bySymbol: [{ key, ...summary }], byTimeframe, byDirection,
+  // byConfidence, byEngine }
+  function stats(entries) {
+    const out = { overall: summarize(entries) };
+    Object.entries(GROUPS).forEach(([name, keyOf]) => {
+      const groups = new Map();
+      entries.forEach(e => {
+        const key = keyOf(e);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(e);
+      });
+      const rows = [...groups.entries()].map(([key, list]) => ({ key, ...summarize(list) }));
+      out['by' + name[0].toUpperCase() + name.slice(1)] = name === 'confidence'
+        ? rows.sort((a, b) => bucketOrder(a.key) - bucketOrder(b.key))
+        : rows.sort((a, b) => b.signals - a.signals);
+    });
+    return out;
+  }
+
+  function bucketOrder(label) {
+    const index = CONFIDENCE_BUCKETS.findIndex(b => b.label === label);
+    return index === -1 ? CONFIDENCE_BUCKETS.length : index;
+  }
+
+  return {
+    DEFAULTS,
+    STATUSES,
+    CONFIDENCE_BUCKETS,
+    createEntry,
+    add,
+    score,
+    scoreAll,
+    watchList,
+    stats,
+    confidenceBucket
+  };
+});
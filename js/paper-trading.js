@@ -0,0 +1,333 @@
+// js/paper-trading.js
+// Paper-trading engine: market, limit and stop orders filled against fetched
+// prices, positions with attached stop-loss / take-profit, trade history and
+// an account balance. Loaded by index.html as window.PaperTrading and
+// requireable from Node.
+//
+// Every function takes an account and returns a new one (the input is never
+// mutated) together with the events it produced, so the UI can keep the
+// account in React state and persist it as JSON.
+//
+// Balance accounting is margin-style: the balance moves only by realized P&L
+// and fees, equity adds unrealized P&L, and an order is rejected when its
+// notional exceeds the free margin at its leverage (the order's, else the account's).
+//
+// Prices are in the instrument's quote currency; margin, fees and P&L are
+// converted to the account currency (USD) with Risk.quoteToAccount. USD-based
+// pairs (USDJPY) convert at their own price; crosses (EURGBP) at the
+// quoteRate the order was placed with.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./risk'));
+  else root.PaperTrading = factory(root.Risk);
+})(typeof self !== 'undefined' ? self : this, function (Risk) {
+  const DEFAULTS = {
+    initialBalance: 10000,
+    leverage: 1,
+    fee: 0,        // per fill, fraction of notional
+    slippage: 0    // adverse move on market and stop fills, fraction of price
+  };
+
+  const HISTORY_LIMIT = 500;
+
+  class PaperTradingError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'PaperTradingError';
+    }
+  }
+
+  function createAccount(options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    return {
+      initialBalance: opts.initialBalance,
+      balance: opts.initialBalance,
+      realizedPnl: 0,
+      feesPaid: 0,
+      settings: { leverage: opts.leverage, fee: opts.fee, slippage: opts.slippage },
+      positions: [],
+      orders: [],
+      history: [],
+      seq: 1,
+      createdAt: Date.now()
+    };
+  }
+
+  // ============ ORDERS ============
+  // request: { symbol, side: 'buy'|'sell', type: 'market'|'limit'|'stop',
+  //   qty, price (limit price or stop trigger), stopLoss, takeProfit,
+  //   leverage (defaults to the account's), instrument: { base, quote }
+  //   (omitted for USD-quoted symbols), quoteRate (USD per unit of the quote
+  //   currency, needed for crosses) }
+  // market: { price, time } - the latest fetched price for request.symbol
+  function placeOrder(account, request, market) {
+    const next = clone(account);
+    const order = validateOrder(next, request, market);
+    const events = [{ type: 'placed', order: { ...order } }];
+
+    if (order.type === 'market') {
+      events.push(...fillOrder(next, order, market.price, market.time));
+    } else {
+      next.orders.push(order);
+    }
+    return { account: next, order, events };
+  }
+
+  function cancelOrder(account, orderId, time = Date.now()) {
+    const next = clone(account);
+    const order = next.orders.find(o => o.id === orderId);
+    if (!order) throw new PaperTradingError(`No open order ${orderId}`);
+
+    next.orders = next.orders.filter(o => o.id !== orderId);
+    order.status = 'cancelled';
+    order.closedAt = time;
+    return { account: next, events: [{ type: 'cancelled', order }] };
+  }
+
+  function validateOrder(account, request, market) {
+    const side = request.side;
+    const type = request.type || 'market';
+    const qty = Number(request.qty);
+    const ref = type === 'market' ? market?.price : Number(request.price);
+
+    if (!request.symbol) throw new PaperTradingError('Symbol is required');
+    if (side !== 'buy' && side !== 'sell') throw new PaperTradingError(`Side must be buy or sell, got "${side}"`);
+    if (!['market', 'limit', 'stop'].includes(type)) throw new PaperTradingError(`Unknown order type "${type}"`);
+    if (!(qty > 0)) throw new PaperTradingError('Quantity must be positive');
+    if (!(market?.price > 0)) throw new PaperTradingError(`No price for ${request.symbol}`);
+    if (!(ref > 0)) throw new PaperTradingError(`${type} orders need a price`);
+
+    // A limit must rest on the passive side of the market and a stop on the
+    // other, otherwise it would fill immediately as a market order
+    if (type === 'limit' && (side === 'buy' ? ref >= market.price : ref <= market.price)) {
+      throw new PaperTradingError(`A ${side} limit must be ${side === 'buy' ? 'below' : 'above'} the market (${market.price})`);
+    }
+    if (type === 'stop' && (side === 'buy' ? ref <= market.price : ref >= market.price)) {
+      throw new PaperTradingError(`A ${side} stop must be ${side === 'buy' ? 'above' : 'below'} the market (${market.price})`);
+    }
+
+    const stopLoss = optionalNumber(request.stopLoss);
+    const takeProfit = optionalNumber(request.takeProfit);
+    if (stopLoss !== null && (side === 'buy' ? stopLoss >= ref : stopLoss <= ref)) {
+      throw new PaperTradingError(`Stop-loss ${stopLoss} must be ${side === 'buy' ? 'below' : 'above'} the entry (${ref})`);
+    }
+    if (takeProfit !== null && (side === 'buy' ? takeProfit <= ref : takeProfit >= ref)) {
+      throw new PaperTradingError(`Take-profit ${takeProfit} must be ${side === 'buy' ? 'above' : 'below'} the entry (${ref})`);
+    }
+
+    const instrument = request.instrument ? { base: request.instrument.base, quote: request.instrument.quote } : null;
+    const quoteRate = Risk.quoteToAccount(instrument, ref, optionalNumber(request.quoteRate));
+    if (quoteRate === null) throw new PaperTradingError(`No ${instrument.quote} to USD rate to value ${request.symbol}`);
+
+    const leverage = Number(request.leverage) > 0 ? Number(request.leverage) : account.settings.leverage;
+    const required = qty * ref * quoteRate / leverage;
+    const free = freeMargin(account, { [request.symbol]: market.price });
+    if (required > free) {
+      throw new PaperTradingError(`Insufficient margin: needs $${required.toFixed(2)}, $${free.toFixed(2)} free`);
+    }
+
+    return {
+      id: `O${account.seq++}`,
+      symbol: request.symbol,
+      side,
+      type,
+      qty,
+      price: type === 'market' ? null : ref,
+      stopLoss,
+      takeProfit,
+      leverage,
+      instrument,
+      quoteRate,
+      status: 'open',
+      createdAt: market.time || Date.now()
+    };
+  }
+
+  function fillOrder(account, order, marketPrice, time) {
+    const slip = order.type === 'limit' ? 0 : account.settings.slippage;
+    // Limits fill at their price or better; stops at the trigger, or the
+    // market when price has gapped through it
+    const base = order.type === 'limit'
+      ? (order.side === 'buy' ? Math.min(order.price, marketPrice) : Math.max(order.price, marketPrice))
+      : order.type === 'stop'
+        ? (order.side === 'buy' ? Math.max(order.price, marketPrice) : Math.min(order.price, marketPrice))
+        : marketPrice;
+    const price = base * (1 + (order.side === 'buy' ? slip : -slip));
+    const rate = Risk.accountRate(order, price);
+    const fee = order.qty * price * rate * account.settings.fee;
+
+    order.status = 'filled';
+    order.fillPrice = price;
+    order.filledAt = time;
+    account.balance -= fee;
+    account.feesPaid += fee;
+
+    const position = {
+      id: `P${account.seq++}`,
+      orderId: order.id,
+      symbol: order.symbol,
+      side: order.side === 'buy' ? 'long' : 'short',
+      qty: order.qty,
+      entry: price,
+      stopLoss: order.stopLoss,
+      takeProfit: order.takeProfit,
+      leverage: order.leverage,
+      instrument: order.instrument || null,
+      quoteRate: rate,
+      openedAt: time,
+      entryFee: fee
+    };
+    account.positions.push(position);
+    return [{ type: 'filled', order: { ...order }, position: { ...position } }];
+  }
+
+  // ============ POSITIONS ============
+  function closePosition(account, positionId, price, time = Date.now(), reason = 'manual') {
+    const next = clone(account);
+    const position = next.positions.find(p => p.id === positionId);
+    if (!position) throw new PaperTradingError(`No open position ${positionId}`);
+    if (!(price > 0)) throw new PaperTradingError(`No price to close ${position.symbol}`);
+
+    return { account: next, events: [settle(next, position, price, time, reason)] };
+  }
+
+  function settle(account, position, rawPrice, time, reason) {
+    // Take-profits are limit fills; everything else crosses the spread
+    const slip = reason === 'take-profit' ? 0 : account.settings.slippage;
+    const price = rawPrice * (1 + (position.side === 'long' ? -slip : slip));
+    const rate = Risk.accountRate(position, price);
+    const exitFee = position.qty * price * rate * account.settings.fee;
+    const gross = (price - position.entry) * position.qty * (position.side === 'long' ? 1 : -1) * rate;
+    const pnl = gross - position.entryFee - exitFee;
+
+    account.positions = account.positions.filter(p => p.id !== position.id);
+    account.balance += gross - exitFee;
+    account.realizedPnl += pnl;
+    account.feesPaid += exitFee;
+
+    const trade = {
+      id: position.id,
+      symbol: position.symbol,
+      side: position.side,
+      qty: position.qty,
+      entry: position.entry,
+      exit: price,
+      stopLoss: position.stopLoss,
+      takeProfit: position.takeProfit,
+      openedAt: position.openedAt,
+      closedAt: time,
+      pnl,
+      returnPct: pnl / notional(position, position.entry) * 100,
+      fees: position.entryFee + exitFee,
+      reason
+    };
+    account.history = [trade, ...account.history].slice(0, HISTORY_LIMIT);
+    return { type: 'closed', reason, trade };
+  }
+
+  // ============ PRICE UPDATES ============
+  // Runs on every fetched price: fills triggered limit/stop orders, then
+  // enforces stops and targets. When a refresh finds price beyond both (only
+  // possible across a gap) the stop is assumed to have hit first.
+  function processPrice(account, symbol, price, time = Date.now()) {
+    if (!(price > 0)) return { account, events: [] };
+    const next = clone(account);
+    const events = [];
+
+    next.orders
+      .filter(o => o.symbol === symbol && triggered(o, price))
+      .forEach(order => {
+        next.orders = next.orders.filter(o => o.id !== order.id);
+        events.push(...fillOrder(next, order, price, time));
+      });
+
+    next.positions
+      .filter(p => p.symbol === symbol)
+      .forEach(position => {
+        const long = position.side === 'long';
+        if (position.stopLoss !== null && (long ? price <= position.stopLoss : price >= position.stopLoss)) {
+          // Gapped through: the fill is the worse of the stop and the market
+          const fill = long ? Math.min(price, position.stopLoss) : Math.max(price, position.stopLoss);
+          events.push(settle(next, position, fill, time, 'stop-loss'));
+        } else if (position.takeProfit !== null && (long ? price >= position.takeProfit : price <= position.takeProfit)) {
+          events.push(settle(next, position, position.takeProfit, time, 'take-profit'));
+        }
+      });
+
+    return { account: events.length > 0 ? next : account, events };
+  }
+
+  function triggered(order, price) {
+    if (order.type === 'limit') return order.side === 'buy' ? price <= order.price : price >= order.price;
+    if (order.type === 'stop') return order.side === 'buy' ? price >= order.price : price <= order.price;
+    return false;
+  }
+
+  // ============ ACCOUNT FIGURES ============
+  // Account-currency value of a position or order's quantity at a price
+  function notional(item, price) {
+    return item.qty * price * Risk.accountRate(item, price);
+  }
+
+  function unrealizedPnl(position, price) {
+    if (!(price > 0)) return 0;
+    return (price - position.entry) * position.qty * (position.side === 'long' ? 1 : -1) * Risk.accountRate(position, price);
+  }
+
+  // prices: { [symbol]: latest price }. Positions without a price count at entry.
+  function equity(account, prices = {}) {
+    return account.balance + account.positions.reduce((a, p) => a + unrealizedPnl(p, prices[p.symbol]), 0);
+  }
+
+  function usedMargin(account, prices = {}) {
+    const leverage = x => x.leverage || account.settings.leverage;
+    return account.positions.reduce((a, p) => a + notional(p, prices[p.symbol] || p.entry) / leverage(p), 0) +
+      account.orders.reduce((a, o) => a + notional(o, o.price) / leverage(o), 0);
+  }
+
+  function freeMargin(account, prices = {}) {
+    return equity(account, prices) - usedMargin(account, prices);
+  }
+
+  function stats(account) {
+    const trades = account.history;
+    const wins = trades.filter(t => t.pnl > 0);
+    return {
+      trades: trades.length,
+      wins: wins.length,
+      losses: trades.length - wins.length,
+      winRate: trades.length ? wins.length / trades.length * 100 : 0,
+      realizedPnl: account.realizedPnl,
+      returnPct: (account.balance / account.initialBalance - 1) * 100,
+      best: trades.length ? Math.max(...trades.map(t => t.pnl)) : 0,
+      worst: trades.length ? Math.min(...trades.map(t => t.pnl)) : 0
+    };
+  }
+
+  // ============ HELPER FUNCTIONS ============
+  function clone(account) {
+    return JSON.parse(JSON.stringify(account));
+  }
+
+  function optionalNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    return isFinite(n) ? n : null;
+  }
+
+  return {
+    DEFAULTS,
+    PaperTradingError,
+    createAccount,
+    placeOrder,
+    cancelOrder,
+    closePosition,
+    processPrice,
+    notional,
+    unrealizedPnl,
+    equity,
+    usedMargin,
+    freeMargin,
+    stats
+  };
+});
@@ -0,0 +1,166 @@
+// js/portfolio.js
+// Portfolio analytics for the paper account: every position marked to the
+// latest quote, exposure by asset class and direction, per-symbol
+// performance and a recorded equity curve. Loaded by index.html as
+// window.Portfolio and requireable from Node.
+//
+// quotes is { [symbol]: { price, assetClass } }, as returned by the quotes
+// function. A position without a quote is left unmarked (pnl null) and
+// counts at its entry cost in exposure, the way PaperTrading.equity counts it.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./paper-trading'));
+  else root.Portfolio = factory(root.PaperTrading);
+})(typeof self !== 'undefined' ? self : this, function (PaperTrading) {
+  const CURVE_DEFAULTS = {
+    minIntervalMs: 60000,  // closer snapshots replace the last point
+    maxPoints: 500
+  };
+
+  function markPosition(position, quote) {
+    const price = quote && quote.price > 0 ? quote.price : null;
+    const cost = PaperTrading.notional(position, position.entry);
+    const pnl = price ? PaperTrading.unrealizedPnl(position, price) : null;
+    return {
+      ...position,
+      price,
+      assetClass: (quote && quote.assetClass) || null,
+      cost,
+      value: price ? PaperTrading.notional(position, price) : null,
+      pnl,
+      // Return on the position's cost, not its entry price
+      pnlPct: pnl == null ? null : pnl / cost * 100
+    };
+  }
+
+  function summarize(account, quotes = {}) {
+    const positions = account.positions.map(p => markPosition(p, quotes[p.symbol]));
+    const prices = {};
+    positions.forEach(p => { if (p.price) prices[p.symbol] = p.price; });
+    const equity = PaperTrading.equity(account, prices);
+    const unmarked = [...new Set(positions.filter(p => p.price == null).map(p => p.symbol))];
+
+    return {
+      balance: account.balance,
+      equity,
+      initialBalance: account.initialBalance,
+      unrealizedPnl: positions.reduce((a, p) => a + (p.pnl || 0), 0),
+      realizedPnl: account.realizedPnl,
+      totalPnl: equity - account.initialBalance,
+      returnPct: (equity / account.initialBalance - 1) * 100,
+      feesPaid: account.feesPaid,
+      positions,
+      unmarked,
+      exposure: exposure(positions, equity),
+      stats: PaperTrading.stats(account)
+    };
+  }
+
+  // Notional long and short, overall and per asset class. pct figures are
+  // of equity; weight is a class's share of gross exposure.
+  function exposure(positions, equity) {
+    const bucket = () => ({ long: 0, short: 0, positions: 0 });
+    const total = bucket();
+    const classes = {};
+    for (const p of positions) {
+      const notional = p.value ?? p.cost;
+      const key = p.assetClass || 'other';
+      classes[key] = classes[key] || bucket();
+      [total, classes[key]].forEach(b => {
+        b[p.side] += notional;
+        b.positions++;
+      });
+    }
+
+    const pct = v => equity > 0 ? v / equity * 100 : null;
+    const finish = b => ({
+      ...b,
+      gross: b.long + b.short,
+      net: b.long - b.short,
+      grossPct: pct(b.long + b.short),
+      netPct: pct(b.long - b.short)
+    });
+    const all = finish(total);
+
+    return {
+      ...all,
+      byClass: Object.entries(classes)
+        .map(([assetClass, b]) => ({ assetClass, ...finish(b), weight: all.gross > 0 ? (b.long + b.short) / all.gross * 100 : 0 }))
+        .sort((a, b) => b.gross - a.gross)
+    };
+  }
+
+  // Closed trades and open positions grouped by symbol, best total first
+  function symbolStats(account, quotes = {}) {
+    const bySymbol = {};
+    const row = symbol => bySymbol[symbol] = bySymbol[symbol] || {
+      symbol, trades: 0, wins: 0, losses: 0, realizedPnl: 0, grossWin: 0, grossLoss: 0,
+      fees: 0, best: null, worst: null, openPositions: 0, unrealizedPnl: 0, unmarked: false
+    };
+
+    for (const t of account.history) {
+      const r = row(t.symbol);
+      r.trades++;
+      r.realizedPnl += t.pnl;
+      r.fees += t.fees || 0;
+      if (t.pnl > 0) {
+        r.wins++;
+        r.grossWin += t.pnl;
+      } else {
+        r.losses++;
+        r.grossLoss -= t.pnl;
+      }
+      r.best = r.best == null ? t.pnl : Math.max(r.best, t.pnl);
+      r.worst = r.worst == null ? t.pnl : Math.min(r.worst, t.pnl);
+    }
+    for (const p of account.positions) {
+      const r = row(p.symbol);
+      const m = markPosition(p, quotes[p.symbol]);
+      r.openPositions++;
+      if (m.pnl == null) r.unmarked = true;
+      else r.unrealizedPnl += m.pnl;
+    }
+
+    return Object.values(bySymbol)
+      .map(({ grossWin, grossLoss, ...r }) => ({
+        ...r,
+        winRate: r.trades ? r.wins / r.trades * 100 : null,
+        avgWin: r.wins ? grossWin / r.wins : null,
+        avgLoss: r.losses ? -grossLoss / r.losses : null,
+        profitFactor: grossLoss > 0 ? grossWin / grossLoss : null,
+        totalPnl: r.realizedPnl + r.unrealizedPnl
+      }))
+      .sort((a, b) => b.totalPnl - a.totalPnl);
+  }
+
+  // Appends { time, equity } to a recorded curve and returns the new curve.
+  // Snapshots closer than minIntervalMs replace the last point so a fast
+  // refresh does not flood the history.
+  function recordEquity(curve, equity, time = Date.now(), options = {}) {
+    const opts = { ...CURVE_DEFAULTS, ...options };
+    if (!isFinite(equity)) return curve;
+    const last = curve[curve.length - 1];
+    const keep = last && time - last.time < opts.minIntervalMs && curve.length > 1 ? curve.slice(0, -1) : curve;
+    return [...keep, { time, equity }].slice(-opts.maxPoints);
+  }
+
+  // Max drawdown (%) along a recorded curve
+  function maxDrawdown(curve) {
+    let peak = -Infinity, worst = 0;
+    for (const p of curve) {
+      peak = Math.max(peak, p.equity);
+      if (peak > 0) worst = Math.max(worst, (peak - p.equity) / peak * 100);
+    }
+    return worst;
+  }
+
+  return {
+    CURVE_DEFAULTS,
+    markPosition,
+    summarize,
+    exposure,
+    symbolStats,
+    recordEquity,
+    maxDrawdown
+  };
+});
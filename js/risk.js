@@ -0,0 +1,199 @@
+// js/risk.js
+// Position sizing from account risk and pre-trade risk checks. Loaded by
+// index.html as window.Risk and requireable from Node.
+//
+// Sizes are worked out in the instrument's units (coins, shares, ounces,
+// currency units) and also reported in lots using the asset's contract spec.
+// Money figures are in the account currency (USD): quotes in another currency
+// are converted with the pair's own price when USD is the base, with a rate
+// supplied by the caller for crosses (GBP to USD for EURGBP), otherwise left
+// unconverted and flagged.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Risk = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  // contractSize = units per lot, pipSize = the quoted price step traders
+  // count in, lotStep/minLot = tradable increments, leverage = max leverage
+  const ASSET_SPECS = {
+    forex: { contractSize: 100000, pipSize: 0.0001, lotStep: 0.01, minLot: 0.01, leverage: 30, unit: 'lot' },
+    crypto: { contractSize: 1, pipSize: 0.01, lotStep: 0.0001, minLot: 0.0001, leverage: 1, unit: 'coin' },
+    commodity: { contractSize: 100, pipSize: 0.01, lotStep: 0.01, minLot: 0.01, leverage: 20, unit: 'lot' },
+    stock: { contractSize: 1, pipSize: 0.01, lotStep: 1, minLot: 1, leverage: 1, unit: 'share' }
+  };
+
+  const SYMBOL_SPECS = {
+    XAUUSD: { contractSize: 100, pipSize: 0.01 },   // 100 oz
+    XAGUSD: { contractSize: 5000, pipSize: 0.001 }, // 5,000 oz
+    WTIUSD: { contractSize: 1000, pipSize: 0.01 }   // 1,000 barrels
+  };
+
+  const USD_LIKE = ['USD', 'USDT', 'USDC', 'BUSD', 'FDUSD'];
+
+  const DEFAULT_LIMITS = {
+    maxRiskPct: 2,          // risk on one trade, % of equity
+    maxPositionPct: 500,    // one position's notional, % of equity
+    maxExposurePct: 1000,   // all positions and pending orders, % of equity
+    dailyLossPct: 3         // realized + open losses today, % of the day's starting balance
+  };
+
+  function specFor(symbol, assetClass, quote) {
+    const base = ASSET_SPECS[assetClass] || ASSET_SPECS.stock;
+    const spec = { ...base, ...(SYMBOL_SPECS[symbol] || {}) };
+    // Yen pairs are quoted to two decimals
+    if (assetClass === 'forex' && quote === 'JPY') spec.pipSize = 0.01;
+    return spec;
+  }
+
+  // Multiplier from quote currency to USD, or null when it cannot be derived.
+  // crossRate is USD per unit of the quote currency, for pairs without USD.
+  function quoteToAccount(instrument, price, crossRate = null) {
+    if (!instrument || USD_LIKE.includes(instrument.quote)) return 1;
+    if (USD_LIKE.includes(instrument.base) && price > 0) return 1 / price;
+    return crossRate > 0 ? crossRate : null;
+  }
+
+  // The same for a position or order carrying its { instrument, quoteRate }
+  // (the rate when it was placed). Items without an instrument predate
+  // conversion and were booked as USD.
+  function accountRate(item, price) {
+    return quoteToAccount(item.instrument, price, item.quoteRate) ?? 1;
+  }
+
+  function atrStop(entry, side, atr, multiple = 1.5) {
+    if (!(atr > 0)) return null;
+    return side === 'buy' ? entry - atr * multiple : entry + atr * multiple;
+  }
+
+  // ============ SIZING ============
+  // params: { equity, riskMode: 'percent'|'amount', risk, side, entry, stop,
+  //   target, spec, instrument, price, crossRate }
+  function positionSize(params) {
+    const { equity, riskMode = 'percent', risk, side, entry, stop, target, spec } = params;
+    const conversion = quoteToAccount(params.instrument, params.price || entry, params.crossRate);
+    const rate = conversion ?? 1;
+    const warnings = conversion === null ? [`P&L is in ${params.instrument.quote}; no USD conversion available`] : [];
+
+    const riskAmount = riskMode === 'amount' ? Number(risk) : equity * Number(risk) / 100;
+    const stopDistance = side === 'buy' ? entry - stop : stop - entry;
+    if (!(riskAmount > 0)) return invalid('Risk must be positive');
+    if (!(stopDistance > 0)) return invalid(`The stop must be ${side === 'buy' ? 'below' : 'above'} the entry`);
+
+    // Round down to the lot step so the realised risk never exceeds the budget
+    const riskPerUnit = stopDistance * rate;
+    const rawLots = riskAmount / riskPerUnit / spec.contractSize;
+    const lots = floorTo(rawLots, spec.lotStep);
+    if (lots < spec.minLot) {
+      warnings.push(`Risk budget buys ${rawLots.toPrecision(3)} lots, below the ${spec.minLot} minimum`);
+    }
+
+    const units = lots * spec.contractSize;
+    const notional = units * entry * rate;
+    const actualRisk = units * riskPerUnit;
+    const reward = target > 0 ? (side === 'buy' ? target - entry : entry - target) * units * rate : null;
+
+    return {
+      valid: units > 0,
+      lots,
+      units: round(units, 8),
+      riskAmount,
+      actualRisk,
+      riskPct: equity > 0 ? actualRisk / equity * 100 : null,
+      stopDistance,
+      stopPips: stopDistance / spec.pipSize,
+      pipValue: spec.pipSize * spec.contractSize * rate,  // per lot, account currency
+      notional,
+      margin: notional / spec.leverage,
+      leverage: spec.leverage,
+      reward,
+      rewardRisk: reward !== null && actualRisk > 0 ? reward / actualRisk : null,
+      warnings
+    };
+  }
+
+  // R-multiple of a price relative to an entry and its stop
+  function rMultiple(side, entry, stop, price) {
+    const risk = side === 'buy' ? entry - stop : stop - entry;
+    if (!(risk > 0)) return null;
+    return (side === 'buy' ? price - entry : entry - price) / risk;
+  }
+
+  // ============ PRE-TRADE CHECKS ============
+  // order: { symbol, notional, risk } in account currency. account is a
+  // PaperTrading account; equity its current equity. Returns { ok, violations }.
+  function checkOrder(order, account, equity, limits = {}, now = Date.now()) {
+    const l = { ...DEFAULT_LIMITS, ...limits };
+    const violations = [];
+    const pct = v => (v / equity * 100).toFixed(1) + '%';
+
+    if (!(equity > 0)) {
+      return { ok: false, violations: [{ rule: 'equity', message: 'Account has no equity' }] };
+    }
+
+    if (order.risk > equity * l.maxRiskPct / 100) {
+      violations.push({ rule: 'maxRiskPct', message: `Risk ${pct(order.risk)} of equity exceeds the ${l.maxRiskPct}% per-trade limit` });
+    }
+    if (order.notional > equity * l.maxPositionPct / 100) {
+      violations.push({ rule: 'maxPositionPct', message: `Position ${pct(order.notional)} of equity exceeds the ${l.maxPositionPct}% position limit` });
+    }
+
+    const exposure = openExposure(account) + order.notional;
+    if (exposure > equity * l.maxExposurePct / 100) {
+      violations.push({ rule: 'maxExposurePct', message: `Total exposure ${pct(exposure)} of equity exceeds the ${l.maxExposurePct}% limit` });
+    }
+
+    const day = dailyLoss(account, equity, now);
+    if (day.loss >= day.startBalance * l.dailyLossPct / 100) {
+      violations.push({ rule: 'dailyLossPct', message: `Down $${day.loss.toFixed(2)} today, at the ${l.dailyLossPct}% daily loss limit` });
+    }
+
+    return { ok: violations.length === 0, violations, exposure, dailyLoss: day.loss };
+  }
+
+  // Notional of open positions (at entry) and resting orders, each converted
+  // from its quote currency before summing
+  function openExposure(account) {
+    return account.positions.reduce((a, p) => a + p.qty * p.entry * accountRate(p, p.entry), 0) +
+      account.orders.reduce((a, o) => a + o.qty * o.price * accountRate(o, o.price), 0);
+  }
+
+  // Losses since local midnight: trades closed today plus the open drawdown
+  function dailyLoss(account, equity, now) {
+    const midnight = new Date(now).setHours(0, 0, 0, 0);
+    const realizedToday = account.history.filter(t => t.closedAt >= midnight).reduce((a, t) => a + t.pnl, 0);
+    const open = equity - account.balance;
+    return {
+      loss: Math.max(0, -(realizedToday + Math.min(0, open))),
+      startBalance: account.balance - realizedToday
+    };
+  }
+
+  // ============ HELPER FUNCTIONS ============
+  function invalid(message) {
+    return { valid: false, error: message, warnings: [] };
+  }
+
+  function floorTo(value, step) {
+    return round(Math.floor(value / step + 1e-9) * step, 8);
+  }
+
+  function round(value, digits) {
+    const f = Math.pow(10, digits);
+    return Math.round(value * f) / f;
+  }
+
+  return {
+    ASSET_SPECS,
+    SYMBOL_SPECS,
+    DEFAULT_LIMITS,
+    specFor,
+    quoteToAccount,
+    accountRate,
+    atrStop,
+    positionSize,
+    rMultiple,
+    checkOrder,
+    openExposure,
+    dailyLoss
+  };
+});
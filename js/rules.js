@@ -0,0 +1,200 @@
+// js/rules.js
+// User-defined signal rules: one rule per line, a condition in the
+// js/conditions.js language, an arrow and the action it votes for.
+//
+//   # comments and blank lines are skipped
+//   Oversold: rsi < 30 -> BUY
+//   Trend pullback: rsi < 40 and close > ema200 and adx > 20 -> BUY weight 2
+//   pattern "Bearish Engulfing" and close < resistance → SELL weight 1.5
+//   adx < 15 -> HOLD
+//
+// The label before a colon is optional; `->`, `→` and `=>` all work; the
+// weight defaults to 1. Matching rules vote with their weight and the side
+// with the most weight wins (see evaluate()). Loaded by index.html as
+// window.Rules.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./conditions'));
+  else root.Rules = factory(root.Conditions);
+})(typeof self !== 'undefined' ? self : this, function (Conditions) {
+  const ACTIONS = ['BUY', 'SELL', 'HOLD'];
+  const DIRECTIONS = { BUY: 'BULLISH', SELL: 'BEARISH', HOLD: 'NEUTRAL' };
+  const MAX_WEIGHT = 100;
+
+  // The thresholds analyze() used before rules were configurable
+  const DEFAULT_TEXT = [
+    '# RSI extremes - edit, or add rules like:',
+    '# Trend pullback: rsi < 40 and close > ema200 and adx > 20 -> BUY weight 2',
+    'Oversold: rsi < 30 -> BUY',
+    'Overbought: rsi > 70 -> SELL'
+  ].join('\n');
+
+  const ARROW = /\s*(?:->|→|=>)\s*/g;
+  const ACTION = /^([A-Za-z]+)(?:\s+weight\s+(\S+))?\s*$/i;
+  const LABEL = /^([^:"'()<>=!]+):\s*/;
+
+  class RuleError extends Error {
+    constructor(message, line, column) {
+      super(`Line ${line}${column ? `, column ${column}` : ''}: ${message}`);
+      this.name = 'RuleError';
+      this.line = line;
+      this.column = column || null;
+    }
+  }
+
+  // ============ PARSER ============
+  // One line into { line, label, source, condition, action, weight }; null
+  // for blank lines and comments. Throws RuleError.
+  function parseLine(text, line) {
+    const trimmed = text.trim();
+    if (!trimmed || trimmed.startsWith('#')) return null;
+    const indent = text.length - text.trimStart().length;
+
+    const arrows = [...trimmed.matchAll(ARROW)];
+    if (arrows.length === 0) throw new RuleError('Expected "-> BUY", "-> SELL" or "-> HOLD" after the condition', line);
+    const arrow = arrows[arrows.length - 1];
+
+    let body = trimmed.slice(0, arrow.index);
+    let offset = indent;
+    const label = LABEL.exec(body);
+    if (label) {
+      body = body.slice(label[0].length);
+      offset += label[0].length;
+    }
+    if (!body.trim()) throw new RuleError('Missing condition before the arrow', line, offset + 1);
+
+    const target = trimmed.slice(arrow.index + arrow[0].length);
+    const column = indent + arrow.index + arrow[0].length + 1;
+    const action = ACTION.exec(target);
+    if (!action || !ACTIONS.includes(action[1].toUpperCase())) {
+      throw new RuleError(`Expected BUY, SELL or HOLD${target ? `, got "${target}"` : ''}`, line, column);
+    }
+    const weight = action[2] === undefined ? 1 : Number(action[2]);
+    if (!(weight > 0 && weight <= MAX_WEIGHT)) {
+      throw new RuleError(`Weight must be a number above 0 and up to ${MAX_WEIGHT}, got "${action[2]}"`, line, column);
+    }
+
+    let condition;
+    try {
+      condition = Conditions.compile(body);
+    } catch (err) {
+      if (err.name !== 'ConditionError') throw err;
+      const message = err.message.replace(/ at position \d+$/, '');
+      throw new RuleError(message, line, err.position == null ? null : offset + err.position + 1);
+    }
+
+    return {
+      line,
+      label: label ? label[1].trim() : body.trim(),
+      source: trimmed,
+      condition,
+      action: action[1].toUpperCase(),
+      weight
+    };
+  }
+
+  // Every problem in a rule set, for the editor: [{ line, column, message }]
+  function check(text) {
+    const errors = [];
+    let rules = 0;
+    String(text || '').split(/\r?\n/).forEach((lineText, i) => {
+      try {
+        if (parseLine(lineText, i + 1)) rules++;
+      } catch (err) {
+        if (err.name !== 'RuleError') throw err;
+        errors.push({ line: err.line, column: err.column, message: err.message });
+      }
+    });
+    if (errors.length === 0 && rules === 0) errors.push({ line: null, column: null, message: 'No rules: add at least one "condition -> ACTION" line' });
+    return errors;
+  }
+
+  // Compiles a rule set; throws the first RuleError
+  function compile(text) {
+    const rules = String(text || '').split(/\r?\n/).map((lineText, i) => parseLine(lineText, i + 1)).filter(Boolean);
+    if (rules.length === 0) throw new RuleError('No rules: add at least one "condition -> ACTION" line', 1);
+    return { text: String(text), rules };
+  }
+
+  // ============ EVALUATION ============
+  // Matching rules vote with their weight. BUY or SELL wins with more weight
+  // than the other; otherwise (nothing matched, a tie, only HOLD) it is HOLD.
+  //
+  //   confidence = 50 + 50 * (winner - opposing) / matched weight * winner / all rule weight
+  //
+  // so it grows with agreement among the rules that matched and with how
+  // much of the whole set agreed. HOLD is always 50. Rules reading a value
+  // the payload does not have are listed as skipped.
+  function evaluate(ruleSet, data) {
+    const votes = { BUY: 0, SELL: 0, HOLD: 0 };
+    const matched = [];
+    const skipped = [];
+    const total = ruleSet.rules.reduce((a, r) => a + r.weight, 0);
+
+    ruleSet.rules.forEach(rule => {
+      const missing = rule.condition.fields.filter(f => {
+        const v = Conditions.read(f, data);
+        return v === null || v === undefined || !isFinite(v);
+      });
+      if (missing.length > 0) {
+        skipped.push({ label: rule.label, line: rule.line, missing });
+        return;
+      }
+      if (!rule.condition.test(data)) return;
+      votes[rule.action] += rule.weight;
+      matched.push({ label: rule.label, line: rule.line, action: rule.action, weight: rule.weight });
+    });
+
+    const recommendation = votes.BUY > votes.SELL ? 'BUY' : votes.SELL > votes.BUY ? 'SELL' : 'HOLD';
+    const matchedWeight = votes.BUY + votes.SELL + votes.HOLD;
+    let confidence = 50;
+    if (recommendation !== 'HOLD') {
+      const winner = votes[recommendation];
+      const opposing = votes[recommendation === 'BUY' ? 'SELL' : 'BUY'];
+      confidence = Math.round(50 + 50 * ((winner - opposing) / matchedWeight) * (winner / total));
+    }
+
+    return {
+      recommendation,
+      direction: DIRECTIONS[recommendation],
+      confidence,
+      votes,
+      matched,
+      skipped,
+      // Nothing could be evaluated: every rule reads a value that is missing
+      evaluable: skipped.length < ruleSet.rules.length
+    };
+  }
+
+  // ============ SHARING ============
+  // A rule set as a copyable code: base64 of { name, text }
+  function encodeShare(set) {
+    const json = JSON.stringify({ name: set.name, text: set.text });
+    return btoa(unescape(encodeURIComponent(json)));
+  }
+
+  // Throws RuleError when the code is not a shared rule set
+  function decodeShare(code) {
+    let set;
+    try {
+      set = JSON.parse(decodeURIComponent(escape(atob(String(code).trim()))));
+    } catch (err) {
+      throw new RuleError('Not a rule set share code', 1);
+    }
+    if (!set || typeof set.text !== 'string') throw new RuleError('Not a rule set share code', 1);
+    compile(set.text);
+    return { name: typeof set.name === 'string' && set.name.trim() ? set.name.trim() : 'Shared rules', text: set.text };
+  }
+
+  return {
+    ACTIONS,
+    DEFAULT_TEXT,
+    RuleError,
+    parseLine,
+    check,
+    compile,
+    evaluate,
+    encodeShare,
+    decodeShare
+  };
+});
@@ -0,0 +1,525 @@
+// js/stream.js
+// Live market streaming over Binance-style WebSockets: 24h ticker, klines and
+// a local order book kept in sync from a REST snapshot plus depth diffs.
+// Loaded by index.html as window.Stream and requireable from Node.
+//
+// Indicators are recomputed incrementally: the closed candles seed one
+// running calculator per indicator (the same formulas as
+// netlify/lib/indicators.js, so the values match the server's), and every
+// closed kline afterwards costs one O(1) step instead of a full recompute.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Stream = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const BINANCE = { ws: 'wss://stream.binance.com:9443', rest: 'https://api.binance.com' };
+
+  const KLINE_INTERVALS = { '1M': '1m', '5M': '5m', '15M': '15m', '1H': '1h', '4H': '4h', '1D': '1d', '1W': '1w' };
+
+  const DEFAULTS = {
+    depthLimit: 1000,       // levels in the REST snapshot
+    maxCandles: 1000,       // candles kept in memory while streaming
+    reconnectMin: 1000,
+    reconnectMax: 30000,
+    silenceMs: 30000        // no message for this long means a dead socket
+  };
+
+  // ============ INCREMENTAL INDICATORS ============
+  // Each calculator takes one value per bar and returns its output for that
+  // bar (null while warming up), mirroring the full-series function.
+
+  // Restarts on a null input, like ta.sma
+  function smaCalc(period) {
+    let window = [], sum = 0;
+    return v => {
+      if (v === null) { window = []; sum = 0; return null; }
+      window.push(v);
+      sum += v;
+      if (window.length > period) sum -= window.shift();
+      return window.length >= period ? sum / period : null;
+    };
+  }
+
+  // Seeded with the SMA of the first `period` non-null values (ta.ema); with
+  // `wilder` it smooths by 1/period instead (ta.wilder)
+  function emaCalc(period, wilder = false) {
+    const k = wilder ? 1 / period : 2 / (period + 1);
+    let seed = [], prev = null;
+    return v => {
+      if (v === null) return prev === null ? null : prev;
+      if (prev === null) {
+        seed.push(v);
+        if (seed.length < period) return null;
+        prev = seed.reduce((a, x) => a + x, 0) / period;
+        seed = null;
+        return prev;
+      }
+      prev = (v - prev) * k + prev;
+      return prev;
+    };
+  }
+
+  function windowCalc(period) {
+    const values = [];
+    return v => {
+      values.push(v);
+      if (values.length > period) values.shift();
+      return values.length === period ? values : null;
+    };
+  }
+
+  function createCalculators() {
+    return {
+      prev: null,         // previous candle
+      ema20: emaCalc(20), ema50: emaCalc(50), ema200: emaCalc(200),
+      sma20: smaCalc(20), sma50: smaCalc(50),
+      gain: emaCalc(14, true), loss: emaCalc(14, true),
+      macdFast: emaCalc(12), macdSlow: emaCalc(26), macdSignal: emaCalc(9),
+      bb: windowCalc(20),
+      atr: emaCalc(14, true),
+      adx: emaCalc(14, true),
+      dm: { tr: 0, plus: 0, minus: 0, n: 0 },
+      highs: windowCalc(14), lows: windowCalc(14), stochD: smaCalc(3),
+      volume: smaCalc(20)
+    };
+  }
+
+  // Advances every calculator by one closed candle; returns that bar's values
+  function step(c, candle) {
+    const { close, high, low, volume } = candle;
+    const prev = c.prev;
+    const out = {};
+
+    out.ema20 = c.ema20(close);
+    out.ema50 = c.ema50(close);
+    out.ema200 = c.ema200(close);
+    out.sma20 = c.sma20(close);
+    out.sma50 = c.sma50(close);
+
+    // RSI: Wilder averages of gains and losses from bar 1
+    if (prev) {
+      const change = close - prev.close;
+      const g = c.gain(Math.max(change, 0));
+      const l = c.loss(Math.max(-change, 0));
+      out.rsi = g === null || l === null ? null : l === 0 ? (g === 0 ? 50 : 100) : 100 - 100 / (1 + g / l);
+    } else {
+      out.rsi = null;
+    }
+
+    const fast = c.macdFast(close);
+    const slow = c.macdSlow(close);
+    const line = fast !== null && slow !== null ? fast - slow : null;
+    const signal = c.macdSignal(line);
+    out.macd = { line, signal: line === null ? null : signal, histogram: line !== null && signal !== null ? line - signal : null };
+
+    const bbWindow = c.bb(close);
+    if (bbWindow && out.sma20 !== null) {
+      const middle = out.sma20;
+      const sd = Math.sqrt(bbWindow.reduce((a, x) => a + Math.pow(x - middle, 2), 0) / bbWindow.length);
+      const upper = middle + sd * 2, lower = middle - sd * 2;
+      out.bollinger = {
+        upper, middle, lower,
+        bandwidth: middle !== 0 ? (upper - lower) / middle * 100 : null,
+        percentB: upper !== lower ? (close - lower) / (upper - lower) : 0.5
+      };
+    } else {
+      out.bollinger = { upper: null, middle: null, lower: null, bandwidth: null, percentB: null };
+    }
+
+    // ATR skips bar 0, which has no previous close
+    const tr = prev ? Math.max(high - low, Math.abs(high - prev.close), Math.abs(low - prev.close)) : high - low;
+    out.atr = prev ? c.atr(tr) : null;
+
+    // ADX: Wilder sums of TR and directional movement, DI from bar 14, ADX from bar 27
+    out.plusDI = null; out.minusDI = null; out.adx = null;
+    if (prev) {
+      const up = high - prev.high;
+      const down = prev.low - low;
+      const plusDM = up > down && up > 0 ? up : 0;
+      const minusDM = down > up && down > 0 ? down : 0;
+      const dm = c.dm;
+      dm.n++;
+      if (dm.n <= 14) {
+        dm.tr += tr; dm.plus += plusDM; dm.minus += minusDM;
+      } else {
+        dm.tr = dm.tr - dm.tr / 14 + tr;
+        dm.plus = dm.plus - dm.plus / 14 + plusDM;
+        dm.minus = dm.minus - dm.minus / 14 + minusDM;
+      }
+      if (dm.n >= 14) {
+        out.plusDI = dm.tr === 0 ? 0 : 100 * dm.plus / dm.tr;
+        out.minusDI = dm.tr === 0 ? 0 : 100 * dm.minus / dm.tr;
+        const sum = out.plusDI + out.minusDI;
+        out.adx = c.adx(sum === 0 ? 0 : 100 * Math.abs(out.plusDI - out.minusDI) / sum);
+      }
+    }
+
+    const highs = c.highs(high);
+    const lows = c.lows(low);
+    let k = null;
+    if (highs) {
+      const highest = Math.max(...highs), lowest = Math.min(...lows);
+      k = highest === lowest ? 50 : (close - lowest) / (highest - lowest) * 100;
+    }
+    out.stochastic = { k, d: c.stochD(k) };
+
+    out.volumeAverage = c.volume(volume);
+
+    c.prev = candle;
+    return out;
+  }
+
+  const SERIES_KEYS = ['ema20', 'ema50', 'ema200', 'sma20', 'sma50', 'rsi', 'atr', 'adx', 'plusDI', 'minusDI'];
+  const CROSS_PAIRS = {
+    macd: o => [o.macd.line, o.macd.signal],
+    ema20_50: o => [o.ema20, o.ema50],
+    ema50_200: o => [o.ema50, o.ema200],
+    stochastic: o => [o.stochastic.k, o.stochastic.d]
+  };
+
+  function emptySeries() {
+    const series = Object.fromEntries(SERIES_KEYS.map(k => [k, []]));
+    series.macd = { line: [], signal: [], histogram: [] };
+    series.bollinger = { upper: [], middle: [], lower: [], bandwidth: [], percentB: [] };
+    series.stochastic = { k: [], d: [] };
+    return series;
+  }
+
+  // closed: candles that have finished, oldest first
+  function createIndicators(closed) {
+    const state = { calc: createCalculators(), series: emptySeries(), last: null, prevOut: null, crossovers: {} };
+    closed.forEach(candle => pushCandle(state, candle));
+    return state;
+  }
+
+  function pushCandle(state, candle) {
+    const out = step(state.calc, candle);
+    const s = state.series;
+    const index = s.ema20.length;
+
+    SERIES_KEYS.forEach(k => s[k].push(out[k]));
+    ['line', 'signal', 'histogram'].forEach(k => s.macd[k].push(out.macd[k]));
+    Object.keys(s.bollinger).forEach(k => s.bollinger[k].push(out.bollinger[k]));
+    s.stochastic.k.push(out.stochastic.k);
+    s.stochastic.d.push(out.stochastic.d);
+
+    if (state.prevOut) {
+      Object.entries(CROSS_PAIRS).forEach(([name, pick]) => {
+        const [pa, pb] = pick(state.prevOut), [a, b] = pick(out);
+        if ([pa, pb, a, b].some(v => v === null)) return;
+        if (pa <= pb && a > b) state.crossovers[name] = { index, type: 'bullish' };
+        else if (pa >= pb && a < b) state.crossovers[name] = { index, type: 'bearish' };
+      });
+    }
+
+    state.prevOut = out;
+    state.last = { ...out, volume: candle.volume };
+    return state;
+  }
+
+  // Drops the oldest `n` bars from the series so they stay aligned with a
+  // trimmed candle list
+  function trimIndicators(state, n) {
+    if (n <= 0) return;
+    const s = state.series;
+    SERIES_KEYS.forEach(k => s[k].splice(0, n));
+    [s.macd, s.bollinger, s.stochastic].forEach(group => Object.values(group).forEach(arr => arr.splice(0, n)));
+    Object.keys(state.crossovers).forEach(k => {
+      const c = state.crossovers[k];
+      state.crossovers[k] = c.index - n >= 0 ? { ...c, index: c.index - n } : null;
+    });
+  }
+
+  // Latest values in the market-data indicators shape
+  function snapshot(state) {
+    const o = state.last;
+    if (!o) return null;
+    const crossover = name => state.crossovers[name] || null;
+    return {
+      rsi: o.rsi,
+      macd: { value: o.macd.line, signal: o.macd.signal, histogram: o.macd.histogram },
+      ema20: o.ema20,
+      ema50: o.ema50,
+      ema200: o.ema200,
+      sma20: o.sma20,
+      sma50: o.sma50,
+      bollingerBands: o.bollinger,
+      atr: o.atr,
+      adx: o.adx,
+      plusDI: o.plusDI,
+      minusDI: o.minusDI,
+      stochastic: o.stochastic,
+      relativeVolume: o.volumeAverage ? {
+        current: o.volume,
+        average: o.volumeAverage,
+        ratio: o.volume / o.volumeAverage,
+        trend: o.volume > o.volumeAverage ? 'increasing' : 'decreasing'
+      } : null,
+      crossovers: {
+        macd: crossover('macd'),
+        ema20_50: crossover('ema20_50'),
+        ema50_200: crossover('ema50_200'),
+        stochastic: crossover('stochastic')
+      },
+      series: state.series
+    };
+  }
+
+  // ============ LIVE CANDLES ============
+  // candles: the payload's history, whose last bar may still be forming.
+  // It only counts as closed once a kline says so or a newer bar starts.
+  function createLiveSeries(candles, maxCandles = DEFAULTS.maxCandles) {
+    const list = candles.slice(-maxCandles);
+    const closed = list.slice(0, -1);
+    return {
+      candles: list,
+      indicators: createIndicators(closed),
+      lastClosed: closed.length > 0 ? closed[closed.length - 1].time : null,
+      maxCandles
+    };
+  }
+
+  // Merges a kline into the series; returns true when a bar closed (and the
+  // indicators moved on)
+  function applyKline(live, kline) {
+    const { closed, ...candle } = kline;
+    const list = live.candles;
+    const last = list[list.length - 1];
+    let closedBar = false;
+
+    if (last && candle.time < last.time) return false;
+    if (last && candle.time === last.time) {
+      list[list.length - 1] = candle;
+    } else {
+      // A new bar implies the previous one closed, even if its final kline was missed
+      if (last && last.time !== live.lastClosed) {
+        pushCandle(live.indicators, last);
+        live.lastClosed = last.time;
+        closedBar = true;
+      }
+      list.push(candle);
+    }
+
+    if (closed && candle.time !== live.lastClosed) {
+      pushCandle(live.indicators, candle);
+      live.lastClosed = candle.time;
+      closedBar = true;
+    }
+
+    const excess = list.length - live.maxCandles;
+    if (excess > 0) {
+      list.splice(0, excess);
+      trimIndicators(live.indicators, excess);
+    }
+    return closedBar;
+  }
+
+  // ============ ORDER BOOK SYNC ============
+  // Binance diff-depth protocol: buffer diffs, take a REST snapshot, drop
+  // diffs with u <= lastUpdateId, the first applied diff must straddle
+  // lastUpdateId + 1, and each later one must start at the previous u + 1.
+  // Anything else is a gap and the book has to be rebuilt.
+  function createBook(snapshot) {
+    const book = { lastUpdateId: snapshot.lastUpdateId, synced: false, bids: new Map(), asks: new Map() };
+    snapshot.bids.forEach(([p, q]) => setLevel(book.bids, p, q));
+    snapshot.asks.forEach(([p, q]) => setLevel(book.asks, p, q));
+    return book;
+  }
+
+  // Returns 'applied', 'stale' (already in the snapshot) or 'gap'
+  function applyDiff(book, event) {
+    if (event.u <= book.lastUpdateId) return 'stale';
+    const expected = book.lastUpdateId + 1;
+    if (book.synced ? event.U !== expected : event.U > expected) return 'gap';
+
+    event.b.forEach(([p, q]) => setLevel(book.bids, p, q));
+    event.a.forEach(([p, q]) => setLevel(book.asks, p, q));
+    book.lastUpdateId = event.u;
+    book.synced = true;
+    return 'applied';
+  }
+
+  function setLevel(side, price, qty) {
+    const q = parseFloat(qty);
+    if (q === 0) side.delete(price);
+    else side.set(price, q);
+  }
+
+  // Best `depth` levels each side as { price, qty }, best first
+  function topLevels(book, depth = 10) {
+    const levels = (side, desc) => [...side.entries()]
+      .map(([p, q]) => ({ price: parseFloat(p), qty: q }))
+      .sort((a, b) => desc ? b.price - a.price : a.price - b.price)
+      .slice(0, depth);
+    return { bids: levels(book.bids, true), asks: levels(book.asks, false), lastUpdateId: book.lastUpdateId };
+  }
+
+  // ============ STREAM CONNECTION ============
+  // options: { symbol (exchange symbol, e.g. BTCUSDT), timeframe, server
+  //   ({ ws, rest }, defaults to Binance), onTicker, onKline, onBook,
+  //   onStatus, WebSocket, fetch }
+  // Returns { close() }. Status goes connecting -> syncing -> live, with
+  // 'resyncing' after a depth gap and 'reconnecting' after a dropped socket.
+  function connect(options) {
+    const opts = { ...DEFAULTS, ...options };
+    const server = opts.server || BINANCE;
+    const WS = opts.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    const fetchFn = opts.fetch || (typeof fetch !== 'undefined' ? fetch : null);
+    const interval = KLINE_INTERVALS[opts.timeframe];
+    const name = opts.symbol.toLowerCase();
+    if (!WS || !fetchFn) throw new Error('WebSocket streaming is not available here');
+    if (!interval) throw new Error(`No kline stream for timeframe ${opts.timeframe}`);
+
+    const streams = [`${name}@ticker`, `${name}@kline_${interval}`, `${name}@depth@100ms`].join('/');
+    const status = (state, detail) => opts.onStatus && opts.onStatus({ state, detail, time: Date.now() });
+
+    let socket = null, book = null, buffer = [], generation = 0;
+    let closed = false, attempts = 0, retryTimer = null, watchdog = null, lastMessage = 0;
+
+    const open = () => {
+      status(attempts === 0 ? 'connecting' : 'reconnecting');
+      book = null;
+      buffer = [];
+      lastMessage = Date.now();
+      socket = new WS(`${server.ws}/stream?streams=${streams}`);
+      socket.onopen = () => {
+        status('syncing');
+        loadSnapshot();
+      };
+      socket.onmessage = e => {
+        lastMessage = Date.now();
+        let msg;
+        try { msg = JSON.parse(e.data); } catch (err) { return; }
+        const data = msg.data || msg;
+        if (data.e === '24hrTicker') opts.onTicker && opts.onTicker(toTicker(data));
+        else if (data.e === 'kline') opts.onKline && opts.onKline(toKline(data.k));
+        else if (data.e === 'depthUpdate') onDepth(data);
+      };
+      socket.onerror = () => status('error', 'WebSocket error');
+      socket.onclose = () => {
+        socket = null;
+        if (!closed) scheduleReconnect();
+      };
+    };
+
+    const scheduleReconnect = () => {
+      const delay = Math.min(opts.reconnectMax, opts.reconnectMin * Math.pow(2, attempts++));
+      status('reconnecting', `retry in ${Math.round(delay / 1000)}s`);
+      retryTimer = setTimeout(open, delay);
+    };
+
+    // Diffs keep buffering while the snapshot is in flight; a newer resync
+    // makes an older snapshot response irrelevant
+    const loadSnapshot = async () => {
+      const current = ++generation;
+      try {
+        const r = await fetchFn(`${server.rest}/api/v3/depth?symbol=${opts.symbol.toUpperCase()}&limit=${opts.depthLimit}`);
+        const snap = await r.json();
+        if (current !== generation || closed) return;
+        if (!Array.isArray(snap.bids)) throw new Error(snap.msg || 'Bad depth snapshot');
+
+        book = createBook(snap);
+        const pending = buffer;
+        buffer = [];
+        for (const event of pending) {
+          if (applyDiff(book, event) === 'gap') return resync('buffered diffs do not follow the snapshot');
+        }
+        attempts = 0;
+        status('live');
+        opts.onBook && opts.onBook(book);
+      } catch (err) {
+        if (current !== generation || closed) return;
+        status('error', err.message);
+        // Drop the socket; reconnecting starts the sync from scratch
+        if (socket) socket.close();
+      }
+    };
+
+    const resync = reason => {
+      status('resyncing', reason);
+      book = null;
+      buffer = [];
+      loadSnapshot();
+    };
+
+    const onDepth = event => {
+      if (!book) {
+        buffer.push(event);
+        return;
+      }
+      const result = applyDiff(book, event);
+      if (result === 'gap') resync(`missed updates ${book.lastUpdateId + 1}..${event.U - 1}`);
+      else if (result === 'applied') opts.onBook && opts.onBook(book);
+    };
+
+    watchdog = setInterval(() => {
+      if (socket && Date.now() - lastMessage > opts.silenceMs) {
+        status('reconnecting', 'stream went silent');
+        socket.close();
+      }
+    }, Math.min(opts.silenceMs, 5000));
+
+    open();
+
+    return {
+      close() {
+        closed = true;
+        clearTimeout(retryTimer);
+        clearInterval(watchdog);
+        if (socket) socket.close();
+        status('closed');
+      }
+    };
+  }
+
+  // "http://localhost:8787" -> { ws: 'ws://localhost:8787', rest: 'http://localhost:8787' }
+  function serverFor(url) {
+    if (!url) return BINANCE;
+    const rest = url.replace(/\/+$/, '');
+    return { ws: rest.replace(/^http/, 'ws'), rest };
+  }
+
+  // ============ HELPER FUNCTIONS ============
+  function toTicker(t) {
+    return {
+      price: parseFloat(t.c),
+      change: parseFloat(t.p),
+      changePercent: parseFloat(t.P),
+      high24h: parseFloat(t.h),
+      low24h: parseFloat(t.l),
+      volume: parseFloat(t.v),
+      bid: parseFloat(t.b),
+      ask: parseFloat(t.a),
+      time: t.E
+    };
+  }
+
+  function toKline(k) {
+    return {
+      time: k.t,
+      open: parseFloat(k.o),
+      high: parseFloat(k.h),
+      low: parseFloat(k.l),
+      close: parseFloat(k.c),
+      volume: parseFloat(k.v),
+      closed: k.x
+    };
+  }
+
+  return {
+    BINANCE,
+    KLINE_INTERVALS,
+    DEFAULTS,
+    createIndicators,
+    pushCandle,
+    trimIndicators,
+    snapshot,
+    createLiveSeries,
+    applyKline,
+    createBook,
+    applyDiff,
+    topLevels,
+    connect,
+    serverFor
+  };
+});
@@ -0,0 +1,344 @@
+// js/voice-intents.js
+// Turns a spoken command into an intent with slots:
+//
+//   "analyze Microsoft on the daily"        { action: 'analyze', symbol: 'MSFT', timeframe: '1D' }
+//   "buy zero point five bitcoin at 60k"    { action: 'buy', symbol: 'BTCUSD', quantity: 0.5, orderType: 'limit', price: 60000 }
+//   "alert me when gold goes above 2500"    { action: 'alert', symbol: 'XAUUSD', alert: { type: 'price-cross', ... } }
+//
+// Symbols are matched against the name/alias catalog (js/catalog.js), then
+// against tickers the recognizer wrote in capitals. No UI or speech code
+// here: index.html speaks describe() / feedback() and carries out the
+// intent. Loaded as window.VoiceIntents and requireable from Node.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./catalog'));
+  else root.VoiceIntents = factory(root.Catalog);
+})(typeof self !== 'undefined' ? self : this, function (Catalog) {
+  const ACTIONS = ['analyze', 'buy', 'sell', 'close', 'alert', 'portfolio', 'movers', 'depth', 'confirm', 'cancel', 'unknown'];
+
+  // Trades wait for a spoken "yes"
+  const CONFIRM_ACTIONS = ['buy', 'sell', 'close'];
+
+  const EXAMPLES = [
+    'Analyze Microsoft on the daily',
+    'Show Ethereum on the four hour',
+    'Buy 0.1 Bitcoin',
+    'Sell 500 dollars of Solana at 160',
+    'Close my Bitcoin position',
+    'Alert me when gold goes above 2500',
+    'Alert me when RSI on Tesla drops below 30',
+    'Show portfolio',
+    'Show movers',
+    'Order book for Ethereum'
+  ];
+
+  // ============ NUMBERS ============
+  const UNITS = {
+    zero: 0, oh: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+  };
+  const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+  const SCALES = { hundred: 100, thousand: 1000, million: 1e6 };
+  const NUMBER = '(\\d+(?:\\.\\d+)?)';
+
+  const isDigits = w => /^\d+(\.\d+)?$/.test(w);
+  const isNumberWord = w => w in UNITS || w in TENS;
+
+  // "seventy two thousand" -> "72000", "zero point five" -> "0.5",
+  // "a hundred" -> "100", "half a" -> "0.5", "70 thousand" -> "70000"
+  function wordsToNumbers(words) {
+    const out = [];
+    for (let i = 0; i < words.length;) {
+      const w = words[i], next = words[i + 1];
+      if (w === 'half' && (next === 'a' || next === 'an')) {
+        out.push('0.5');
+        i += 2;
+        continue;
+      }
+      const starts = isNumberWord(w) || (isDigits(w) && next in SCALES) || ((w === 'a' || w === 'one') && next in SCALES);
+      if (!starts || (w === 'oh' && !isNumberWord(next || ''))) {
+        out.push(w);
+        i++;
+        continue;
+      }
+
+      let total = 0, current = 0, decimals = '';
+      while (i < words.length) {
+        const x = words[i];
+        if (x in UNITS || x in TENS) current += UNITS[x] ?? TENS[x];
+        else if (isDigits(x) && current === 0 && total === 0) current = parseFloat(x);
+        else if (x === 'a' && words[i + 1] in SCALES && current === 0) current = 1;
+        else if (x === 'hundred') current = (current || 1) * 100;
+        else if (x in SCALES) { total += (current || 1) * SCALES[x]; current = 0; }
+        else if (x === 'and' && isNumberWord(words[i + 1] || '')) { /* "one hundred and five" */ }
+        else if (x === 'point' && (words[i + 1] in UNITS || isDigits(words[i + 1] || ''))) {
+          i++;
+          while (i < words.length && (words[i] in UNITS && UNITS[words[i]] < 10 || /^\d+$/.test(words[i]))) {
+            decimals += words[i] in UNITS ? UNITS[words[i]] : words[i];
+            i++;
+          }
+          break;
+        } else break;
+        i++;
+      }
+      out.push(String(total + current + (decimals ? parseFloat('0.' + decimals) : 0)));
+    }
+    return out;
+  }
+
+  // Letters spelled out one by one ("b t c") become one word
+  function joinSpelled(words) {
+    const out = [];
+    for (let i = 0; i < words.length;) {
+      let j = i;
+      while (j < words.length && /^[a-z]$/.test(words[j]) && words[j] !== 'a') j++;
+      if (j - i >= 2) {
+        out.push(words.slice(i, j).join(''));
+        i = j;
+      } else {
+        out.push(words[i]);
+        i++;
+      }
+    }
+    return out;
+  }
+
+  function normalize(text) {
+    const t = String(text || '')
+      .toLowerCase()
+      .replace(/(\d),(?=\d{3}\b)/g, '$1')
+      .replace(/\$\s?(\d+(?:\.\d+)?)(k?)/g, '$1$2 dollars')
+      .replace(/(\d+(?:\.\d+)?)k\b/g, (m, n) => String(parseFloat(n) * 1000))
+      .replace(/%/g, ' percent')
+      .replace(/p&l/g, 'pnl')
+      .replace(/\.(?!\d)/g, ' ')
+      .replace(/[^a-z0-9.'@ ]/g, ' ');
+    return joinSpelled(wordsToNumbers(t.split(/\s+/).filter(Boolean))).join(' ');
+  }
+
+  // ============ SLOTS ============
+  const TIMEFRAMES = [
+    ['15M', /\b(15 ?(minutes?|mins?|m)|m15|quarter hour)\b/],
+    ['5M', /\b(5 ?(minutes?|mins?|m)|m5)\b/],
+    ['1M', /\b(1 ?(minutes?|mins?|m)|m1|minute (chart|timeframe|candles?))\b/],
+    ['4H', /\b(4 ?(hours?|hourly|hrs?|h)|h4)\b/],
+    ['1H', /\b(1 ?(hours?|hrs?|h)|h1|hourly|an hour|hour (chart|timeframe|candles?))\b/],
+    ['1D', /\b(1 ?(days?|d)|d1|daily|day (chart|timeframe|candles?))\b/],
+    ['1W', /\b(1 ?(weeks?|w)|w1|weekly|week (chart|timeframe|candles?))\b/]
+  ];
+
+  function findTimeframe(text) {
+    for (const [tf, re] of TIMEFRAMES) {
+      const m = text.match(re);
+      if (m) return { timeframe: tf, rest: text.replace(m[0], ' ') };
+    }
+    return { timeframe: null, rest: text };
+  }
+
+  // phrase -> catalog entry, for names, aliases and symbols
+  function buildIndex(catalog) {
+    const index = new Map();
+    const add = (phrase, entry) => {
+      const key = phrase.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+      if (key && !index.has(key)) index.set(key, entry);
+    };
+    for (const entry of catalog) {
+      add(entry.symbol, entry);
+      add(entry.name, entry);
+      entry.aliases.forEach(a => add(a, entry));
+    }
+    return index;
+  }
+
+  let defaultIndex = null;
+
+  // Longest catalog phrase in the text; "eur usd" also matches EURUSD
+  function findSymbol(text, original, index) {
+    const words = text.split(' ');
+    for (let n = Math.min(3, words.length); n >= 1; n--) {
+      for (let i = 0; i + n <= words.length; i++) {
+        const phrase = words.slice(i, i + n).join(' ');
+        const entry = index.get(phrase) || (n > 1 ? index.get(phrase.replace(/ /g, '')) : null);
+        if (entry) {
+          return { symbol: entry.symbol, name: entry.name, rest: [...words.slice(0, i), ...words.slice(i + n)].join(' ') };
+        }
+      }
+    }
+    // Tickers outside the catalog: "ticker pltr", or capitals in the transcript
+    const named = text.match(/\b(?:ticker|symbol)\s+([a-z]{1,6})\b/);
+    const caps = String(original || '').match(/\b[A-Z]{2,6}\b/g) || [];
+    const ticker = named ? named[1].toUpperCase() : caps.find(c => !NOT_TICKERS.includes(c));
+    if (ticker) return { symbol: ticker, name: ticker, rest: text.replace(new RegExp(`\\b${ticker.toLowerCase()}\\b`), ' ') };
+    return { symbol: null, name: null, rest: text };
+  }
+
+  const NOT_TICKERS = ['OK', 'RSI', 'MACD', 'USD', 'PNL', 'AM', 'PM', 'ATR', 'EMA', 'SMA', 'SL', 'TP', 'ID'];
+
+  const ACTION_PATTERNS = [
+    ['alert', /\b(alert|alerts|notify|remind|let me know|tell me when|ping me|warn me)\b/],
+    ['close', /\b(close|exit|flatten|liquidate|get out of)\b/],
+    ['buy', /\b(buy|purchase|go long|long)\b/],
+    ['sell', /\b(sell|go short|short)\b/],
+    ['portfolio', /\b(portfolio|positions?|account|balance|pnl|p and l|holdings)\b/],
+    ['movers', /\b(movers|gainers|losers)\b/],
+    ['depth', /\b(depth|order ?book)\b/],
+    ['analyze', /\b(analy[sz]e|analysis|check|show|look at|open|chart|load|switch|change|go to|what about|how is|how's|price of|pull up)\b/]
+  ];
+
+  const CONFIRM = /^(yes|yeah|yep|yup|sure|confirm|confirmed|do it|go ahead|affirmative|correct|execute)( (please|it|that|the trade|the order|now))*$/;
+  const CANCEL = /^(no|nope|cancel|abort|stop|never mind|nevermind|don't|do not|forget it)( (please|it|that|the trade|the order))*$/;
+
+  function findAction(text) {
+    if (CONFIRM.test(text)) return 'confirm';
+    if (CANCEL.test(text)) return 'cancel';
+    const hit = ACTION_PATTERNS.find(([, re]) => re.test(text));
+    return hit ? hit[0] : null;
+  }
+
+  // Order slots: "0.5", "500 dollars (worth)", "at / limit 60000",
+  // "stop 70000" (stop entry), "stop loss 58000", "take profit / target 65000"
+  function tradeSlots(text) {
+    const slots = { quantity: null, notional: null, orderType: 'market', price: null, stopLoss: null, takeProfit: null };
+    let rest = text;
+    const take = (re, fn) => {
+      const m = rest.match(re);
+      if (m) {
+        fn(m);
+        rest = rest.replace(m[0], ' ');
+      }
+    };
+    take(new RegExp(`\\bstop ?loss (?:at |of |to )?${NUMBER}`), m => { slots.stopLoss = parseFloat(m[1]); });
+    take(new RegExp(`\\b(?:take ?profit|target) (?:at |of |to )?${NUMBER}`), m => { slots.takeProfit = parseFloat(m[1]); });
+    take(new RegExp(`\\bstop (?:at |order at )?${NUMBER}`), m => { slots.orderType = 'stop'; slots.price = parseFloat(m[1]); });
+    take(new RegExp(`\\b(?:limit (?:at |price )?|at |@ ?|price )${NUMBER}`), m => { slots.orderType = 'limit'; slots.price = parseFloat(m[1]); });
+    take(new RegExp(`${NUMBER} (?:dollars?|bucks|usd|usdt)(?: worth)?`), m => { slots.notional = parseFloat(m[1]); });
+    take(new RegExp(`\\b${NUMBER}\\b`), m => { slots.quantity = parseFloat(m[1]); });
+    return slots;
+  }
+
+  // Alert conditions the alert engine (js/alerts.js) knows
+  function alertSlots(text) {
+    const num = re => { const m = text.match(re); return m ? parseFloat(m[m.length - 1]) : null; };
+    const ABOVE = '(?:above|over|higher than|exceeds?|past)';
+    const BELOW = '(?:below|under|lower than|beneath)';
+
+    if (/\brsi\b/.test(text) || /\b(overbought|oversold)\b/.test(text)) {
+      const upper = num(new RegExp(`\\brsi\\b.*?${ABOVE} ${NUMBER}`));
+      const lower = num(new RegExp(`\\brsi\\b.*?${BELOW} ${NUMBER}`));
+      return { type: 'rsi-zone', params: { lower: lower ?? 30, upper: upper ?? 70 } };
+    }
+    if (/\bmacd\b/.test(text)) {
+      const direction = /\b(positive|bullish|above zero|crosses up)\b/.test(text) ? 'positive'
+        : /\b(negative|bearish|below zero|crosses down)\b/.test(text) ? 'negative' : 'any';
+      return { type: 'macd-sign', params: { direction } };
+    }
+    const pct = num(new RegExp(`${NUMBER} percent`));
+    if (pct != null) {
+      const direction = /\b(up|rises?|jumps?|gains?|rall(y|ies))\b/.test(text) ? 'up'
+        : /\b(down|drops?|falls?|loses?|dumps?|crash(es)?)\b/.test(text) ? 'down' : 'any';
+      return { type: 'change-24h', params: { threshold: pct, direction } };
+    }
+    const above = num(new RegExp(`\\b${ABOVE} ${NUMBER}`));
+    if (above != null) return { type: 'price-cross', params: { level: above, direction: 'above' } };
+    const below = num(new RegExp(`\\b${BELOW} ${NUMBER}`));
+    if (below != null) return { type: 'price-cross', params: { level: below, direction: 'below' } };
+    const level = num(new RegExp(`\\b(?:cross(?:es)?|hits?|reach(?:es)?|touch(?:es)?|at) ${NUMBER}`));
+    if (level != null) return { type: 'price-cross', params: { level, direction: 'any' } };
+    return null;
+  }
+
+  // ============ PARSER ============
+  // options.catalog: [{ symbol, name, aliases }] (defaults to js/catalog.js)
+  function parse(transcript, options = {}) {
+    const index = options.catalog ? buildIndex(options.catalog) : (defaultIndex = defaultIndex || buildIndex(Catalog.entries()));
+    const text = normalize(transcript);
+    const intent = {
+      action: 'unknown', symbol: null, name: null, timeframe: null,
+      quantity: null, notional: null, orderType: null, price: null, stopLoss: null, takeProfit: null,
+      all: false, alert: null, missing: [], needsConfirmation: false, transcript: String(transcript || '')
+    };
+    if (!text) return intent;
+
+    const action = findAction(text);
+    if (action === 'confirm' || action === 'cancel') return { ...intent, action };
+
+    const tf = findTimeframe(text);
+    const sym = findSymbol(tf.rest, transcript, index);
+    Object.assign(intent, { timeframe: tf.timeframe, symbol: sym.symbol, name: sym.name });
+
+    // A bare symbol or timeframe means "show me that"
+    intent.action = action || (sym.symbol || tf.timeframe ? 'analyze' : 'unknown');
+
+    if (intent.action === 'buy' || intent.action === 'sell') {
+      Object.assign(intent, tradeSlots(sym.rest));
+      if (intent.quantity == null && intent.notional == null) intent.missing.push('quantity');
+    } else if (intent.action === 'close') {
+      intent.all = /\b(all|everything|every)\b/.test(sym.rest);
+    } else if (intent.action === 'alert') {
+      intent.alert = alertSlots(sym.rest);
+      if (!intent.alert) intent.missing.push('condition');
+    }
+    intent.needsConfirmation = CONFIRM_ACTIONS.includes(intent.action) && intent.missing.length === 0;
+    return intent;
+  }
+
+  // ============ SPEECH ============
+  const TF_WORDS = { '1M': 'one minute', '5M': 'five minute', '15M': 'fifteen minute', '1H': 'hourly', '4H': 'four hour', '1D': 'daily', '1W': 'weekly' };
+
+  // What the intent will do, in words to read back ('' for incomplete
+  // intents, see feedback). name: the instrument's name when the intent
+  // uses the current symbol.
+  function describe(intent, name) {
+    if (intent.missing.length) return '';
+    const what = intent.name || name || intent.symbol || 'this market';
+    const on = intent.timeframe ? ` on the ${TF_WORDS[intent.timeframe]} chart` : '';
+    switch (intent.action) {
+      case 'analyze': return `Analyzing ${what}${on}`;
+      case 'buy':
+      case 'sell': {
+        const size = intent.notional != null ? `${intent.notional} dollars of ${what}` : `${intent.quantity} ${what}`;
+        const how = intent.orderType === 'limit' ? ` with a limit at ${intent.price}` : intent.orderType === 'stop' ? ` on a stop at ${intent.price}` : ' at market';
+        const stops = [intent.stopLoss != null ? `stop loss ${intent.stopLoss}` : null, intent.takeProfit != null ? `take profit ${intent.takeProfit}` : null].filter(Boolean);
+        return `${intent.action === 'buy' ? 'Buy' : 'Sell'} ${size}${how}${stops.length ? ', ' + stops.join(', ') : ''}`;
+      }
+      case 'close': return intent.all ? 'Close all positions' : `Close your ${what} positions`;
+      case 'alert': return `Alert on ${what}${on}: ${alertWords(intent.alert)}`;
+      case 'portfolio': return 'Showing your portfolio';
+      case 'movers': return 'Loading movers';
+      case 'depth': return `Loading the order book for ${what}`;
+      default: return '';
+    }
+  }
+
+  function alertWords(alert) {
+    const p = alert.params;
+    switch (alert.type) {
+      case 'price-cross': return p.direction === 'any' ? `price crosses ${p.level}` : `price goes ${p.direction} ${p.level}`;
+      case 'rsi-zone': return `RSI leaves ${p.lower} to ${p.upper}`;
+      case 'macd-sign': return p.direction === 'any' ? 'MACD histogram changes sign' : `MACD histogram turns ${p.direction}`;
+      case 'change-24h': return `24 hour change ${p.direction === 'any' ? 'moves' : 'goes ' + p.direction} ${p.threshold} percent`;
+      default: return alert.type;
+    }
+  }
+
+  // Spoken help for commands that cannot run as heard
+  function feedback(intent) {
+    if (intent.action === 'unknown') {
+      return intent.transcript.trim()
+        ? `Sorry, I didn't understand "${intent.transcript.trim()}". Try: ${EXAMPLES[0]}`
+        : "I didn't hear anything";
+    }
+    if (intent.missing.includes('quantity')) return `How much? For example: ${intent.action} 0.1 ${intent.name || 'Bitcoin'}`;
+    if (intent.missing.includes('condition')) return `Alert on what? For example: alert me when ${intent.name || 'Bitcoin'} goes above 70000`;
+    return null;
+  }
+
+  return {
+    ACTIONS,
+    EXAMPLES,
+    normalize,
+    parse,
+    describe,
+    feedback
+  };
+});
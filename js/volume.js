@@ -0,0 +1,278 @@
+// js/volume.js
+// Volume analytics over OHLCV candles: session VWAP with standard deviation
+// bands, anchored VWAP, OBV, accumulation/distribution and a price-binned
+// volume profile with point of control and value area. Loaded by index.html
+// as window.Volume (live candles and a VWAP anchor picked on the chart are
+// recomputed in the page) and required by netlify/lib/market.js and levels.js.
+//
+// Sources that report no volume (most forex feeds send zeros) are flagged
+// with volume.available = false and every volume value left null.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Volume = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const DEFAULTS = {
+    minCoverage: 0.8,   // share of bars that must carry volume
+    profileBins: 24,
+    valueArea: 0.7,     // share of volume inside the value area
+    averagePeriod: 20,  // relative volume baseline
+    trendBars: 20       // OBV and A/D trend look-back
+  };
+
+  const typical = c => (c.high + c.low + c.close) / 3;
+
+  function coverage(candles) {
+    if (candles.length === 0) return 0;
+    return candles.filter(c => c.volume > 0).length / candles.length;
+  }
+
+  function hasVolume(candles, minCoverage = DEFAULTS.minCoverage) {
+    return candles.length > 0 && coverage(candles) >= minCoverage;
+  }
+
+  // ============ VWAP ============
+  // Sessions follow the bar size: UTC days for intraday bars, ISO weeks for
+  // daily bars and calendar months for weekly bars.
+  function sessionFor(candles) {
+    const len = candles.length;
+    const spacing = len > 1 ? candles[len - 1].time - candles[len - 2].time : NaN;
+    if (!(spacing >= DAY_MS)) return { name: 'day', key: t => Math.floor(t / DAY_MS) };
+    if (spacing < 7 * DAY_MS) return { name: 'week', key: t => Math.floor((t / DAY_MS + 3) / 7) };
+    return { name: 'month', key: t => { const d = new Date(t); return d.getUTCFullYear() * 12 + d.getUTCMonth(); } };
+  }
+
+  // Volume-weighted average of the typical price, restarting wherever
+  // restart(i) is true, with bands at 1 and 2 volume-weighted deviations.
+  // Bars before `from` hold null.
+  function accumulate(candles, restart, from = 0) {
+    const len = candles.length;
+    const out = { value: [], upper1: [], lower1: [], upper2: [], lower2: [] };
+    Object.values(out).forEach(arr => arr.length = len);
+    Object.values(out).forEach(arr => arr.fill(null));
+
+    let pv = 0, pv2 = 0, v = 0;
+    for (let i = from; i < len; i++) {
+      if (i === from || restart(i)) pv = pv2 = v = 0;
+      const c = candles[i], tp = typical(c), vol = c.volume || 0;
+      pv += tp * vol;
+      pv2 += tp * tp * vol;
+      v += vol;
+      if (v <= 0) continue;
+
+      const mean = pv / v;
+      const sd = Math.sqrt(Math.max(0, pv2 / v - mean * mean));
+      out.value[i] = mean;
+      out.upper1[i] = mean + sd;
+      out.lower1[i] = mean - sd;
+      out.upper2[i] = mean + 2 * sd;
+      out.lower2[i] = mean - 2 * sd;
+    }
+    return out;
+  }
+
+  function vwap(candles, session = sessionFor(candles)) {
+    return accumulate(candles, i => session.key(candles[i].time) !== session.key(candles[i - 1].time));
+  }
+
+  function anchoredVwap(candles, anchorIndex) {
+    const from = Math.max(0, Math.min(candles.length - 1, anchorIndex));
+    return accumulate(candles, () => false, from);
+  }
+
+  // The bar anchored VWAP starts from: the first bar at or after `anchor`
+  // (ms or ISO time) when given, else the older of the highest high and the
+  // lowest low - where the move spanning the loaded range began
+  function anchorFor(candles, anchor) {
+    if (anchor != null && anchor !== '') {
+      const time = typeof anchor === 'number' ? anchor : Date.parse(anchor);
+      const index = candles.findIndex(c => c.time >= time);
+      if (isFinite(time) && index !== -1) return { index, time: candles[index].time, reason: 'chosen' };
+    }
+    let high = 0, low = 0;
+    candles.forEach((c, i) => {
+      if (c.high >= candles[high].high) high = i;
+      if (c.low <= candles[low].low) low = i;
+    });
+    const index = Math.min(high, low);
+    return { index, time: candles[index].time, reason: index === high ? 'highest-high' : 'lowest-low' };
+  }
+
+  // ============ FLOW ============
+  function obv(candles) {
+    const out = [];
+    candles.forEach((c, i) => {
+      if (i === 0) return out.push(0);
+      const prev = candles[i - 1].close;
+      out.push(out[i - 1] + (c.close > prev ? c.volume : c.close < prev ? -c.volume : 0));
+    });
+    return out;
+  }
+
+  // Close location in the bar's range times volume, summed
+  function accumulationDistribution(candles) {
+    const out = [];
+    candles.forEach((c, i) => {
+      const range = c.high - c.low;
+      const multiplier = range > 0 ? ((c.close - c.low) - (c.high - c.close)) / range : 0;
+      out.push((i > 0 ? out[i - 1] : 0) + multiplier * (c.volume || 0));
+    });
+    return out;
+  }
+
+  function trend(series, bars = DEFAULTS.trendBars) {
+    if (series.length < 2) return null;
+    const change = series[series.length - 1] - series[Math.max(0, series.length - 1 - bars)];
+    return change > 0 ? 'rising' : change < 0 ? 'falling' : 'flat';
+  }
+
+  // ============ VOLUME PROFILE ============
+  // Each bar's volume is spread evenly over the price bins its range covers.
+  // The value area grows from the point of control towards the heavier
+  // neighbouring bin until it holds `valueArea` of the volume.
+  function volumeProfile(candles, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const lo = Math.min(...candles.map(c => c.low));
+    const hi = Math.max(...candles.map(c => c.high));
+    const count = hi > lo ? opts.profileBins : 1;
+    const size = hi > lo ? (hi - lo) / count : 0;
+    const bins = Array.from({ length: count }, (_, i) => ({ low: lo + i * size, high: lo + (i + 1) * size, volume: 0 }));
+    const binOf = price => size > 0 ? Math.min(count - 1, Math.floor((price - lo) / size)) : 0;
+
+    for (const c of candles) {
+      const vol = c.volume || 0;
+      if (vol <= 0) continue;
+      if (c.high <= c.low || size === 0) {
+        bins[binOf(c.close)].volume += vol;
+        continue;
+      }
+      for (let b = binOf(c.low); b <= binOf(c.high); b++) {
+        const overlap = Math.min(c.high, bins[b].high) - Math.max(c.low, bins[b].low);
+        if (overlap > 0) bins[b].volume += vol * overlap / (c.high - c.low);
+      }
+    }
+
+    const total = bins.reduce((a, b) => a + b.volume, 0);
+    if (total <= 0) return null;
+
+    let poc = 0;
+    bins.forEach((b, i) => { if (b.volume > bins[poc].volume) poc = i; });
+    let top = poc, bottom = poc, inside = bins[poc].volume;
+    while (inside < total * opts.valueArea && (top < count - 1 || bottom > 0)) {
+      const above = top < count - 1 ? bins[top + 1].volume : -1;
+      const below = bottom > 0 ? bins[bottom - 1].volume : -1;
+      if (above >= below) inside += bins[++top].volume;
+      else inside += bins[--bottom].volume;
+    }
+
+    return {
+      poc: (bins[poc].low + bins[poc].high) / 2,
+      vah: bins[top].high,
+      val: bins[bottom].low,
+      total,
+      binSize: size,
+      bins
+    };
+  }
+
+  // ============ SUMMARY ============
+  // Latest values in the market-data indicators shape plus the full series
+  // for the chart. options: { anchor, ...DEFAULTS }
+  function indicators(candles, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const share = coverage(candles);
+    if (!hasVolume(candles, opts.minCoverage)) {
+      return {
+        volume: {
+          available: false,
+          coverage: share,
+          reason: share === 0 ? 'No volume reported for this instrument' : `Only ${Math.round(share * 100)}% of bars carry volume`
+        },
+        relativeVolume: null,
+        vwap: null,
+        anchoredVwap: null,
+        obv: null,
+        accumulationDistribution: null,
+        volumeProfile: null,
+        series: {}
+      };
+    }
+
+    const len = candles.length;
+    const latest = s => ({ value: s.value[len - 1], upper1: s.upper1[len - 1], lower1: s.lower1[len - 1], upper2: s.upper2[len - 1], lower2: s.lower2[len - 1] });
+    const session = sessionFor(candles);
+    const sessionKey = session.key(candles[len - 1].time);
+    const sessionStart = candles.find(c => session.key(c.time) === sessionKey).time;
+    const anchor = anchorFor(candles, opts.anchor);
+    const vwapSeries = vwap(candles, session);
+    const anchoredSeries = anchoredVwap(candles, anchor.index);
+    const obvSeries = obv(candles);
+    const adSeries = accumulationDistribution(candles);
+
+    const recent = candles.slice(-opts.averagePeriod).map(c => c.volume || 0);
+    const average = recent.reduce((a, b) => a + b, 0) / recent.length;
+    const current = candles[len - 1].volume || 0;
+
+    return {
+      volume: { available: true, coverage: share, reason: null },
+      relativeVolume: average > 0 ? {
+        current,
+        average,
+        ratio: current / average,
+        trend: current > average ? 'increasing' : 'decreasing'
+      } : null,
+      vwap: { ...latest(vwapSeries), session: session.name, sessionStart },
+      anchoredVwap: { ...latest(anchoredSeries), anchor },
+      obv: { value: obvSeries[len - 1], trend: trend(obvSeries, opts.trendBars) },
+      accumulationDistribution: { value: adSeries[len - 1], trend: trend(adSeries, opts.trendBars) },
+      volumeProfile: volumeProfile(candles, opts),
+      series: {
+        vwap: vwapSeries,
+        anchoredVwap: anchoredSeries,
+        obv: obvSeries,
+        accumulationDistribution: adSeries
+      }
+    };
+  }
+
+  // Support/resistance from a summary: point of control and value-area edges
+  // of the profile, the session VWAP and the anchored VWAP. Same shape as the
+  // levels in netlify/lib/levels.js.
+  function levels(summary, price) {
+    if (!summary || !summary.volume || !summary.volume.available) return [];
+    const out = [];
+    const add = (value, source, label, strength) => {
+      if (value === null || value === undefined || !isFinite(value)) return;
+      out.push({ price: value, type: value < price ? 'support' : 'resistance', source, label, strength });
+    };
+
+    const profile = summary.volumeProfile;
+    if (profile) {
+      add(profile.poc, 'volume-profile', 'Point of control', 0.7);
+      add(profile.vah, 'volume-profile', 'Value area high', 0.5);
+      add(profile.val, 'volume-profile', 'Value area low', 0.5);
+    }
+    if (summary.vwap) add(summary.vwap.value, 'vwap', `VWAP (${summary.vwap.session})`, 0.5);
+    if (summary.anchoredVwap) add(summary.anchoredVwap.value, 'anchored-vwap', 'Anchored VWAP', 0.4);
+    return out;
+  }
+
+  return {
+    DEFAULTS,
+    LEVEL_SOURCES: ['volume-profile', 'vwap', 'anchored-vwap'],
+    coverage,
+    hasVolume,
+    sessionFor,
+    vwap,
+    anchoredVwap,
+    anchorFor,
+    obv,
+    accumulationDistribution,
+    trend,
+    volumeProfile,
+    indicators,
+    levels
+  };
+});
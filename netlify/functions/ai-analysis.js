@@ -0,0 +1,211 @@
+// netlify/functions/ai-analysis.js
+// Sends a market-data payload to Claude and returns a validated trade signal
+
+const http = require('../lib/http');
+const { anthropicKey, anthropicModel, serverAnthropicKey } = require('../lib/keys');
+const { callAnthropic } = require('./anthropic');
+const DataQuality = require('../../js/data-quality');
+
+const SYSTEM_PROMPT = `You are a disciplined technical analyst. You receive a JSON market snapshot with
+price, indicators, detected patterns, support/resistance levels and recent OHLCV candles.
+Base your view only on that data. Reply with a single JSON object and nothing else:
+{
+  "direction": "BULLISH" | "BEARISH" | "NEUTRAL",
+  "confidence": integer 0-100,
+  "entry": number,
+  "stopLoss": number,
+  "takeProfit": number,
+  "reasoning": string (2-4 sentences citing the indicators, patterns and levels used),
+  "risks": array of short strings
+}
+For BULLISH, stopLoss < entry < takeProfit. For BEARISH, takeProfit < entry < stopLoss.
+For NEUTRAL, stopLoss and takeProfit may be null. Place stops and targets at meaningful
+levels from the data rather than fixed percentages.
+Volume analytics (session VWAP with deviation bands, anchored VWAP, OBV, accumulation/distribution,
+volume profile point of control and value area) are present only when indicators.volume.available
+is true; when it is false the source reports no volume, so do not reason about volume at all.`;
+
+const DIRECTIONS = ['BULLISH', 'BEARISH', 'NEUTRAL'];
+const RECOMMENDATIONS = { BULLISH: 'BUY', BEARISH: 'SELL', NEUTRAL: 'HOLD' };
+
+// A reply whose entry is this far from the quoted price is treated as hallucinated
+const MAX_ENTRY_DEVIATION = 0.2;
+
+// The payload carries candles and indicator series
+const MAX_BODY_BYTES = 512 * 1024;
+
+exports.handler = http.handler({ methods: ['POST'], name: 'ai-analysis', secret: serverAnthropicKey, rateLimit: http.AI_RATE_LIMIT, maxBodyBytes: MAX_BODY_BYTES }, async (event, context) => {
+  try {
+    const { apiKey: clientKey, marketData, model } = JSON.parse(event.body);
+    const apiKey = anthropicKey(clientKey);
+
+    if (!apiKey) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'No Anthropic API key is configured on the server', code: 'NOT_CONFIGURED' })
+      };
+    }
+    if (!marketData || !isFinite(marketData.price)) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'marketData with a price is required' })
+      };
+    }
+    // Quote-only and demo payloads have nothing real to read a signal from
+    const blockers = DataQuality.signalBlockers(marketData);
+    if (blockers.length > 0) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({
+          error: `No signal: ${blockers.map(b => b.message).join('; ')}`,
+          code: blockers[0].code,
+          blockers
+        })
+      };
+    }
+
+    const usedModel = anthropicModel(model, apiKey);
+    const { status, data } = await callAnthropic(apiKey, {
+      model: usedModel,
+      max_tokens: 1024,
+      system: SYSTEM_PROMPT,
+      messages: [{ role: 'user', content: JSON.stringify(buildSnapshot(marketData)) }]
+    });
+
+    if (status !== 200) {
+      return {
+        statusCode: 502,
+        body: JSON.stringify({
+          error: data?.error?.message || `Anthropic API returned ${status}`,
+          details: 'Model request failed'
+        })
+      };
+    }
+
+    const text = (data.content || []).filter(c => c.type === 'text').map(c => c.text).join('');
+    const reply = parseReply(text);
+    const errors = reply ? validateReply(reply, marketData.price) : ['Reply is not a JSON object'];
+
+    if (errors.length > 0) {
+      return {
+        statusCode: 422,
+        body: JSON.stringify({
+          error: 'Malformed model reply',
+          validationErrors: errors,
+          raw: text.slice(0, 2000)
+        })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        direction: reply.direction,
+        recommendation: RECOMMENDATIONS[reply.direction],
+        confidence: Math.round(reply.confidence),
+        entryPoint: reply.entry,
+        stopLoss: reply.stopLoss ?? null,
+        takeProfit: reply.takeProfit ?? null,
+        reasoning: reply.reasoning,
+        risks: reply.risks,
+        engine: 'ai',
+        model: data.model || usedModel,
+        lastUpdate: new Date().toISOString()
+      })
+    };
+
+  } catch (error) {
+    console.error('AI analysis error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: error.message,
+        details: 'Failed to run AI analysis'
+      })
+    };
+  }
+});
+
+// ============ PROMPT ============
+// Only the fields the model needs: keeps the prompt small and stable
+function buildSnapshot(marketData) {
+  // Full indicator series are for charting; the latest values are enough here
+  const { series, ...indicators } = marketData.indicators || {};
+  if (indicators.volumeProfile) {
+    const { bins, ...profile } = indicators.volumeProfile;
+    indicators.volumeProfile = profile;
+  }
+
+  return {
+    symbol: marketData.symbol,
+    timeframe: marketData.timeframe,
+    source: marketData.source,
+    quality: marketData.quality,
+    price: marketData.price,
+    changePercent: marketData.changePercent,
+    high24h: marketData.high24h,
+    low24h: marketData.low24h,
+    indicators: indicators,
+    patterns: marketData.patterns,
+    supportResistance: marketData.supportResistance,
+    recentCandles: (marketData.candles || []).slice(-30),
+    recentCloses: marketData.candles ? undefined : (marketData.historicalData || []).slice(-50),
+    note: marketData.note
+  };
+}
+
+// ============ REPLY VALIDATION ============
+function parseReply(text) {
+  // Tolerate a fenced block or prose around the object
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    const reply = JSON.parse(text.slice(start, end + 1));
+    return reply && typeof reply === 'object' && !Array.isArray(reply) ? reply : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function validateReply(reply, price) {
+  const errors = [];
+  const isNumber = v => typeof v === 'number' && isFinite(v) && v > 0;
+
+  if (!DIRECTIONS.includes(reply.direction)) {
+    errors.push(`direction must be one of ${DIRECTIONS.join(', ')}`);
+  }
+  if (typeof reply.confidence !== 'number' || reply.confidence < 0 || reply.confidence > 100) {
+    errors.push('confidence must be a number between 0 and 100');
+  }
+  if (!isNumber(reply.entry)) {
+    errors.push('entry must be a positive number');
+  } else if (Math.abs(reply.entry - price) / price > MAX_ENTRY_DEVIATION) {
+    errors.push(`entry ${reply.entry} is too far from the current price ${price}`);
+  }
+  if (typeof reply.reasoning !== 'string' || reply.reasoning.trim() === '') {
+    errors.push('reasoning must be a non-empty string');
+  }
+  if (!Array.isArray(reply.risks) || reply.risks.some(r => typeof r !== 'string')) {
+    errors.push('risks must be an array of strings');
+  }
+
+  if (reply.direction === 'NEUTRAL') {
+    ['stopLoss', 'takeProfit'].forEach(key => {
+      if (reply[key] != null && !isNumber(reply[key])) errors.push(`${key} must be a positive number or null`);
+    });
+  } else if (DIRECTIONS.includes(reply.direction)) {
+    if (!isNumber(reply.stopLoss)) errors.push('stopLoss must be a positive number');
+    if (!isNumber(reply.takeProfit)) errors.push('takeProfit must be a positive number');
+
+    if (errors.length === 0) {
+      const ordered = reply.direction === 'BULLISH'
+        ? reply.stopLoss < reply.entry && reply.entry < reply.takeProfit
+        : reply.takeProfit < reply.entry && reply.entry < reply.stopLoss;
+      if (!ordered) errors.push(`stopLoss/entry/takeProfit are not ordered for a ${reply.direction} signal`);
+    }
+  }
+
+  return errors;
+}
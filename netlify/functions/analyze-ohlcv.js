@@ -0,0 +1,130 @@
+// netlify/functions/analyze-ohlcv.js
+// Runs the user's own OHLCV through the same indicator, pattern and level
+// pipeline as live data, for instruments no provider covers or bars exported
+// from another platform. Accepts parsed candles or the CSV itself:
+//
+//   POST { candles: [{ time, open, high, low, close, volume }], symbol, timeframe, assetClass }
+//   POST { csv, options: { delimiter, header, columns, timezone, dateOrder, timeUnit }, symbol, timeframe, assetClass }
+//
+// timeframe is inferred from the bar spacing when not given; anchor (ms or ISO
+// time) picks the bar anchored VWAP starts from.
+
+const http = require('../lib/http');
+const { fullPayload } = require('../lib/market');
+const { quoteFromCandles } = require('../lib/providers/common');
+const { TIMEFRAME_MS } = require('../lib/timeframes');
+const DataIO = require('../../js/data-io');
+const DataQuality = require('../../js/data-quality');
+
+const MIN_CANDLES = 20;
+const MAX_CANDLES = 10000;
+const ASSET_CLASSES = ['crypto', 'forex', 'commodity', 'stock'];
+// Room for MAX_CANDLES rows as CSV or JSON
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+
+exports.handler = http.handler({ methods: ['POST'], name: 'analyze-ohlcv', maxBodyBytes: MAX_BODY_BYTES }, async (event, context) => {
+  const badRequest = error => ({
+    statusCode: 400,
+    body: JSON.stringify({ error })
+  });
+
+  try {
+    const { candles: given, csv, options, symbol, timeframe, assetClass, anchor } = JSON.parse(event.body || '{}');
+
+    let parsed;
+    if (typeof csv === 'string') {
+      try {
+        parsed = DataIO.parseCsv(csv, options || {});
+      } catch (err) {
+        if (err.name !== 'CsvError') throw err;
+        return badRequest(err.message);
+      }
+    } else if (Array.isArray(given)) {
+      parsed = cleanCandles(given);
+    } else {
+      return badRequest('Send candles (an array of { time, open, high, low, close, volume }) or csv');
+    }
+
+    const candles = parsed.candles;
+    if (candles.length < MIN_CANDLES || candles.length > MAX_CANDLES) {
+      return badRequest(`${MIN_CANDLES} to ${MAX_CANDLES} valid bars are required, got ${candles.length}` +
+        (parsed.skippedCount ? ` (${parsed.skippedCount} rows skipped, first: line ${parsed.skipped[0].line} ${parsed.skipped[0].reason})` : ''));
+    }
+    if (timeframe && !TIMEFRAME_MS[timeframe]) {
+      return badRequest(`Unknown timeframe "${timeframe}" (${Object.keys(TIMEFRAME_MS).join(', ')})`);
+    }
+
+    const label = String(symbol || '').trim().toUpperCase() || 'IMPORTED';
+    const last = candles[candles.length - 1];
+    const payload = fullPayload({ candles, quote: quoteFromCandles(candles) }, { anchor });
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        symbol: label,
+        assetClass: ASSET_CLASSES.includes(assetClass) ? assetClass : null,
+        instrument: { base: null, quote: null, name: label },
+        timeframe: timeframe || inferTimeframe(candles),
+        stream: null,
+        source: typeof csv === 'string' ? 'Imported CSV' : 'Imported data',
+        provider: 'import',
+        ...payload,
+        availability: DataQuality.availability(payload),
+        providerErrors: [],
+        imported: {
+          rows: parsed.rows,
+          bars: candles.length,
+          skipped: parsed.skipped,
+          skippedCount: parsed.skippedCount,
+          start: new Date(candles[0].time).toISOString(),
+          end: new Date(last.time).toISOString()
+        },
+        lastUpdate: new Date(last.time).toISOString(),
+        cached: false,
+        ageMs: 0,
+        stale: false
+      })
+    };
+
+  } catch (error) {
+    console.error('Import error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: error.message,
+        details: 'Failed to analyze imported data'
+      })
+    };
+  }
+});
+
+// Candles sent as JSON get the same checks as CSV rows
+function cleanCandles(list) {
+  const byTime = new Map();
+  const skipped = [];
+  list.forEach((item, i) => {
+    // null, numbers and strings are invalid bars too
+    const c = item && typeof item === 'object' ? item : {};
+    const time = typeof c.time === 'number' ? c.time : Date.parse(c.time);
+    const [open, high, low, close] = [c.open, c.high, c.low, c.close].map(Number);
+    if (!isFinite(time) || ![open, high, low, close].every(isFinite) || high < low) {
+      skipped.push({ line: i + 1, reason: 'invalid bar' });
+      return;
+    }
+    byTime.set(time, { time, open, high, low, close, volume: Number(c.volume) || 0 });
+  });
+  return {
+    candles: [...byTime.values()].sort((a, b) => a.time - b.time),
+    rows: list.length,
+    skipped: skipped.slice(0, 20),
+    skippedCount: skipped.length
+  };
+}
+
+// The UI timeframe whose length matches the median bar spacing, or null
+function inferTimeframe(candles) {
+  const gaps = candles.slice(1).map((c, i) => c.time - candles[i].time).sort((a, b) => a - b);
+  const median = gaps[Math.floor(gaps.length / 2)];
+  const match = Object.entries(TIMEFRAME_MS).find(([, ms]) => Math.abs(median - ms) <= ms * 0.1);
+  return match ? match[0] : null;
+}
@@ -1,77 +1,69 @@
 // Netlify automatically provides fetch in Node 18+
 // No need for node-fetch package!
+//
+// Proxies a Messages API request with the server's ANTHROPIC_API_KEY (or the
+// caller's apiKey when ALLOW_CLIENT_KEYS=true), capped at MAX_TOKENS. On the
+// server's key the model is limited to the allowed ones (see lib/keys).
 
-exports.handler = async (event, context) => {
-  // Handle OPTIONS request for CORS
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS'
-      },
-      body: ''
-    };
-  }
+const http = require('../lib/http');
+const { anthropicKey, anthropicModel, serverAnthropicKey } = require('../lib/keys');
 
-  // Only allow POST requests
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers: {
-        'Access-Control-Allow-Origin': '*'
-      },
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
-  }
+const MAX_TOKENS = 4096;
 
+exports.handler = http.handler({ methods: ['POST'], name: 'anthropic', secret: serverAnthropicKey, rateLimit: http.AI_RATE_LIMIT }, async (event, context) => {
   try {
     const { apiKey, body } = JSON.parse(event.body);
+    const key = anthropicKey(apiKey);
 
-    if (!apiKey) {
+    if (!key) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: 'No Anthropic API key is configured on the server', code: 'NOT_CONFIGURED' })
+      };
+    }
+    if (!body || !Array.isArray(body.messages)) {
       return {
         statusCode: 400,
-        headers: {
-          'Access-Control-Allow-Origin': '*'
-        },
-        body: JSON.stringify({ error: 'API key is required' })
+        body: JSON.stringify({ error: 'body with a messages array is required' })
       };
     }
 
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify(body)
+    const { status, data } = await callAnthropic(key, {
+      ...body,
+      model: anthropicModel(body.model, key),
+      max_tokens: Math.min(parseInt(body.max_tokens, 10) || MAX_TOKENS, MAX_TOKENS)
     });
 
-    const data = await response.json();
-
     return {
-      statusCode: response.status,
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Content-Type': 'application/json'
-      },
+      statusCode: status,
       body: JSON.stringify(data)
     };
   } catch (error) {
     console.error('Function error:', error);
     return {
       statusCode: 500,
-      headers: {
-        'Access-Control-Allow-Origin': '*'
-      },
       body: JSON.stringify({ 
         error: error.message,
         details: 'Failed to connect to Anthropic API'
       })
     };
   }
-};
+});
+
+// Shared with ai-analysis
+async function callAnthropic(apiKey, body) {
+  const response = await fetch('https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json();
+  return { status: response.status, data };
+}
+
+exports.callAnthropic = callAnthropic;
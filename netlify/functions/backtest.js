@@ -0,0 +1,61 @@
+// netlify/functions/backtest.js
+// Replays an indicator strategy over historical klines
+
+const http = require('../lib/http');
+const { resolveKeys, serverDataKeys } = require('../lib/keys');
+const { fetchHistory } = require('../lib/history');
+const { runBacktest, STRATEGIES } = require('../lib/backtest');
+
+exports.handler = http.handler({ methods: ['POST'], name: 'backtest', secret: serverDataKeys(body => [body.symbol]) }, async (event, context) => {
+  try {
+    const {
+      symbol, timeframe, strategy, params,
+      start, end, bars,
+      initialCapital, positionSize, fee, slippage, stopLoss, takeProfit, allowShort,
+      apiKeys
+    } = JSON.parse(event.body);
+
+    if (!symbol || !STRATEGIES[strategy]) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: `symbol and strategy (${Object.keys(STRATEGIES).join(', ')}) are required` })
+      };
+    }
+
+    const history = await fetchHistory(symbol, timeframe || '1H', { start, end, bars, apiKeys: resolveKeys(apiKeys) });
+    const result = runBacktest(history.candles, strategy, {
+      params,
+      ...definedOnly({ initialCapital, positionSize, fee, slippage, stopLoss, takeProfit, allowShort })
+    });
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        symbol,
+        timeframe: timeframe || '1H',
+        source: history.source,
+        period: {
+          start: history.candles[0].time,
+          end: history.candles[history.candles.length - 1].time,
+          bars: history.candles.length
+        },
+        ...result
+      })
+    };
+
+  } catch (error) {
+    console.error('Backtest error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: error.message,
+        details: 'Failed to run backtest'
+      })
+    };
+  }
+});
+
+// Unset fields fall back to the engine defaults instead of overriding them with undefined
+function definedOnly(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null && v !== ''));
+}
@@ -0,0 +1,74 @@
+// netlify/functions/broker.js
+// Account, positions and orders on a real exchange through the broker
+// adapters. Exchange keys are read from the environment and never sent to
+// the browser. Guarded like every function (see netlify/lib/http.js);
+// BROKER_ACCESS_TOKEN, when set, is accepted as a token for this one. Only
+// the broker list is served without one: actions spend the exchange keys,
+// so they are refused until ACCESS_TOKEN or BROKER_ACCESS_TOKEN is set.
+//
+//   GET                                      configured brokers
+//   POST { broker, action, ...params }       action: account, balances,
+//        positions, openOrders, placeOrder, cancelOrder, orderStatus
+
+const http = require('../lib/http');
+const { BROKERS, listBrokers, getBroker } = require('../lib/brokers');
+
+const ACTIONS = {
+  account: b => b.account(),
+  balances: b => b.balances(),
+  positions: b => b.positions(),
+  openOrders: (b, p) => b.openOrders({ symbol: p.symbol }),
+  placeOrder: (b, p) => b.placeOrder({ symbol: p.symbol, side: p.side, type: p.type, qty: p.qty, price: p.price, clientOrderId: p.clientOrderId }),
+  cancelOrder: (b, p) => b.cancelOrder({ symbol: p.symbol, id: p.id }),
+  orderStatus: (b, p) => b.orderStatus({ symbol: p.symbol, id: p.id })
+};
+
+// BrokerError codes the caller can fix; everything else is a 502 from upstream
+const CLIENT_ERRORS = { INVALID_REQUEST: 400, INVALID_ORDER: 400, NOT_FOUND: 404, NOT_CONFIGURED: 503, AUTH: 502, REJECTED: 422, RATE_LIMITED: 429 };
+
+// Every action signs with the exchange keys, even a read
+const exchangeKeys = event => event.httpMethod === 'POST' ? 'exchange keys' : null;
+
+exports.handler = http.handler({ methods: ['GET', 'POST'], name: 'broker', tokens: ['BROKER_ACCESS_TOKEN'], secret: exchangeKeys }, async (event, context) => {
+  if (event.httpMethod === 'GET') {
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ brokers: listBrokers() })
+    };
+  }
+
+  try {
+    const params = JSON.parse(event.body || '{}');
+    const run = ACTIONS[params.action];
+    if (!BROKERS[params.broker] || !run) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: `broker (${Object.keys(BROKERS).join(', ')}) and action (${Object.keys(ACTIONS).join(', ')}) are required`, code: 'INVALID_REQUEST' })
+      };
+    }
+
+    const broker = getBroker(params.broker);
+    const result = await run(broker, params);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ broker: broker.id, mode: broker.mode, action: params.action, result })
+    };
+
+  } catch (error) {
+    if (error.name === 'BrokerError') {
+      return {
+        statusCode: CLIENT_ERRORS[error.code] || 502,
+        body: JSON.stringify({ error: error.message, code: error.code })
+      };
+    }
+    console.error('Broker error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: error.message,
+        details: 'Broker request failed'
+      })
+    };
+  }
+});
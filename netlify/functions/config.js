@@ -0,0 +1,17 @@
+// netlify/functions/config.js
+// What the deployment provides, for the Settings panel: whether an access
+// token is required, whether the browser may send its own keys, and which
+// providers have their key configured server-side. Never returns a key.
+
+const http = require('../lib/http');
+const { describeKeys } = require('../lib/keys');
+
+exports.handler = http.handler({ methods: ['GET'], name: 'config', auth: false }, async (event, context) => {
+  return {
+    statusCode: 200,
+    body: JSON.stringify({
+      auth: { required: http.authRequired() },
+      ...describeKeys()
+    })
+  };
+});
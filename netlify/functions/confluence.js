@@ -0,0 +1,72 @@
+// netlify/functions/confluence.js
+// Analyzes one symbol on several timeframes at once and scores where they agree
+
+const http = require('../lib/http');
+const { resolveKeys, serverDataKeys } = require('../lib/keys');
+const { getMarketData } = require('../lib/market');
+const { summarizeTimeframe, scoreConfluence } = require('../lib/confluence');
+const { TIMEFRAME_MS } = require('../lib/timeframes');
+
+const DEFAULT_TIMEFRAMES = ['15M', '1H', '4H', '1D'];
+const MAX_TIMEFRAMES = 6;
+
+exports.handler = http.handler({ methods: ['POST'], name: 'confluence', secret: serverDataKeys(body => [body.symbol]) }, async (event, context) => {
+  try {
+    const { symbol, timeframes, apiKeys: clientKeys, providers } = JSON.parse(event.body);
+    const apiKeys = resolveKeys(clientKeys);
+    const requested = [...new Set(timeframes && timeframes.length > 0 ? timeframes : DEFAULT_TIMEFRAMES)];
+    const unknown = requested.filter(tf => !TIMEFRAME_MS[tf]);
+
+    if (!symbol || unknown.length > 0 || requested.length > MAX_TIMEFRAMES) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: `symbol and up to ${MAX_TIMEFRAMES} timeframes (${Object.keys(TIMEFRAME_MS).join(', ')}) are required` })
+      };
+    }
+
+    // Shortest timeframe first, so the matrix reads left to right
+    const ordered = requested.sort((a, b) => TIMEFRAME_MS[a] - TIMEFRAME_MS[b]);
+    const errors = [];
+    const results = await Promise.all(ordered.map(async timeframe => {
+      try {
+        const data = await getMarketData(symbol, timeframe, { apiKeys, providers });
+        // A quote-only payload has no history to read a trend from
+        if (data.quality !== 'full') {
+          errors.push({ timeframe, code: 'QUOTE_ONLY', error: `No price history (${data.source})` });
+          return null;
+        }
+        return { data, row: summarizeTimeframe(timeframe, data) };
+      } catch (err) {
+        errors.push({ timeframe, code: err.code || 'ERROR', error: err.message });
+        return null;
+      }
+    }));
+
+    const rows = results.filter(Boolean).map(r => r.row);
+    if (rows.length === 0) throw new Error(errors.map(e => `${e.timeframe}: ${e.error}`).join('; '));
+    const first = results.find(Boolean).data;
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        symbol: first.symbol,
+        assetClass: first.assetClass,
+        timeframes: rows.map(r => r.timeframe),
+        rows,
+        confluence: scoreConfluence(rows),
+        errors,
+        lastUpdate: new Date().toISOString()
+      })
+    };
+
+  } catch (error) {
+    console.error('Confluence error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: error.message,
+        details: 'Failed to run multi-timeframe analysis'
+      })
+    };
+  }
+});
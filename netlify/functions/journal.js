@@ -0,0 +1,80 @@
+// netlify/functions/journal.js
+// Scores journaled signals against the candles that followed them, for
+// signals whose symbol is not on screen (see js/journal.js). The journal
+// itself stays in the browser; this only fetches history and scores.
+//
+//   POST { signals: [{ id, symbol, timeframe, barTime, direction, entry, stopLoss, takeProfit }], expiryBars }
+//   -> { results: [{ id, outcome }], errors: [{ symbol, timeframe, code, error }] }
+
+const http = require('../lib/http');
+const { resolveKeys, serverDataKeys } = require('../lib/keys');
+const { fetchHistory } = require('../lib/history');
+const { mapWithConcurrency } = require('../lib/concurrency');
+const { TIMEFRAME_MS } = require('../lib/timeframes');
+const Journal = require('../../js/journal');
+
+const MAX_SIGNALS = 100;
+const MAX_EXPIRY_BARS = 500;
+
+const requestedSymbols = body => (Array.isArray(body.signals) ? body.signals : []).map(s => s && s.symbol);
+
+exports.handler = http.handler({ methods: ['POST'], name: 'journal', secret: serverDataKeys(requestedSymbols) }, async (event, context) => {
+  try {
+    const { signals, expiryBars, apiKeys } = JSON.parse(event.body || '{}');
+
+    if (!Array.isArray(signals) || signals.length === 0 || signals.length > MAX_SIGNALS) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: `signals must be an array of 1 to ${MAX_SIGNALS} signals` })
+      };
+    }
+    const invalid = signals.find(s => !s || !s.id || !s.symbol || !TIMEFRAME_MS[s.timeframe] || !isFinite(s.barTime));
+    if (invalid) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: `Each signal needs id, symbol, timeframe (${Object.keys(TIMEFRAME_MS).join(', ')}) and barTime` })
+      };
+    }
+
+    const expiry = Math.min(Math.max(parseInt(expiryBars, 10) || Journal.DEFAULTS.expiryBars, 1), MAX_EXPIRY_BARS);
+    const keys = resolveKeys(apiKeys);
+
+    // One history request per symbol and timeframe, from its oldest signal
+    const groups = new Map();
+    signals.forEach(s => {
+      const key = `${s.symbol}|${s.timeframe}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(s);
+    });
+
+    const results = [];
+    const errors = [];
+    await mapWithConcurrency([...groups.values()], 3, async list => {
+      const { symbol, timeframe } = list[0];
+      const step = TIMEFRAME_MS[timeframe];
+      const since = Math.min(...list.map(s => s.barTime));
+      const until = Math.min(Date.now(), Math.max(...list.map(s => s.barTime)) + expiry * step);
+      try {
+        const history = await fetchHistory(symbol, timeframe, { start: since, bars: Math.ceil((until - since) / step) + 2, apiKeys: keys });
+        list.forEach(s => results.push({ id: s.id, outcome: Journal.score(s, history.candles, { expiryBars: expiry }) }));
+      } catch (err) {
+        errors.push({ symbol, timeframe, code: err.code || 'ERROR', error: err.message });
+      }
+    });
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ results, errors, expiryBars: expiry, scoredAt: new Date().toISOString() })
+    };
+
+  } catch (error) {
+    console.error('Journal error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: error.message,
+        details: 'Failed to score signals'
+      })
+    };
+  }
+});
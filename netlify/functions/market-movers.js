@@ -1 +1,242 @@
+// netlify/functions/market-movers.js
+// Ranks gainers, losers, most active and unusual volume across asset classes
 
+const http = require('../lib/http');
+const { resolveKeys, serverDataKeys } = require('../lib/keys');
+const { getMarketData } = require('../lib/market');
+const binance = require('../lib/providers/binance');
+const { getJson } = require('../lib/providers/common');
+const cache = require('../lib/cache');
+const { mapWithConcurrency } = require('../lib/concurrency');
+
+const STOCK_UNIVERSE = ['AAPL', 'MSFT', 'NVDA', 'AMZN', 'GOOGL', 'META', 'TSLA', 'AMD', 'NFLX', 'JPM'];
+const FOREX_UNIVERSE = ['EURUSD', 'GBPUSD', 'USDJPY', 'AUDUSD', 'USDCAD', 'USDCHF', 'NZDUSD', 'EURGBP'];
+
+const SORT_KEYS = ['changePercent', 'volume', 'quoteVolume', 'volumeRatio'];
+
+// Caller-supplied stock and forex lists cost one provider request per symbol
+const MAX_LIST = 50;
+
+// Leveraged tokens (BTCUPUSDT, ETHBEARUSDT...) swing wildly and are not spot
+// pairs. Their bases are listed so real coins ending in UP (JUPUSDT) stay in.
+const LEVERAGED_BASES = ['BTC', 'ETH', 'BNB', 'XRP', 'LINK', 'DOT', 'ADA', 'TRX', 'EOS', 'XTZ', 'LTC', 'YFI', 'SUSHI', 'UNI', 'FIL', 'AAVE', 'BCH', 'SXP', 'XLM', '1INCH'];
+const LEVERAGED_TOKEN = new RegExp(`^(${LEVERAGED_BASES.join('|')})(UP|DOWN|BULL|BEAR)$`);
+
+// Crypto movers come from Binance without a key; stocks and forex go
+// through the providers
+function requestedSymbols(body, event) {
+  const options = parseOptions(event);
+  return [...(options.assets.includes('stocks') ? options.stocks : []), ...(options.assets.includes('forex') ? options.forex : [])];
+}
+
+exports.handler = http.handler({ methods: ['GET', 'POST'], name: 'market-movers', secret: serverDataKeys(requestedSymbols) }, async (event, context) => {
+  try {
+    const options = parseOptions(event);
+    const errors = [];
+    let items = [];
+
+    if (options.assets.includes('crypto')) {
+      try {
+        items = items.concat(await fetchCryptoMovers(options));
+      } catch (err) {
+        errors.push({ assetClass: 'crypto', error: err.message });
+      }
+    }
+    if (options.assets.includes('stocks')) {
+      items = items.concat(await fetchFetcherMovers('stocks', options.stocks, options, errors));
+    }
+    if (options.assets.includes('forex')) {
+      items = items.concat(await fetchFetcherMovers('forex', options.forex, options, errors));
+    }
+
+    if (items.length === 0 && errors.length > 0) {
+      throw new Error(errors.map(e => `${e.assetClass}: ${e.error}`).join('; '));
+    }
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        assets: options.assets,
+        quote: options.quote,
+        sort: options.sort,
+        limit: options.limit,
+        gainers: rankGainers(items, options),
+        losers: rankLosers(items, options),
+        mostActive: rankBy(items, 'quoteVolume', options.limit),
+        unusualVolume: rankBy(items.filter(i => i.volumeRatio >= options.unusualRatio), 'volumeRatio', options.limit),
+        universeSize: items.length,
+        errors: errors,
+        lastUpdate: new Date().toISOString()
+      })
+    };
+
+  } catch (error) {
+    console.error('Market movers error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: error.message,
+        details: 'Failed to fetch market movers'
+      })
+    };
+  }
+});
+
+// ============ OPTIONS ============
+// Accepts query parameters on GET and the same fields in a JSON body on POST
+// (POST also carries the caller's own apiKeys where ALLOW_CLIENT_KEYS permits).
+function parseOptions(event) {
+  const query = event.queryStringParameters || {};
+  const body = event.httpMethod === 'POST' && event.body ? JSON.parse(event.body) : {};
+  const param = name => body[name] !== undefined ? body[name] : query[name];
+
+  const assets = toList(param('assets') || 'crypto')
+    .map(a => a.toLowerCase())
+    .filter(a => ['crypto', 'stocks', 'forex'].includes(a));
+  const sort = SORT_KEYS.includes(param('sort')) ? param('sort') : 'changePercent';
+
+  return {
+    assets: assets.length > 0 ? assets : ['crypto'],
+    limit: clamp(parseInt(param('limit'), 10) || 10, 1, 50),
+    sort: sort,
+    quote: String(param('quote') || 'USDT').toUpperCase(),
+    minQuoteVolume: parseNumber(param('minQuoteVolume'), 1000000),
+    unusualRatio: parseNumber(param('unusualRatio'), 2),
+    stocks: param('stocks') ? toList(param('stocks')).slice(0, MAX_LIST).map(s => s.toUpperCase()) : STOCK_UNIVERSE,
+    forex: param('forex') ? toList(param('forex')).slice(0, MAX_LIST).map(s => s.toUpperCase()) : FOREX_UNIVERSE,
+    apiKeys: resolveKeys(body.apiKeys)
+  };
+}
+
+// ============ CRYPTO MOVERS (Binance - FREE) ============
+async function fetchCryptoMovers(options) {
+  const { value: tickers } = await cache.getOrLoad('binance|ticker/24hr', cache.ttlFor('binance', '1H'), () =>
+    getJson(`${binance.baseUrl()}/api/v3/ticker/24hr`, 'Binance tickers', 'binance'));
+
+  if (!Array.isArray(tickers)) {
+    throw new Error(tickers.msg || 'Unexpected Binance ticker response');
+  }
+
+  const items = tickers
+    .filter(t => t.symbol.endsWith(options.quote) && t.symbol.length > options.quote.length)
+    .filter(t => !LEVERAGED_TOKEN.test(t.symbol.slice(0, -options.quote.length)))
+    .filter(t => t.count > 0 && parseFloat(t.quoteVolume) >= options.minQuoteVolume)
+    .map(t => ({
+      symbol: t.symbol,
+      assetClass: 'crypto',
+      base: t.symbol.slice(0, -options.quote.length),
+      quote: options.quote,
+      price: parseFloat(t.lastPrice),
+      change: parseFloat(t.priceChange),
+      changePercent: parseFloat(t.priceChangePercent),
+      high: parseFloat(t.highPrice),
+      low: parseFloat(t.lowPrice),
+      volume: parseFloat(t.volume),
+      quoteVolume: parseFloat(t.quoteVolume),
+      trades: t.count,
+      volumeRatio: null,
+      source: 'Binance'
+    }));
+
+  await attachCryptoVolumeRatios(items, options);
+  return items;
+}
+
+// The 24h ticker has no volume baseline, so compare each candidate's rolling
+// 24h quote volume with its average over the previous 20 daily klines. Only
+// pairs that can appear in a ranked list are checked to keep requests bounded.
+async function attachCryptoVolumeRatios(items, options) {
+  const candidates = new Set([
+    ...rankBy(items, 'quoteVolume', options.limit * 2),
+    ...rankBy(items, 'changePercent', options.limit),
+    ...rankBy(items, 'changePercent', options.limit, true)
+  ]);
+
+  await mapWithConcurrency([...candidates].slice(0, 40), 8, async item => {
+    try {
+      const url = `${binance.baseUrl()}/api/v3/klines?symbol=${item.symbol}&interval=1d&limit=21`;
+      const { value: klines } = await cache.getOrLoad(`binance|${item.symbol}|volume-baseline`, cache.ttlFor('binance', '1D'), () =>
+        getJson(url, 'Binance klines', 'binance'));
+      if (!Array.isArray(klines) || klines.length < 2) return;
+
+      // Last kline is the current, incomplete day
+      const history = klines.slice(0, -1).map(k => parseFloat(k[7]));
+      const average = history.reduce((a, b) => a + b, 0) / history.length;
+      if (average > 0) item.volumeRatio = parseFloat((item.quoteVolume / average).toFixed(2));
+    } catch (err) {
+      console.log(`Volume baseline failed for ${item.symbol}`);
+    }
+  });
+}
+
+// ============ STOCK & FOREX MOVERS (provider registry) ============
+async function fetchFetcherMovers(assetClass, symbols, options, errors) {
+  const results = await mapWithConcurrency(symbols, 4, async symbol => {
+    try {
+      const data = await getMarketData(symbol, '1D', { apiKeys: options.apiKeys });
+      // Quote-only rates carry no 24h change to rank by
+      if (data.quality !== 'full') {
+        errors.push({ assetClass, symbol, code: 'QUOTE_ONLY', error: `No price history (${data.source})` });
+        return null;
+      }
+
+      const volume = data.volume || 0;
+      const ratio = data.indicators?.relativeVolume?.ratio;
+      return {
+        symbol: data.symbol,
+        assetClass: assetClass,
+        base: data.instrument.base,
+        quote: data.instrument.quote,
+        price: data.price,
+        change: data.change,
+        changePercent: data.changePercent,
+        high: data.high24h,
+        low: data.low24h,
+        volume: volume,
+        quoteVolume: volume * data.price,
+        trades: null,
+        volumeRatio: volume > 0 && isFinite(ratio) ? parseFloat(ratio.toFixed(2)) : null,
+        source: data.source
+      };
+    } catch (err) {
+      errors.push({ assetClass, symbol, code: err.code || 'ERROR', error: err.message });
+      return null;
+    }
+  });
+  return results.filter(Boolean);
+}
+
+// ============ RANKING ============
+function rankGainers(items, options) {
+  const gainers = items.filter(i => i.changePercent > 0);
+  return rankBy(gainers, options.sort, options.limit);
+}
+
+function rankLosers(items, options) {
+  const losers = items.filter(i => i.changePercent < 0);
+  // Biggest drop first when ranking by change, highest activity first otherwise
+  return rankBy(losers, options.sort, options.limit, options.sort === 'changePercent');
+}
+
+function rankBy(items, key, limit, ascending = false) {
+  return items
+    .filter(i => typeof i[key] === 'number' && isFinite(i[key]))
+    .sort((a, b) => ascending ? a[key] - b[key] : b[key] - a[key])
+    .slice(0, limit);
+}
+
+// ============ HELPER FUNCTIONS ============
+function toList(value) {
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+}
+
+function parseNumber(value, fallback) {
+  const n = parseFloat(value);
+  return isFinite(n) ? n : fallback;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
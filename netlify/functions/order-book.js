@@ -0,0 +1,81 @@
+// netlify/functions/order-book.js
+// Deep order book for an exchange-listed pair with spread, cumulative depth,
+// imbalance bands, resting walls and slippage estimates
+
+const http = require('../lib/http');
+const { resolveSymbol } = require('../lib/symbols');
+const { fetchDepth, analyzeBook, DEFAULTS } = require('../lib/orderbook');
+
+const MAX_SIZES = 10;
+
+exports.handler = http.handler({ methods: ['GET', 'POST'], name: 'order-book' }, async (event, context) => {
+  try {
+    const options = parseOptions(event);
+    let instrument;
+    try {
+      instrument = resolveSymbol(options.symbol);
+    } catch (err) {
+      instrument = null;
+    }
+
+    if (!instrument || !instrument.providers.binance) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: `Order book is only available for exchange-listed crypto pairs (got "${options.symbol || ''}")` })
+      };
+    }
+
+    const book = await fetchDepth(instrument, options.limit);
+    const analysis = analyzeBook(book, { sizes: options.sizes, bands: options.bands });
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        symbol: instrument.symbol,
+        exchangeSymbol: book.symbol,
+        source: 'Binance',
+        lastUpdateId: book.lastUpdateId,
+        ...analysis,
+        cached: book.cache.cached,
+        ageMs: book.cache.ageMs,
+        lastUpdate: new Date().toISOString()
+      })
+    };
+
+  } catch (error) {
+    console.error('Order book error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: error.message,
+        details: 'Failed to fetch order book'
+      })
+    };
+  }
+});
+
+// ============ OPTIONS ============
+// Query parameters on GET, the same fields in a JSON body on POST. sizes and
+// bands take a list (or comma-separated string) of positive numbers.
+function parseOptions(event) {
+  const query = event.queryStringParameters || {};
+  const body = event.httpMethod === 'POST' && event.body ? JSON.parse(event.body) : {};
+  const param = name => body[name] !== undefined ? body[name] : query[name];
+
+  const sizes = toNumbers(param('sizes') ?? param('size')).slice(0, MAX_SIZES);
+  const bands = toNumbers(param('bands')).filter(b => b <= 10).slice(0, MAX_SIZES);
+
+  return {
+    symbol: param('symbol'),
+    limit: Math.max(5, Math.min(1000, parseInt(param('limit'), 10) || 1000)),
+    sizes: sizes.length > 0 ? sizes : DEFAULTS.sizes,
+    bands: bands.length > 0 ? bands : DEFAULTS.bands
+  };
+}
+
+function toNumbers(value) {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => parseFloat(v))
+    .filter(n => isFinite(n) && n > 0);
+}
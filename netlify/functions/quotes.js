@@ -0,0 +1,46 @@
+// netlify/functions/quotes.js
+// Latest prices for several symbols at once, used to mark every open
+// position to market
+//
+//   GET  ?symbols=BTCUSD,AAPL,EURUSD
+//   POST { symbols: [...], apiKeys, providers }
+
+const http = require('../lib/http');
+const { resolveKeys, serverDataKeys } = require('../lib/keys');
+const { getQuotes, MAX_SYMBOLS } = require('../lib/quotes');
+
+const requestedSymbols = (body, event) => body.symbols ?? (event.queryStringParameters || {}).symbols;
+
+exports.handler = http.handler({ methods: ['GET', 'POST'], name: 'quotes', secret: serverDataKeys(requestedSymbols) }, async (event, context) => {
+  try {
+    const body = event.httpMethod === 'POST' && event.body ? JSON.parse(event.body) : {};
+    const requested = body.symbols ?? (event.queryStringParameters || {}).symbols;
+    const list = [...new Set((Array.isArray(requested) ? requested : String(requested || '').split(','))
+      .map(s => String(s).trim().toUpperCase())
+      .filter(Boolean))];
+
+    if (list.length === 0 || list.length > MAX_SYMBOLS) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: `1 to ${MAX_SYMBOLS} symbols are required` })
+      };
+    }
+
+    const result = await getQuotes(list, { apiKeys: resolveKeys(body.apiKeys), providers: body.providers, concurrency: body.concurrency });
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ ...result, lastUpdate: new Date().toISOString() })
+    };
+
+  } catch (error) {
+    console.error('Quotes error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: error.message,
+        details: 'Failed to fetch quotes'
+      })
+    };
+  }
+});
@@ -0,0 +1,49 @@
+// netlify/functions/screener.js
+// Screens a list of symbols with a condition such as
+// "RSI < 30 and price above EMA200" and returns the matches
+
+const http = require('../lib/http');
+const { resolveKeys, serverDataKeys } = require('../lib/keys');
+const { screen, MAX_SYMBOLS } = require('../lib/screener');
+const { TIMEFRAME_MS } = require('../lib/timeframes');
+
+exports.handler = http.handler({ methods: ['POST'], name: 'screener', secret: serverDataKeys(body => body.symbols) }, async (event, context) => {
+  try {
+    const { symbols, timeframe, filter, sort, order, concurrency, apiKeys, providers } = JSON.parse(event.body);
+    const list = [...new Set((Array.isArray(symbols) ? symbols : []).map(s => String(s).trim().toUpperCase()).filter(Boolean))];
+    const tf = timeframe || '1H';
+
+    if (list.length === 0 || list.length > MAX_SYMBOLS || !TIMEFRAME_MS[tf]) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: `1 to ${MAX_SYMBOLS} symbols and a timeframe (${Object.keys(TIMEFRAME_MS).join(', ')}) are required` })
+      };
+    }
+
+    let result;
+    try {
+      result = await screen(list, tf, { filter, sort, order, concurrency, apiKeys: resolveKeys(apiKeys), providers });
+    } catch (err) {
+      if (err.name !== 'ConditionError') throw err;
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ error: err.message, position: err.position })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ ...result, lastUpdate: new Date().toISOString() })
+    };
+
+  } catch (error) {
+    console.error('Screener error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: error.message,
+        details: 'Failed to run screener'
+      })
+    };
+  }
+});
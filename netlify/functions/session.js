@@ -0,0 +1,46 @@
+// netlify/functions/session.js
+// Exchanges the deployment's ACCESS_TOKEN for a signed, expiring session so
+// the browser does not keep the token itself.
+//
+//   POST { token }  ->  { session, expiresAt }
+
+const http = require('../lib/http');
+
+// Slows down guessing the token
+const SESSION_RATE_LIMIT = { capacity: 5, perSecond: 5 / 60 };
+
+exports.handler = http.handler({ methods: ['POST'], name: 'session', auth: false, rateLimit: SESSION_RATE_LIMIT }, async (event, context) => {
+  try {
+    const { token } = JSON.parse(event.body || '{}');
+
+    if (!http.authRequired()) {
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ session: null, expiresAt: null, required: false })
+      };
+    }
+
+    const auth = http.authenticate({ headers: { authorization: `Bearer ${token || ''}` } });
+    if (!token || !auth.ok || auth.client.startsWith('session:')) {
+      return {
+        statusCode: 401,
+        body: JSON.stringify({ error: 'Invalid access token', code: 'AUTH' })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ ...http.createSession(), required: true })
+    };
+
+  } catch (error) {
+    console.error('Session error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: error.message,
+        details: 'Failed to create session'
+      })
+    };
+  }
+});
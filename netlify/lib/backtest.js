@@ -0,0 +1,218 @@
+// netlify/lib/backtest.js
+// Bar-by-bar strategy replay. Signals are read on a bar's close and filled at
+// the next bar's open, so no strategy can trade on a price it has not seen.
+
+const ta = require('./indicators');
+
+const DEFAULTS = {
+  initialCapital: 10000,
+  positionSize: 1,     // fraction of equity committed per trade
+  fee: 0.001,          // per side, fraction of notional (0.1%)
+  slippage: 0.0005,    // adverse price move per fill, fraction of price
+  stopLoss: null,      // fraction from entry, e.g. 0.02
+  takeProfit: null,    // fraction from entry, e.g. 0.05
+  allowShort: false
+};
+
+// Each strategy precomputes its series once and returns a function giving the
+// desired position after bar i closes: 'long', 'short', 'flat' or null (no change).
+const STRATEGIES = {
+  // The rule behind the dashboard's BUY/SELL calls
+  rsi: {
+    defaults: { period: 14, oversold: 30, overbought: 70 },
+    build: (candles, p) => {
+      const rsi = ta.rsi(candles.map(c => c.close), p.period);
+      return i => rsi[i] === null ? null : rsi[i] < p.oversold ? 'long' : rsi[i] > p.overbought ? 'short' : null;
+    }
+  },
+  'ema-cross': {
+    defaults: { fast: 20, slow: 50 },
+    build: (candles, p) => {
+      const closes = candles.map(c => c.close);
+      const fast = ta.ema(closes, p.fast);
+      const slow = ta.ema(closes, p.slow);
+      return i => fast[i] === null || slow[i] === null ? null : fast[i] > slow[i] ? 'long' : 'short';
+    }
+  },
+  macd: {
+    defaults: { fast: 12, slow: 26, signal: 9 },
+    build: (candles, p) => {
+      const m = ta.macd(candles.map(c => c.close), p.fast, p.slow, p.signal);
+      return i => m.histogram[i] === null ? null : m.histogram[i] > 0 ? 'long' : 'short';
+    }
+  },
+  // Mean reversion: buy below the lower band, sell short above the upper
+  // band, and go flat when the close crosses back over the middle band
+  bollinger: {
+    defaults: { period: 20, multiplier: 2 },
+    build: (candles, p) => {
+      const bb = ta.bollinger(candles.map(c => c.close), p.period, p.multiplier);
+      return i => {
+        const close = candles[i].close;
+        if (bb.middle[i] === null) return null;
+        if (close < bb.lower[i]) return 'long';
+        if (close > bb.upper[i]) return 'short';
+        if (i > 0 && bb.middle[i - 1] !== null) {
+          const prev = candles[i - 1].close;
+          const crossedUp = prev < bb.middle[i - 1] && close >= bb.middle[i];
+          const crossedDown = prev > bb.middle[i - 1] && close <= bb.middle[i];
+          if (crossedUp || crossedDown) return 'flat';
+        }
+        return null;
+      };
+    }
+  }
+};
+
+function runBacktest(candles, strategyName, options = {}) {
+  const strategy = STRATEGIES[strategyName];
+  if (!strategy) throw new Error(`Unknown strategy "${strategyName}". Use one of: ${Object.keys(STRATEGIES).join(', ')}`);
+  if (candles.length < 2) throw new Error('Not enough candles to backtest');
+
+  const opts = { ...DEFAULTS, ...options };
+  const params = { ...strategy.defaults, ...(options.params || {}) };
+  const signal = strategy.build(candles, params);
+
+  let cash = opts.initialCapital;
+  let position = null;  // { side, qty, entryPrice, entryIndex, entryFee }
+  let pending = null;   // desired position to fill at the next open
+  const trades = [];
+  const equityCurve = [];
+
+  const fill = (price, side) => price * (1 + (side === 'buy' ? opts.slippage : -opts.slippage));
+
+  const open = (side, index, rawPrice) => {
+    const price = fill(rawPrice, side === 'long' ? 'buy' : 'sell');
+    const notional = cash * opts.positionSize;
+    const qty = notional / price / (1 + opts.fee);
+    const entryFee = qty * price * opts.fee;
+    cash -= side === 'long' ? qty * price + entryFee : -(qty * price) + entryFee;
+    position = { side, qty, entryPrice: price, entryIndex: index, entryFee };
+  };
+
+  const close = (index, rawPrice, reason, exact) => {
+    const price = exact ? rawPrice : fill(rawPrice, position.side === 'long' ? 'sell' : 'buy');
+    const exitFee = position.qty * price * opts.fee;
+    cash += position.side === 'long' ? position.qty * price - exitFee : -(position.qty * price) - exitFee;
+
+    const direction = position.side === 'long' ? 1 : -1;
+    const gross = (price - position.entryPrice) * position.qty * direction;
+    const pnl = gross - position.entryFee - exitFee;
+    trades.push({
+      side: position.side,
+      entryTime: candles[position.entryIndex].time,
+      entryPrice: position.entryPrice,
+      exitTime: candles[index].time,
+      exitPrice: price,
+      qty: position.qty,
+      pnl,
+      returnPct: pnl / (position.entryPrice * position.qty) * 100,
+      bars: index - position.entryIndex,
+      exitReason: reason
+    });
+    position = null;
+  };
+
+  for (let i = 0; i < candles.length; i++) {
+    const bar = candles[i];
+
+    // 1. Fill yesterday's decision at this bar's open
+    if (pending !== null) {
+      if (position && position.side !== pending) close(i, bar.open, 'signal');
+      if (!position && pending !== 'flat') open(pending, i, bar.open);
+      pending = null;
+    }
+
+    // 2. Stops and targets inside the bar. When both are hit the stop is
+    //    assumed first; a gap through the level fills at the open.
+    if (position) {
+      const long = position.side === 'long';
+      const stop = opts.stopLoss ? position.entryPrice * (long ? 1 - opts.stopLoss : 1 + opts.stopLoss) : null;
+      const target = opts.takeProfit ? position.entryPrice * (long ? 1 + opts.takeProfit : 1 - opts.takeProfit) : null;
+
+      if (stop !== null && (long ? bar.low <= stop : bar.high >= stop)) {
+        const gapped = long ? bar.open < stop : bar.open > stop;
+        close(i, gapped ? bar.open : stop, 'stop-loss', false);
+      } else if (target !== null && (long ? bar.high >= target : bar.low <= target)) {
+        const gapped = long ? bar.open > target : bar.open < target;
+        close(i, gapped ? bar.open : target, 'take-profit', true);
+      }
+    }
+
+    // 3. Read the signal on the close
+    let desired = signal(i);
+    if (desired === 'short' && !opts.allowShort) desired = 'flat';
+    if (desired !== null && desired !== (position ? position.side : 'flat')) pending = desired;
+
+    equityCurve.push({ time: bar.time, equity: cash + (position ? position.qty * bar.close * (position.side === 'long' ? 1 : -1) : 0) });
+  }
+
+  if (position) close(candles.length - 1, candles[candles.length - 1].close, 'end-of-data');
+  equityCurve[equityCurve.length - 1].equity = cash;
+
+  return {
+    strategy: strategyName,
+    params,
+    options: { ...opts, params: undefined },
+    metrics: calculateMetrics(trades, equityCurve, candles, opts),
+    trades,
+    equityCurve,
+    buyHold: buyAndHold(candles, opts)
+  };
+}
+
+// ============ METRICS ============
+function calculateMetrics(trades, equityCurve, candles, opts) {
+  const wins = trades.filter(t => t.pnl > 0);
+  const losses = trades.filter(t => t.pnl <= 0);
+  const grossProfit = wins.reduce((a, t) => a + t.pnl, 0);
+  const grossLoss = Math.abs(losses.reduce((a, t) => a + t.pnl, 0));
+  const finalEquity = equityCurve[equityCurve.length - 1].equity;
+
+  let peak = -Infinity;
+  let maxDrawdown = 0;
+  equityCurve.forEach(p => {
+    peak = Math.max(peak, p.equity);
+    maxDrawdown = Math.max(maxDrawdown, (peak - p.equity) / peak);
+  });
+
+  // Annualised from per-bar returns using the observed bar spacing
+  const returns = equityCurve.slice(1).map((p, i) => p.equity / equityCurve[i].equity - 1);
+  const mean = returns.reduce((a, r) => a + r, 0) / (returns.length || 1);
+  const sd = Math.sqrt(returns.reduce((a, r) => a + Math.pow(r - mean, 2), 0) / (returns.length || 1));
+  const spacing = candles.length > 1 ? (candles[candles.length - 1].time - candles[0].time) / (candles.length - 1) : 0;
+  const barsPerYear = spacing > 0 ? 365 * 24 * 60 * 60 * 1000 / spacing : 252;
+
+  const first = candles[0].close;
+  const last = candles[candles.length - 1].close;
+
+  return {
+    initialCapital: opts.initialCapital,
+    finalEquity,
+    totalReturn: (finalEquity / opts.initialCapital - 1) * 100,
+    buyHoldReturn: (last / first - 1) * 100,
+    trades: trades.length,
+    winRate: trades.length ? wins.length / trades.length * 100 : 0,
+    // Without losing trades the ratio is unbounded: null, flagged, rather
+    // than Infinity (which JSON turns into null without saying why)
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : grossProfit > 0 ? null : 0,
+    noLosingTrades: grossLoss === 0 && grossProfit > 0,
+    avgTrade: trades.length ? trades.reduce((a, t) => a + t.pnl, 0) / trades.length : 0,
+    avgWin: wins.length ? grossProfit / wins.length : 0,
+    avgLoss: losses.length ? -grossLoss / losses.length : 0,
+    maxDrawdown: maxDrawdown * 100,
+    sharpe: sd > 0 ? mean / sd * Math.sqrt(barsPerYear) : 0,
+    exposure: trades.reduce((a, t) => a + t.bars, 0) / candles.length * 100
+  };
+}
+
+function buyAndHold(candles, opts) {
+  const entry = candles[0].open * (1 + opts.slippage);
+  const qty = opts.initialCapital / entry / (1 + opts.fee);
+  return candles.map(c => ({ time: c.time, equity: opts.initialCapital - qty * entry * opts.fee + qty * (c.close - entry) }));
+}
+
+module.exports = {
+  STRATEGIES,
+  runBacktest
+};
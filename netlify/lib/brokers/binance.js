@@ -0,0 +1,280 @@
+// netlify/lib/brokers/binance.js
+// Binance spot trading adapter. Signed endpoints carry an HMAC-SHA256 of the
+// query string and the API key header; the secret never leaves the server.
+// Spot accounts have no positions, so non-stablecoin holdings stand in for them.
+
+const crypto = require('crypto');
+const rateLimit = require('../ratelimit');
+const cache = require('../cache');
+const { resolveSymbol } = require('../symbols');
+const { BrokerError, validateOrderRequest } = require('../../../js/brokers');
+
+const NAME = 'Binance Spot';
+const LIVE_URL = 'https://api.binance.com';
+const TESTNET_URL = 'https://testnet.binance.vision';
+const RECV_WINDOW_MS = 5000;
+const RULES_TTL_MS = 60 * 60 * 1000;
+const PRICES_TTL_MS = 10000;
+
+// Holdings in these count as cash rather than positions
+const CASH_ASSETS = ['USDT', 'USDC', 'FDUSD', 'TUSD', 'BUSD', 'DAI', 'USD', 'EUR'];
+
+const TYPES = { market: 'MARKET', limit: 'LIMIT', stop: 'STOP_LOSS' };
+const TYPES_BACK = { MARKET: 'market', LIMIT: 'limit', STOP_LOSS: 'stop', STOP_LOSS_LIMIT: 'stop', LIMIT_MAKER: 'limit' };
+const STATUSES = {
+  NEW: 'open',
+  PENDING_NEW: 'open',
+  PARTIALLY_FILLED: 'partially_filled',
+  FILLED: 'filled',
+  CANCELED: 'cancelled',
+  PENDING_CANCEL: 'open',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired',
+  EXPIRED_IN_MATCH: 'expired'
+};
+
+// Keys and endpoint from the environment. Testnet unless BINANCE_TESTNET=false;
+// BINANCE_TRADE_BASE_URL points at dev/mock-exchange.js or another stand-in.
+function configFromEnv(env = process.env) {
+  const testnet = env.BINANCE_TESTNET !== 'false';
+  return {
+    apiKey: env.BINANCE_API_KEY || '',
+    apiSecret: env.BINANCE_API_SECRET || '',
+    testnet,
+    baseUrl: env.BINANCE_TRADE_BASE_URL || (testnet ? TESTNET_URL : LIVE_URL)
+  };
+}
+
+function create(config = configFromEnv()) {
+  if (!config.apiKey || !config.apiSecret) {
+    throw new BrokerError('NOT_CONFIGURED', 'Binance keys are not configured (BINANCE_API_KEY, BINANCE_API_SECRET)');
+  }
+  const doFetch = config.fetch || fetch;
+  const mode = config.testnet ? 'testnet' : 'live';
+  const name = config.testnet ? `${NAME} Testnet` : NAME;
+  let clockOffset = 0;
+
+  // ============ REQUESTS ============
+  async function send(method, path, params, signed) {
+    await rateLimit.acquire('binance');
+    const query = new URLSearchParams(Object.entries(params).filter(([, v]) => v != null && v !== ''));
+    if (signed) {
+      query.set('recvWindow', RECV_WINDOW_MS);
+      query.set('timestamp', Date.now() + clockOffset);
+      query.set('signature', crypto.createHmac('sha256', config.apiSecret).update(query.toString()).digest('hex'));
+    }
+
+    let res, data;
+    try {
+      res = await doFetch(`${config.baseUrl}${path}?${query}`, { method, headers: signed ? { 'X-MBX-APIKEY': config.apiKey } : {} });
+      data = await res.json();
+    } catch (err) {
+      throw new BrokerError('NETWORK_ERROR', `Binance: ${err.message}`);
+    }
+    if (res.ok) return data;
+    throw classify(res.status, data);
+  }
+
+  // A signed request outside recvWindow (-1021) means our clock has drifted
+  // from the exchange's: measure the offset once and retry
+  async function signed(method, path, params = {}) {
+    try {
+      return await send(method, path, params, true);
+    } catch (err) {
+      if (err.binanceCode !== -1021) throw err;
+      const { serverTime } = await send('GET', '/api/v3/time', {}, false);
+      clockOffset = serverTime - Date.now();
+      return send(method, path, params, true);
+    }
+  }
+
+  // ============ SYMBOL RULES ============
+  // Tick size, lot size and minimum notional from exchangeInfo
+  async function rules(symbol) {
+    const { value } = await cache.getOrLoad(`binance-trade|${config.baseUrl}|rules|${symbol}`, RULES_TTL_MS, async () => {
+      const info = await send('GET', '/api/v3/exchangeInfo', { symbol }, false);
+      const s = info.symbols && info.symbols[0];
+      if (!s) throw new BrokerError('INVALID_ORDER', `Binance does not list ${symbol}`);
+      const filter = type => s.filters.find(f => f.filterType === type) || {};
+      return {
+        status: s.status,
+        orderTypes: s.orderTypes,
+        tickSize: parseFloat(filter('PRICE_FILTER').tickSize) || 0,
+        stepSize: parseFloat(filter('LOT_SIZE').stepSize) || 0,
+        minQty: parseFloat(filter('LOT_SIZE').minQty) || 0,
+        minNotional: parseFloat(filter('NOTIONAL').minNotional || filter('MIN_NOTIONAL').minNotional) || 0
+      };
+    });
+    return value;
+  }
+
+  async function prices() {
+    const { value } = await cache.getOrLoad(`binance-trade|${config.baseUrl}|prices`, PRICES_TTL_MS, () =>
+      send('GET', '/api/v3/ticker/price', {}, false));
+    return new Map(value.map(t => [t.symbol, parseFloat(t.price)]));
+  }
+
+  // ============ ADAPTER ============
+  const balances = async () => {
+    const account = await signed('GET', '/api/v3/account');
+    return toBalances(account);
+  };
+
+  const positions = async () => {
+    const [held, last] = await Promise.all([balances(), prices()]);
+    return held
+      .filter(b => !CASH_ASSETS.includes(b.asset))
+      .map(b => {
+        const symbol = `${b.asset}USDT`;
+        const price = last.get(symbol);
+        return { id: b.asset, symbol, side: 'long', qty: b.total, entryPrice: null, value: price ? b.total * price : null, free: b.free, locked: b.locked };
+      });
+  };
+
+  return {
+    id: 'binance',
+    name,
+    mode,
+
+    async account() {
+      const [account, last] = await Promise.all([signed('GET', '/api/v3/account'), prices()]);
+      const held = toBalances(account);
+      // Equity in USDT: cash at par, holdings at the last price when there is a USDT pair
+      const equity = held.reduce((a, b) => a + (CASH_ASSETS.includes(b.asset) ? b.total : b.total * (last.get(`${b.asset}USDT`) || 0)), 0);
+      return {
+        broker: 'binance',
+        name,
+        mode,
+        canTrade: account.canTrade !== false,
+        currency: 'USDT',
+        equity,
+        balances: held,
+        fees: account.commissionRates ? { maker: parseFloat(account.commissionRates.maker), taker: parseFloat(account.commissionRates.taker) } : null,
+        updatedAt: account.updateTime || Date.now()
+      };
+    },
+
+    balances,
+    positions,
+
+    async openOrders({ symbol } = {}) {
+      const orders = await signed('GET', '/api/v3/openOrders', symbol ? { symbol: exchangeSymbol(symbol) } : {});
+      return orders.map(toOrder);
+    },
+
+    async placeOrder(request) {
+      const req = validateOrderRequest(request);
+      const symbol = exchangeSymbol(req.symbol);
+      const r = await rules(symbol);
+      if (r.status !== 'TRADING') throw new BrokerError('REJECTED', `${symbol} is not trading (${r.status})`);
+      if (!r.orderTypes.includes(TYPES[req.type])) throw new BrokerError('REJECTED', `${symbol} does not accept ${req.type} orders`);
+
+      const qty = roundDown(req.qty, r.stepSize);
+      const price = req.price != null ? roundTo(req.price, r.tickSize) : null;
+      if (qty < r.minQty || qty <= 0) throw new BrokerError('INVALID_ORDER', `Quantity ${req.qty} is below the ${symbol} minimum of ${r.minQty}`);
+      if (price != null && r.minNotional > 0 && qty * price < r.minNotional) {
+        throw new BrokerError('INVALID_ORDER', `Order value ${(qty * price).toFixed(2)} is below the ${symbol} minimum of ${r.minNotional}`);
+      }
+
+      const order = await signed('POST', '/api/v3/order', {
+        symbol,
+        side: req.side.toUpperCase(),
+        type: TYPES[req.type],
+        quantity: decimal(qty, r.stepSize),
+        price: req.type === 'limit' ? decimal(price, r.tickSize) : null,
+        stopPrice: req.type === 'stop' ? decimal(price, r.tickSize) : null,
+        timeInForce: req.type === 'limit' ? 'GTC' : null,
+        newClientOrderId: req.clientOrderId,
+        newOrderRespType: 'FULL'
+      });
+      return toOrder(order);
+    },
+
+    async cancelOrder({ symbol, id }) {
+      if (!symbol || !id) throw new BrokerError('INVALID_ORDER', 'symbol and id are required');
+      return toOrder(await signed('DELETE', '/api/v3/order', { symbol: exchangeSymbol(symbol), orderId: id }));
+    },
+
+    async orderStatus({ symbol, id }) {
+      if (!symbol || !id) throw new BrokerError('INVALID_ORDER', 'symbol and id are required');
+      return toOrder(await signed('GET', '/api/v3/order', { symbol: exchangeSymbol(symbol), orderId: id }));
+    }
+  };
+}
+
+// ============ HELPER FUNCTIONS ============
+// App symbols (BTCUSD, ETH/USDT, bitcoin) to the exchange's (BTCUSDT)
+function exchangeSymbol(symbol) {
+  let instrument;
+  try {
+    instrument = resolveSymbol(symbol);
+  } catch (err) {
+    instrument = null;
+  }
+  if (instrument && instrument.providers.binance) return instrument.providers.binance;
+  const raw = String(symbol).toUpperCase().replace(/[\s/_-]/g, '');
+  if (/^[A-Z0-9]{5,}$/.test(raw)) return raw;
+  throw new BrokerError('INVALID_ORDER', `${symbol} is not a Binance spot pair`);
+}
+
+function toBalances(account) {
+  return (account.balances || [])
+    .map(b => ({ asset: b.asset, free: parseFloat(b.free), locked: parseFloat(b.locked) }))
+    .map(b => ({ ...b, total: b.free + b.locked }))
+    .filter(b => b.total > 0);
+}
+
+function toOrder(o) {
+  const filledQty = parseFloat(o.executedQty) || 0;
+  const quote = parseFloat(o.cummulativeQuoteQty) || 0;
+  return {
+    id: String(o.orderId),
+    clientOrderId: o.clientOrderId || null,
+    symbol: o.symbol,
+    side: String(o.side).toLowerCase(),
+    type: TYPES_BACK[o.type] || String(o.type).toLowerCase(),
+    qty: parseFloat(o.origQty),
+    price: parseFloat(o.price) > 0 ? parseFloat(o.price) : null,
+    stopPrice: parseFloat(o.stopPrice) > 0 ? parseFloat(o.stopPrice) : null,
+    filledQty,
+    avgPrice: filledQty > 0 && quote > 0 ? quote / filledQty : null,
+    status: STATUSES[o.status] || String(o.status).toLowerCase(),
+    time: o.transactTime || o.updateTime || o.time || null
+  };
+}
+
+// Binance error codes to BrokerError codes; the exchange's own message is kept
+function classify(status, data) {
+  const code = data && data.code;
+  const msg = `Binance: ${(data && data.msg) || `HTTP ${status}`}`;
+  let err;
+  if (status === 429 || status === 418) err = new BrokerError('RATE_LIMITED', msg, status);
+  else if ([-2014, -2015, -1022, -1002].includes(code) || status === 401) err = new BrokerError('AUTH', msg, status);
+  else if (code === -2013 || (code === -2011 && /unknown order/i.test(data.msg))) err = new BrokerError('NOT_FOUND', msg, status);
+  else if ([-2010, -2011, -1013, -1111, -1100, -1102, -1106].includes(code)) err = new BrokerError('REJECTED', msg, status);
+  else err = new BrokerError('EXCHANGE_ERROR', msg, status);
+  err.binanceCode = code;
+  return err;
+}
+
+function roundDown(value, step) {
+  return step > 0 ? Math.floor(value / step + 1e-9) * step : value;
+}
+
+function roundTo(value, step) {
+  return step > 0 ? Math.round(value / step) * step : value;
+}
+
+// Fixed-point string with as many decimals as the step, so 0.1 + 0.2 style
+// float noise never reaches the exchange
+function decimal(value, step) {
+  const decimals = step > 0 ? Math.max(0, Math.ceil(-Math.log10(step) - 1e-9)) : 8;
+  return value.toFixed(decimals);
+}
+
+module.exports = {
+  name: NAME,
+  configFromEnv,
+  create,
+  exchangeSymbol
+};
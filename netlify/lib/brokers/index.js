@@ -0,0 +1,36 @@
+// netlify/lib/brokers/index.js
+// Broker registry for the server-side adapters. Each module exposes
+//   { name, configFromEnv(env), create(config) }
+// and create returns an adapter with the interface described in js/brokers.js.
+// Keys come only from the environment; the paper adapter runs in the browser.
+
+const { BrokerError } = require('../../../js/brokers');
+
+const BROKERS = {
+  binance: require('./binance')
+};
+
+// What the Connect menu can offer, without exposing any keys
+function listBrokers(env = process.env) {
+  return Object.entries(BROKERS).map(([id, broker]) => {
+    const config = broker.configFromEnv(env);
+    return {
+      id,
+      name: config.testnet ? `${broker.name} Testnet` : broker.name,
+      mode: config.testnet ? 'testnet' : 'live',
+      configured: Boolean(config.apiKey && config.apiSecret)
+    };
+  });
+}
+
+function getBroker(id, env = process.env) {
+  const broker = BROKERS[id];
+  if (!broker) throw new BrokerError('INVALID_REQUEST', `Unknown broker "${id}" (available: ${Object.keys(BROKERS).join(', ')})`);
+  return broker.create(broker.configFromEnv(env));
+}
+
+module.exports = {
+  BROKERS,
+  listBrokers,
+  getBroker
+};
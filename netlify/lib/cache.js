@@ -0,0 +1,94 @@
+// netlify/lib/cache.js
+// In-memory response cache for provider calls, per warm function instance.
+// Identical concurrent requests share one upstream call, and when a provider
+// is rate limited the last good value is served and flagged as stale.
+
+const { TIMEFRAME_MS } = require('./timeframes');
+
+const MAX_ENTRIES = 500;
+const STALE_MAX_MS = 60 * 60 * 1000;  // oldest value served on a rate limit
+const HISTORICAL_TTL_MS = 60 * 60 * 1000;
+
+// Per-provider TTLs by timeframe ('default' covers the rest). Quota-limited
+// providers and quote-only sources that update slowly are cached longer.
+const TTL = {
+  binance: { '1M': 5000, '5M': 10000, default: 15000, '1D': 60000, '1W': 300000 },
+  twelvedata: { '1M': 30000, default: 60000, '1D': 600000, '1W': 1800000 },
+  yahoo: { '1M': 30000, default: 60000, '1D': 300000, '1W': 1800000 },
+  fixer: { default: 600000 },
+  exchangerate: { default: 1800000 },
+  metals: { default: 600000 }
+};
+
+const entries = new Map();   // key -> { value, storedAt }
+const inflight = new Map();  // key -> Promise
+
+// A range that closed more than a bar ago cannot change, so it keeps longer
+function ttlFor(provider, timeframe, end) {
+  const barMs = TIMEFRAME_MS[timeframe] || TIMEFRAME_MS['1H'];
+  if (end && end < Date.now() - barMs) return HISTORICAL_TTL_MS;
+  const table = TTL[provider] || { default: 30000 };
+  return table[timeframe] || table.default;
+}
+
+// Resolves to { value, cached, ageMs, stale, storedAt }.
+async function getOrLoad(key, ttlMs, loader) {
+  const now = Date.now();
+  const entry = entries.get(key);
+  if (entry && now - entry.storedAt < ttlMs) return describe(entry, true, false);
+
+  if (inflight.has(key)) {
+    const shared = await inflight.get(key);
+    return { ...shared, cached: true };
+  }
+
+  const load = (async () => {
+    try {
+      const value = await loader();
+      const stored = store(key, value);
+      return describe(stored, false, false);
+    } catch (err) {
+      if (err.code === 'RATE_LIMITED' && entry && Date.now() - entry.storedAt < STALE_MAX_MS) {
+        console.log(`Serving stale ${key}: ${err.message}`);
+        return describe(entry, true, true);
+      }
+      throw err;
+    } finally {
+      inflight.delete(key);
+    }
+  })();
+  inflight.set(key, load);
+  return load;
+}
+
+function store(key, value) {
+  // Map keeps insertion order: re-inserting moves the key to the end, so the
+  // first key is always the least recently stored
+  entries.delete(key);
+  if (entries.size >= MAX_ENTRIES) entries.delete(entries.keys().next().value);
+  const entry = { value, storedAt: Date.now() };
+  entries.set(key, entry);
+  return entry;
+}
+
+function describe(entry, cached, stale) {
+  return {
+    value: entry.value,
+    cached,
+    stale,
+    storedAt: entry.storedAt,
+    ageMs: Date.now() - entry.storedAt
+  };
+}
+
+function clear() {
+  entries.clear();
+  inflight.clear();
+}
+
+module.exports = {
+  TTL,
+  ttlFor,
+  getOrLoad,
+  clear
+};
@@ -0,0 +1,18 @@
+// netlify/lib/concurrency.js
+// Runs async work over a list with at most `limit` calls in flight, keeping
+// results in input order
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,181 @@
+// netlify/lib/confluence.js
+// Multi-timeframe confluence: reduces each timeframe's market-data payload to
+// a trend / momentum / levels summary, then scores how far the timeframes
+// agree. Scores run from -1 (bearish) to 1 (bullish); the overall score is
+// reported as -100..100.
+
+const { TIMEFRAME_MS } = require('./timeframes');
+
+const DEFAULTS = {
+  neutralBand: 0.2,      // |bias| below this is neutral
+  levelTolerance: 0.003  // levels within 0.3% of each other coincide
+};
+
+// ============ PER-TIMEFRAME SUMMARY ============
+function summarizeTimeframe(timeframe, data) {
+  const ind = data.indicators || {};
+  const price = data.price;
+  const trend = trendScore(price, ind);
+  const momentum = momentumScore(ind);
+  const bias = clamp(trend.score * 0.6 + momentum.score * 0.4, -1, 1);
+  const support = data.supportResistance?.support || [];
+  const resistance = data.supportResistance?.resistance || [];
+
+  return {
+    timeframe,
+    source: data.source,
+    price,
+    trend,
+    momentum,
+    levels: {
+      support: support[0] ?? null,
+      resistance: resistance[0] ?? null,
+      supportDistance: support[0] ? round((price - support[0]) / price * 100) : null,
+      resistanceDistance: resistance[0] ? round((resistance[0] - price) / price * 100) : null,
+      all: [
+        ...support.map(p => ({ price: p, type: 'support' })),
+        ...resistance.map(p => ({ price: p, type: 'resistance' }))
+      ]
+    },
+    bias: { score: round(bias), direction: direction(bias, DEFAULTS.neutralBand) }
+  };
+}
+
+// Price against the EMAs and the EMA20/50 stack, averaged over the checks
+// that have data (EMA200 needs 200 bars). ADX says how much to trust it.
+function trendScore(price, ind) {
+  const checks = [];
+  if (ind.ema20 != null && ind.ema50 != null) checks.push([ind.ema20 > ind.ema50 ? 1 : -1, 0.4]);
+  if (ind.ema20 != null) checks.push([price > ind.ema20 ? 1 : -1, 0.3]);
+  if (ind.ema200 != null) checks.push([price > ind.ema200 ? 1 : -1, 0.3]);
+
+  const weight = checks.reduce((a, [, w]) => a + w, 0);
+  const score = weight > 0 ? checks.reduce((a, [s, w]) => a + s * w, 0) / weight : 0;
+  const adx = ind.adx ?? null;
+  const ranging = adx !== null && adx < 20;
+
+  return {
+    score: round(ranging ? score * 0.5 : score),
+    direction: ranging || Math.abs(score) < 0.5 ? 'sideways' : score > 0 ? 'up' : 'down',
+    adx: adx !== null ? round(adx) : null,
+    strength: adx === null ? null : adx >= 25 ? 'strong' : adx >= 20 ? 'moderate' : 'weak'
+  };
+}
+
+function momentumScore(ind) {
+  const parts = [];
+  if (ind.rsi != null) parts.push([clamp((ind.rsi - 50) / 25, -1, 1), 0.4]);
+  if (ind.macd?.histogram != null) parts.push([Math.sign(ind.macd.histogram), 0.35]);
+  if (ind.stochastic?.k != null && ind.stochastic?.d != null) parts.push([ind.stochastic.k > ind.stochastic.d ? 1 : -1, 0.25]);
+
+  const weight = parts.reduce((a, [, w]) => a + w, 0);
+  const score = weight > 0 ? parts.reduce((a, [s, w]) => a + s * w, 0) / weight : 0;
+
+  return {
+    score: round(score),
+    state: direction(score, 0.25),
+    rsi: ind.rsi != null ? round(ind.rsi) : null,
+    macdHistogram: ind.macd?.histogram ?? null,
+    overbought: ind.rsi != null && ind.rsi > 70,
+    oversold: ind.rsi != null && ind.rsi < 30
+  };
+}
+
+// ============ CONFLUENCE ============
+// Higher timeframes weigh more (log of bar length: 1M = 1 ... 1D ~ 11.5)
+function timeframeWeight(timeframe) {
+  return Math.log2((TIMEFRAME_MS[timeframe] || TIMEFRAME_MS['1H']) / TIMEFRAME_MS['1M']) + 1;
+}
+
+function scoreConfluence(rows, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  if (rows.length === 0) return null;
+
+  const totalWeight = rows.reduce((a, r) => a + timeframeWeight(r.timeframe), 0);
+  const score = rows.reduce((a, r) => a + r.bias.score * timeframeWeight(r.timeframe), 0) / totalWeight;
+  const overall = direction(score, opts.neutralBand);
+
+  const aligned = overall === 'neutral' ? [] : rows.filter(r => r.bias.direction === overall);
+  const conflicting = overall === 'neutral'
+    ? rows.filter(r => r.bias.direction !== 'neutral')
+    : rows.filter(r => r.bias.direction !== overall && r.bias.direction !== 'neutral');
+  const neutral = rows.filter(r => r.bias.direction === 'neutral');
+
+  return {
+    score: Math.round(score * 100),
+    direction: overall,
+    agreement: round(aligned.length / rows.length),
+    label: confluenceLabel(score, overall, conflicting),
+    aligned: aligned.map(r => r.timeframe),
+    conflicting: conflicting.map(r => ({ timeframe: r.timeframe, direction: r.bias.direction })),
+    neutral: neutral.map(r => r.timeframe),
+    trendAlignment: alignment(rows, r => r.trend.direction, 'sideways'),
+    momentumAlignment: alignment(rows, r => r.momentum.state, 'neutral'),
+    levels: confluentLevels(rows, opts.levelTolerance)
+  };
+}
+
+function confluenceLabel(score, overall, conflicting) {
+  if (overall === 'neutral') return conflicting.length > 1 ? 'Conflicting timeframes' : 'No clear bias';
+  const strength = Math.abs(score) >= 0.6 && conflicting.length === 0 ? 'Strong' : conflicting.length > 0 ? 'Mixed' : 'Moderate';
+  return `${strength} ${overall} confluence`;
+}
+
+// Which timeframes share the majority reading of one component
+function alignment(rows, read, flat) {
+  const counts = {};
+  rows.forEach(r => { counts[read(r)] = (counts[read(r)] || 0) + 1; });
+  const [majority] = Object.entries(counts).filter(([k]) => k !== flat).sort((a, b) => b[1] - a[1])[0] || [flat];
+  return {
+    majority,
+    timeframes: rows.filter(r => read(r) === majority).map(r => r.timeframe),
+    against: rows.filter(r => read(r) !== majority && read(r) !== flat).map(r => r.timeframe)
+  };
+}
+
+// Support/resistance levels that two or more timeframes put at the same price
+function confluentLevels(rows, tolerance) {
+  const points = rows
+    .flatMap(r => r.levels.all.map(l => ({ ...l, timeframe: r.timeframe })))
+    .sort((a, b) => a.price - b.price);
+  const clusters = [];
+
+  points.forEach(p => {
+    const current = clusters[clusters.length - 1];
+    if (current && (p.price - current.mean) / current.mean <= tolerance) {
+      current.points.push(p);
+      current.mean = current.points.reduce((a, x) => a + x.price, 0) / current.points.length;
+    } else {
+      clusters.push({ points: [p], mean: p.price });
+    }
+  });
+
+  const price = rows[0].price;
+  return clusters
+    .map(c => ({
+      price: c.mean,
+      type: c.mean < price ? 'support' : 'resistance',
+      timeframes: [...new Set(c.points.map(p => p.timeframe))]
+    }))
+    .filter(l => l.timeframes.length >= 2)
+    .sort((a, b) => b.timeframes.length - a.timeframes.length || Math.abs(a.price - price) - Math.abs(b.price - price));
+}
+
+// ============ HELPER FUNCTIONS ============
+function direction(score, band) {
+  return score > band ? 'bullish' : score < -band ? 'bearish' : 'neutral';
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  summarizeTimeframe,
+  scoreConfluence,
+  timeframeWeight
+};
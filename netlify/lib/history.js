@@ -0,0 +1,40 @@
+// netlify/lib/history.js
+// Long OHLCV histories (ascending) for backtests, served by the first
+// candle-capable provider for the symbol (Binance pages past its per-request
+// kline limit; Twelve Data and Yahoo take the date range directly).
+
+const { resolveSymbol } = require('./symbols');
+const providers = require('./providers');
+const { toMs } = require('./providers/common');
+
+const MAX_BARS = 10000;
+
+// options: { start, end } (ms or date strings), bars (most recent N when no
+// start is given), apiKeys, providers (explicit provider order)
+async function fetchHistory(symbol, timeframe, options = {}) {
+  const instrument = resolveSymbol(symbol);
+  const start = toMs(options.start);
+  const end = toMs(options.end) || Date.now();
+  const bars = Math.min(options.bars || 1000, MAX_BARS);
+
+  const series = await providers.fetchSeries(instrument, timeframe, {
+    apiKeys: options.apiKeys,
+    order: options.providers,
+    requireCandles: true,
+    withQuote: false,
+    start,
+    // Left open when not given so repeated "latest N bars" requests share a cache entry
+    end: toMs(options.end),
+    limit: bars
+  });
+
+  let candles = series.candles.filter(c => c.time <= end && (!start || c.time >= start));
+  if (!start) candles = candles.slice(-bars);
+
+  if (candles.length === 0) throw new Error(`No ${timeframe} history for ${instrument.symbol} from ${series.source}`);
+  return { source: series.source, provider: series.provider, candles };
+}
+
+module.exports = {
+  fetchHistory
+};
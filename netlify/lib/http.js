@@ -0,0 +1,222 @@
+// netlify/lib/http.js
+// The request guard every function runs behind: CORS allowlist, access
+// token or signed session, per-client rate limit and request size limit.
+//
+//   ALLOWED_ORIGINS     comma-separated origins allowed to call from a browser
+//                       ('*' for any) besides the site itself; defaults to the
+//                       site's deploy URLs and netlify dev (http://localhost:8888)
+//   ACCESS_TOKEN        when set, every function except config and session
+//                       requires "Authorization: Bearer <token or session>"
+//                       Requests that would spend a server-held secret (the
+//                       Anthropic or exchange keys, a data provider key the
+//                       symbol's provider order starts with) are refused with
+//                       503 until it (or a function's extra token) is set, so
+//                       a fresh deploy is never an open proxy
+//   SESSION_SECRET      signs sessions (defaults to ACCESS_TOKEN)
+//   SESSION_TTL_HOURS   session lifetime, 12 by default
+//
+// Handlers return { statusCode, body[, headers] }; CORS and JSON headers are
+// added here.
+
+const crypto = require('crypto');
+const { TokenBucket } = require('./ratelimit');
+
+const DEFAULT_MAX_BODY_BYTES = 64 * 1024;
+const DEFAULT_RATE_LIMIT = { capacity: 60, perSecond: 1 };
+const AI_RATE_LIMIT = { capacity: 10, perSecond: 10 / 60 };  // model calls cost money
+const DEFAULT_SESSION_TTL_HOURS = 12;
+const MAX_CLIENTS = 5000;  // rate-limit buckets kept per warm instance
+
+const clients = new Map();
+
+// options: { methods, auth (default true), tokens (extra env vars holding
+// accepted tokens), secret: event => label | null (what of the server's the
+// request would spend, e.g. 'Anthropic API key'), maxBodyBytes,
+// rateLimit: { capacity, perSecond } | false }
+function handler(options, fn) {
+  const methods = options.methods || ['POST'];
+  const limit = options.rateLimit === false ? null : options.rateLimit || DEFAULT_RATE_LIMIT;
+  const maxBodyBytes = options.maxBodyBytes || DEFAULT_MAX_BODY_BYTES;
+
+  return async (event, context) => {
+    const origin = requestOrigin(event);
+    const allowed = originAllowed(origin, event);
+    const cors = corsHeaders(origin, allowed, methods);
+    const respond = (statusCode, data, headers = {}) => ({
+      statusCode,
+      headers: { ...cors, 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(data)
+    });
+
+    if (!allowed) return respond(403, { error: `Origin ${origin} is not allowed`, code: 'ORIGIN_NOT_ALLOWED' });
+
+    // Handle CORS preflight
+    if (event.httpMethod === 'OPTIONS') return { statusCode: 200, headers: cors, body: '' };
+
+    if (!methods.includes(event.httpMethod)) return respond(405, { error: 'Method not allowed' });
+
+    const size = Buffer.byteLength(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8');
+    if (size > maxBodyBytes) {
+      return respond(413, { error: `Request body is ${size} bytes; the limit is ${maxBodyBytes}`, code: 'TOO_LARGE' });
+    }
+
+    const secret = options.secret ? options.secret(event) : null;
+    const auth = options.auth === false && !secret ? { ok: true, client: null } : authenticate(event, options.tokens, process.env, secret);
+    if (!auth.ok) return respond(auth.status || 401, { error: auth.error, code: auth.code || 'AUTH' });
+
+    if (limit) {
+      const wait = takeToken(`${options.name || 'fn'}|${bucketFor(auth, event)}`, limit);
+      if (wait > 0) {
+        return respond(429, { error: `Too many requests: retry in ${Math.ceil(wait / 1000)}s`, code: 'RATE_LIMITED' },
+          { 'Retry-After': String(Math.ceil(wait / 1000)) });
+      }
+    }
+
+    const response = await fn(event, context);
+    return { ...response, headers: { ...cors, 'Content-Type': 'application/json', ...response.headers } };
+  };
+}
+
+// ============ CORS ============
+function requestOrigin(event) {
+  const headers = event.headers || {};
+  return headers.origin || headers.Origin || null;
+}
+
+function allowedOrigins(env = process.env) {
+  if (env.ALLOWED_ORIGINS) return env.ALLOWED_ORIGINS.split(',').map(o => o.trim().replace(/\/$/, '')).filter(Boolean);
+  return [env.URL, env.DEPLOY_PRIME_URL, env.DEPLOY_URL, 'http://localhost:8888'].filter(Boolean);
+}
+
+// Requests without an Origin (curl, server to server) are not browser
+// cross-origin calls, so the allowlist cannot judge them: the access token
+// does, and requests spending a server-held secret always need it (see
+// authenticate). The page's own origin (the host the function is served
+// from) is always allowed.
+function originAllowed(origin, event = {}, env = process.env) {
+  if (!origin) return true;
+  const host = (event.headers || {}).host || (event.headers || {}).Host;
+  if (host && origin.replace(/^https?:\/\//, '') === host) return true;
+  const list = allowedOrigins(env);
+  return list.includes('*') || list.includes(origin.replace(/\/$/, ''));
+}
+
+function corsHeaders(origin, allowed, methods) {
+  if (!origin || !allowed) return { Vary: 'Origin' };
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': [...methods, 'OPTIONS'].join(', '),
+    Vary: 'Origin'
+  };
+}
+
+// ============ AUTH ============
+// Accepts the access token itself or a session signed with it. Open when no
+// token is configured, except for a request spending a server-held secret
+// (`secret` names it), which is refused until one is.
+function authenticate(event, extraTokens = [], env = process.env, secret = null) {
+  const tokens = [env.ACCESS_TOKEN, ...extraTokens.map(name => env[name])].filter(Boolean);
+  if (tokens.length === 0) {
+    if (!secret) return { ok: true, client: null };
+    return {
+      ok: false,
+      status: 503,
+      code: 'NOT_CONFIGURED',
+      error: `This request uses the server's ${secret}; set ACCESS_TOKEN${extraTokens.length ? ` or ${extraTokens.join(', ')}` : ''} to allow it`
+    };
+  }
+
+  const headers = event.headers || {};
+  const match = /^Bearer\s+(.+)$/i.exec(headers.authorization || headers.Authorization || '');
+  if (!match) return { ok: false, error: 'Access token required' };
+
+  const presented = match[1].trim();
+  if (tokens.some(t => safeEqual(presented, t))) return { ok: true, client: 'token:' + digest(presented).slice(0, 12) };
+
+  const session = verifySession(presented, env);
+  if (session) return { ok: true, client: 'session:' + session.sid };
+  return { ok: false, error: 'Invalid or expired access token' };
+}
+
+function authRequired(env = process.env) {
+  return !!env.ACCESS_TOKEN;
+}
+
+function sessionSecret(env) {
+  return env.SESSION_SECRET || env.ACCESS_TOKEN || null;
+}
+
+// "<payload>.<signature>" where payload is base64url JSON { sid, exp }
+function createSession(env = process.env) {
+  const secret = sessionSecret(env);
+  if (!secret) return null;
+  const hours = parseFloat(env.SESSION_TTL_HOURS) || DEFAULT_SESSION_TTL_HOURS;
+  const exp = Date.now() + hours * 3600 * 1000;
+  const payload = Buffer.from(JSON.stringify({ sid: crypto.randomBytes(8).toString('hex'), exp })).toString('base64url');
+  return { session: `${payload}.${sign(payload, secret)}`, expiresAt: new Date(exp).toISOString() };
+}
+
+function verifySession(value, env = process.env) {
+  const secret = sessionSecret(env);
+  const [payload, signature] = String(value).split('.');
+  if (!secret || !payload || !signature || !safeEqual(signature, sign(payload, secret))) return null;
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return session.exp > Date.now() ? session : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Compares digests so neither length nor content leaks through timing
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(digest(String(a)), 'hex'), Buffer.from(digest(String(b)), 'hex'));
+}
+
+// ============ RATE LIMIT ============
+function clientAddress(event) {
+  const headers = event.headers || {};
+  return headers['x-nf-client-connection-ip'] || (headers['x-forwarded-for'] || '').split(',')[0].trim() || 'unknown';
+}
+
+// One bucket per address, and per session at that address: a shared
+// ACCESS_TOKEN says nothing about who is calling
+function bucketFor(auth, event) {
+  const address = clientAddress(event);
+  return auth.client && auth.client.startsWith('session:') ? `${auth.client}|${address}` : address;
+}
+
+// Milliseconds until the client may call again, 0 when a token was taken
+function takeToken(key, limit) {
+  let bucket = clients.get(key);
+  if (!bucket) {
+    if (clients.size >= MAX_CLIENTS) clients.delete(clients.keys().next().value);
+    bucket = new TokenBucket(limit.capacity, limit.perSecond);
+    clients.set(key, bucket);
+  }
+  const wait = bucket.reserve();
+  if (wait > 0) bucket.release();
+  return wait;
+}
+
+module.exports = {
+  DEFAULT_MAX_BODY_BYTES,
+  DEFAULT_RATE_LIMIT,
+  AI_RATE_LIMIT,
+  handler,
+  allowedOrigins,
+  originAllowed,
+  authenticate,
+  authRequired,
+  createSession,
+  verifySession
+};
@@ -0,0 +1,223 @@
+// netlify/lib/indicators.js
+// Full-series technical indicators. Every function returns arrays aligned with
+// its input (oldest first); bars without enough history hold null.
+
+// ============ MOVING AVERAGES ============
+function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  let count = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] === null) {
+      sum = 0;
+      count = 0;
+      continue;
+    }
+    sum += values[i];
+    count++;
+    if (count > period) sum -= values[i - period];
+    if (count >= period) out[i] = sum / period;
+  }
+  return out;
+}
+
+// Seeded with the SMA of the first `period` values, so leading nulls (e.g. a
+// MACD line before its slow EMA exists) are skipped rather than treated as 0.
+function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  const multiplier = 2 / (period + 1);
+  const start = values.findIndex(v => v !== null);
+  if (start === -1 || values.length - start < period) return out;
+
+  let prev = 0;
+  for (let i = start; i < start + period; i++) prev += values[i];
+  prev /= period;
+  out[start + period - 1] = prev;
+
+  for (let i = start + period; i < values.length; i++) {
+    prev = (values[i] - prev) * multiplier + prev;
+    out[i] = prev;
+  }
+  return out;
+}
+
+// Wilder's smoothing (RMA) over values starting at `start`: first value is the
+// simple average, then prev + (value - prev) / period.
+function wilder(values, period, start = 0) {
+  const out = new Array(values.length).fill(null);
+  if (values.length - start < period) return out;
+
+  let prev = 0;
+  for (let i = start; i < start + period; i++) prev += values[i];
+  prev /= period;
+  out[start + period - 1] = prev;
+
+  for (let i = start + period; i < values.length; i++) {
+    prev = (prev * (period - 1) + values[i]) / period;
+    out[i] = prev;
+  }
+  return out;
+}
+
+// ============ MOMENTUM ============
+function rsi(closes, period = 14) {
+  const out = new Array(closes.length).fill(null);
+  if (closes.length <= period) return out;
+
+  const gains = [0];
+  const losses = [0];
+  for (let i = 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    gains.push(Math.max(change, 0));
+    losses.push(Math.max(-change, 0));
+  }
+
+  const avgGain = wilder(gains, period, 1);
+  const avgLoss = wilder(losses, period, 1);
+  for (let i = period; i < closes.length; i++) {
+    if (avgLoss[i] === 0) out[i] = avgGain[i] === 0 ? 50 : 100;
+    else out[i] = 100 - 100 / (1 + avgGain[i] / avgLoss[i]);
+  }
+  return out;
+}
+
+function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const line = closes.map((_, i) => fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null);
+  const signal = ema(line, signalPeriod);
+  const histogram = line.map((v, i) => v !== null && signal[i] !== null ? v - signal[i] : null);
+
+  return { line, signal, histogram };
+}
+
+// Fast stochastic: %K over `period` bars, optionally smoothed (slow stochastic
+// uses smoothK = 3), and %D as the SMA of %K.
+function stochastic(highs, lows, closes, period = 14, smoothK = 1, dPeriod = 3) {
+  const raw = new Array(closes.length).fill(null);
+
+  for (let i = period - 1; i < closes.length; i++) {
+    let highest = -Infinity;
+    let lowest = Infinity;
+    for (let j = i - period + 1; j <= i; j++) {
+      highest = Math.max(highest, highs[j]);
+      lowest = Math.min(lowest, lows[j]);
+    }
+    raw[i] = highest === lowest ? 50 : (closes[i] - lowest) / (highest - lowest) * 100;
+  }
+
+  const k = smoothK > 1 ? sma(raw, smoothK) : raw;
+  return { k, d: sma(k, dPeriod) };
+}
+
+// ============ VOLATILITY ============
+function trueRange(highs, lows, closes) {
+  return highs.map((high, i) => i === 0
+    ? high - lows[i]
+    : Math.max(high - lows[i], Math.abs(high - closes[i - 1]), Math.abs(lows[i] - closes[i - 1])));
+}
+
+// First ATR averages the true ranges of bars 1..period (bar 0 has no previous
+// close), matching Wilder and TA-Lib.
+function atr(highs, lows, closes, period = 14) {
+  return wilder(trueRange(highs, lows, closes), period, 1);
+}
+
+function bollinger(closes, period = 20, multiplier = 2) {
+  const middle = sma(closes, period);
+  const upper = new Array(closes.length).fill(null);
+  const lower = new Array(closes.length).fill(null);
+  const bandwidth = new Array(closes.length).fill(null);
+  const percentB = new Array(closes.length).fill(null);
+
+  for (let i = period - 1; i < closes.length; i++) {
+    if (middle[i] === null) continue;
+    let variance = 0;
+    for (let j = i - period + 1; j <= i; j++) variance += Math.pow(closes[j] - middle[i], 2);
+    const sd = Math.sqrt(variance / period);
+
+    upper[i] = middle[i] + sd * multiplier;
+    lower[i] = middle[i] - sd * multiplier;
+    bandwidth[i] = middle[i] !== 0 ? (upper[i] - lower[i]) / middle[i] * 100 : null;
+    percentB[i] = upper[i] !== lower[i] ? (closes[i] - lower[i]) / (upper[i] - lower[i]) : 0.5;
+  }
+  return { upper, middle, lower, bandwidth, percentB };
+}
+
+// ============ TREND ============
+// Wilder's directional movement system. +DI/-DI are available from bar
+// `period`, ADX (the smoothed DX) from bar 2 * period - 1.
+function adx(highs, lows, closes, period = 14) {
+  const len = closes.length;
+  const plusDI = new Array(len).fill(null);
+  const minusDI = new Array(len).fill(null);
+  const dx = new Array(len).fill(null);
+  if (len <= period) return { adx: new Array(len).fill(null), plusDI, minusDI };
+
+  const tr = trueRange(highs, lows, closes);
+  const plusDM = [0];
+  const minusDM = [0];
+  for (let i = 1; i < len; i++) {
+    const up = highs[i] - highs[i - 1];
+    const down = lows[i - 1] - lows[i];
+    plusDM.push(up > down && up > 0 ? up : 0);
+    minusDM.push(down > up && down > 0 ? down : 0);
+  }
+
+  // Wilder sums (not averages) - the ratio is the same either way
+  let smTR = 0, smPlus = 0, smMinus = 0;
+  for (let i = 1; i <= period; i++) {
+    smTR += tr[i];
+    smPlus += plusDM[i];
+    smMinus += minusDM[i];
+  }
+
+  for (let i = period; i < len; i++) {
+    if (i > period) {
+      smTR = smTR - smTR / period + tr[i];
+      smPlus = smPlus - smPlus / period + plusDM[i];
+      smMinus = smMinus - smMinus / period + minusDM[i];
+    }
+    plusDI[i] = smTR === 0 ? 0 : 100 * smPlus / smTR;
+    minusDI[i] = smTR === 0 ? 0 : 100 * smMinus / smTR;
+    const diSum = plusDI[i] + minusDI[i];
+    dx[i] = diSum === 0 ? 0 : 100 * Math.abs(plusDI[i] - minusDI[i]) / diSum;
+  }
+
+  return { adx: wilder(dx, period, period), plusDI, minusDI };
+}
+
+// ============ SIGNALS ============
+// Bars where series `a` crosses series `b` (a number is treated as a constant line)
+function crossovers(a, b) {
+  const valueB = i => typeof b === 'number' ? b : b[i];
+  const crosses = [];
+
+  for (let i = 1; i < a.length; i++) {
+    const prevA = a[i - 1], curA = a[i], prevB = valueB(i - 1), curB = valueB(i);
+    if ([prevA, curA, prevB, curB].some(v => v === null || v === undefined)) continue;
+    if (prevA <= prevB && curA > curB) crosses.push({ index: i, type: 'bullish' });
+    else if (prevA >= prevB && curA < curB) crosses.push({ index: i, type: 'bearish' });
+  }
+  return crosses;
+}
+
+function last(series) {
+  return series.length > 0 ? series[series.length - 1] : null;
+}
+
+module.exports = {
+  sma,
+  ema,
+  wilder,
+  rsi,
+  macd,
+  stochastic,
+  trueRange,
+  atr,
+  bollinger,
+  adx,
+  crossovers,
+  last
+};
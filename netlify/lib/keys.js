@@ -0,0 +1,144 @@
+// netlify/lib/keys.js
+// API keys are held server-side in environment variables. Keys sent by the
+// browser are only used when the deployment opts in with
+// ALLOW_CLIENT_KEYS=true, and then override the server's own. The server's
+// provider keys are only spent once ACCESS_TOKEN is set, so on requests the
+// guard (netlify/lib/http.js) has authenticated; until then keyed providers
+// run on their demo keys.
+
+const { PROVIDERS, providerOrder } = require('./providers');
+const { resolveSymbol } = require('./symbols');
+
+const KEY_ENV = {
+  twelvedata: 'TWELVEDATA_API_KEY',
+  fixer: 'FIXER_API_KEY',
+  metals: 'METALS_API_KEY',
+  anthropic: 'ANTHROPIC_API_KEY'
+};
+
+function clientKeysAllowed(env = process.env) {
+  return env.ALLOW_CLIENT_KEYS === 'true';
+}
+
+// The provider keys a request may use: { twelvedata, fixer, metals }
+function resolveKeys(clientKeys, env = process.env) {
+  const keys = {};
+  Object.entries(KEY_ENV).forEach(([id, name]) => {
+    if (id === 'anthropic') return;
+    const key = clientKey(clientKeys, id, env) || (env.ACCESS_TOKEN ? env[name] : null);
+    if (key) keys[id] = key;
+  });
+  return keys;
+}
+
+function clientKey(clientKeys, id, env) {
+  if (!clientKeysAllowed(env) || !clientKeys || typeof clientKeys !== 'object') return null;
+  const key = clientKeys[id];
+  return typeof key === 'string' && key.trim() ? key.trim() : null;
+}
+
+function anthropicKey(clientKey, env = process.env) {
+  if (clientKeysAllowed(env) && typeof clientKey === 'string' && clientKey.trim()) return clientKey.trim();
+  return env[KEY_ENV.anthropic] || null;
+}
+
+// ============ MODELS ============
+// On the server's key a request runs ANTHROPIC_MODEL or one of
+// ANTHROPIC_MODELS (comma separated); anything else asked for is replaced
+// by the default. Callers bringing their own key pick freely.
+const DEFAULT_MODEL = 'claude-sonnet-4-5';
+
+function allowedModels(env = process.env) {
+  const listed = (env.ANTHROPIC_MODELS || '').split(',').map(m => m.trim()).filter(Boolean);
+  return [env.ANTHROPIC_MODEL || DEFAULT_MODEL, ...listed];
+}
+
+function anthropicModel(requested, apiKey, env = process.env) {
+  const allowed = allowedModels(env);
+  if (apiKey && apiKey !== env[KEY_ENV.anthropic]) return requested || allowed[0];
+  return allowed.includes(requested) ? requested : allowed[0];
+}
+
+// ============ SERVER SECRETS ============
+// What of the environment's keys a request would spend, for the request
+// guard's `secret` option (netlify/lib/http.js): a label, or null when the
+// caller brings its own keys or the server holds none
+
+// For market data functions. symbolsOf(body, event) lists the symbols the
+// request fetches (an array or comma-separated string); the request is
+// secret when one of them goes first to a provider on a server-held key.
+// Providers after a keyless one are fallbacks and never get the server's
+// keys without ACCESS_TOKEN (see resolveKeys).
+function serverDataKeys(symbolsOf) {
+  return (event, env = process.env) => {
+    const body = parseBody(event);
+    const order = Array.isArray(body.providers) ? body.providers : undefined;
+    let symbols;
+    try {
+      symbols = symbolsOf(body, event) || [];
+    } catch (err) {
+      return null;
+    }
+    const list = Array.isArray(symbols) ? symbols : String(symbols).split(',');
+    const spends = symbol => {
+      let instrument;
+      try {
+        instrument = resolveSymbol(symbol);
+      } catch (err) {
+        return false;
+      }
+      for (const id of providerOrder(instrument, order)) {
+        if (!KEY_ENV[id]) return false;
+        if (!clientKey(body.apiKeys, id, env) && env[KEY_ENV[id]]) return true;
+      }
+      return false;
+    };
+    return list.some(s => typeof s === 'string' && s.trim() && spends(s)) ? 'data provider keys' : null;
+  };
+}
+
+function serverAnthropicKey(event, env = process.env) {
+  const key = anthropicKey(parseBody(event).apiKey, env);
+  return key && key === env[KEY_ENV.anthropic] ? 'Anthropic API key' : null;
+}
+
+// Bodies are parsed again by the handler, which reports malformed JSON
+function parseBody(event) {
+  try {
+    return JSON.parse(event.body || '{}') || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+// What the Settings panel shows: which providers work and whether their key
+// is held by the server. Never includes the keys themselves.
+function describeKeys(env = process.env) {
+  return {
+    clientKeys: clientKeysAllowed(env),
+    providers: Object.values(PROVIDERS).map(p => ({
+      id: p.id,
+      name: p.name,
+      assetClasses: p.assetClasses,
+      candles: p.candles,
+      needsKey: !!KEY_ENV[p.id],
+      configured: KEY_ENV[p.id] ? !!env[KEY_ENV[p.id]] : true
+    })),
+    ai: {
+      configured: !!env[KEY_ENV.anthropic],
+      model: env.ANTHROPIC_MODEL || null,
+      models: allowedModels(env)
+    }
+  };
+}
+
+module.exports = {
+  KEY_ENV,
+  clientKeysAllowed,
+  resolveKeys,
+  anthropicKey,
+  anthropicModel,
+  serverDataKeys,
+  serverAnthropicKey,
+  describeKeys
+};
@@ -0,0 +1,175 @@
+// netlify/lib/levels.js
+// Support/resistance from the data: clustered swing-point zones, classic,
+// Fibonacci and Camarilla pivots from the previous session, and the volume
+// profile and VWAP levels when the candles carry volume.
+
+const ta = require('./indicators');
+const { findSwings } = require('./patterns');
+const Volume = require('../../js/volume');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULTS = {
+  swingStrength: 3,
+  zoneTolerance: 0.5,  // in ATRs: swings closer than this share a zone
+  maxLevels: 3         // per side in the plain support/resistance arrays
+};
+
+// Order levels are picked in for the plain arrays: where price actually
+// turned, then where volume actually traded, then computed pivots
+const SOURCE_RANK = { 'swing-cluster': 0, 'volume-profile': 1 };
+const rank = level => SOURCE_RANK[level.source] ?? 2;
+
+// options.volume: the Volume.indicators() summary (js/volume.js)
+function calculateSupportResistance(candles, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const empty = { support: [], resistance: [], zones: [], pivots: null, levels: [] };
+  if (candles.length < 2) return empty;
+
+  const price = candles[candles.length - 1].close;
+  const atr = ta.last(ta.atr(candles.map(c => c.high), candles.map(c => c.low), candles.map(c => c.close), 14))
+    || (candles[candles.length - 1].high - candles[candles.length - 1].low);
+
+  const zones = clusterSwings(candles, findSwings(candles, opts.swingStrength), atr * opts.zoneTolerance, price);
+  const pivots = calculatePivots(candles);
+
+  const levels = [
+    ...zones.map(z => ({
+      price: z.price,
+      type: z.type,
+      source: 'swing-cluster',
+      label: `Swing ${z.type} zone (${z.touches} touch${z.touches === 1 ? '' : 'es'})`,
+      strength: z.strength
+    })),
+    ...pivotLevels(pivots, price),
+    ...Volume.levels(opts.volume, price)
+  ];
+
+  // Plain arrays stay nearest-first for existing consumers
+  const nearest = (type, sign) => levels
+    .filter(l => l.type === type && (l.price - price) * sign > 0)
+    .sort((a, b) => rank(a) - rank(b) || Math.abs(a.price - price) - Math.abs(b.price - price))
+    .slice(0, opts.maxLevels)
+    .map(l => l.price)
+    .sort((a, b) => Math.abs(a - price) - Math.abs(b - price));
+
+  return {
+    support: nearest('support', -1),
+    resistance: nearest('resistance', 1),
+    zones,
+    pivots,
+    levels: levels.sort((a, b) => b.price - a.price)
+  };
+}
+
+// ============ SWING ZONES ============
+// Greedy 1-D clustering of swing prices. Strength grows with touches and
+// recency; a zone is support or resistance by where it sits against price.
+function clusterSwings(candles, swings, tolerance, price) {
+  const sorted = [...swings].sort((a, b) => a.price - b.price);
+  const clusters = [];
+
+  sorted.forEach(swing => {
+    const current = clusters[clusters.length - 1];
+    if (current && swing.price - current.mean <= tolerance) {
+      current.points.push(swing);
+      current.mean = current.points.reduce((a, p) => a + p.price, 0) / current.points.length;
+    } else {
+      clusters.push({ points: [swing], mean: swing.price });
+    }
+  });
+
+  const len = candles.length;
+  return clusters.map(cluster => {
+    const prices = cluster.points.map(p => p.price);
+    const lastTouch = Math.max(...cluster.points.map(p => p.index));
+    const touches = cluster.points.length;
+    const recency = 1 - (len - 1 - lastTouch) / len;
+
+    return {
+      type: cluster.mean < price ? 'support' : 'resistance',
+      price: cluster.mean,
+      low: Math.min(...prices),
+      high: Math.max(...prices),
+      touches,
+      lastTouch,
+      strength: Math.round(Math.min(1, Math.min(touches, 4) * 0.2 + recency * 0.2) * 100) / 100
+    };
+  }).sort((a, b) => b.strength - a.strength || b.touches - a.touches);
+}
+
+// ============ PIVOT POINTS ============
+function calculatePivots(candles) {
+  const session = previousSession(candles);
+  if (!session) return null;
+
+  const { high: H, low: L, close: C } = session;
+  const P = (H + L + C) / 3;
+  const R = H - L;
+
+  return {
+    session,
+    classic: {
+      P,
+      R1: 2 * P - L, S1: 2 * P - H,
+      R2: P + R, S2: P - R,
+      R3: H + 2 * (P - L), S3: L - 2 * (H - P)
+    },
+    fibonacci: {
+      P,
+      R1: P + 0.382 * R, S1: P - 0.382 * R,
+      R2: P + 0.618 * R, S2: P - 0.618 * R,
+      R3: P + R, S3: P - R
+    },
+    camarilla: {
+      R1: C + R * 1.1 / 12, S1: C - R * 1.1 / 12,
+      R2: C + R * 1.1 / 6, S2: C - R * 1.1 / 6,
+      R3: C + R * 1.1 / 4, S3: C - R * 1.1 / 4,
+      R4: C + R * 1.1 / 2, S4: C - R * 1.1 / 2
+    }
+  };
+}
+
+// Intraday bars are grouped into UTC days and the last complete day is used;
+// daily and longer bars (or bars without timestamps) use the previous bar.
+function previousSession(candles) {
+  const len = candles.length;
+  const spacing = len > 1 ? candles[len - 1].time - candles[len - 2].time : NaN;
+
+  if (!(spacing > 0) || spacing >= DAY_MS) {
+    const prev = candles[len - 2];
+    return { high: prev.high, low: prev.low, close: prev.close, time: prev.time ?? null };
+  }
+
+  const today = Math.floor(candles[len - 1].time / DAY_MS);
+  const prevDay = candles.filter(c => Math.floor(c.time / DAY_MS) < today);
+  if (prevDay.length === 0) return null;
+
+  const day = Math.floor(prevDay[prevDay.length - 1].time / DAY_MS);
+  const bars = prevDay.filter(c => Math.floor(c.time / DAY_MS) === day);
+  return {
+    high: Math.max(...bars.map(c => c.high)),
+    low: Math.min(...bars.map(c => c.low)),
+    close: bars[bars.length - 1].close,
+    time: day * DAY_MS
+  };
+}
+
+function pivotLevels(pivots, price) {
+  if (!pivots) return [];
+  const names = { classic: 'Classic', fibonacci: 'Fibonacci', camarilla: 'Camarilla' };
+
+  return Object.keys(names).flatMap(method => Object.entries(pivots[method]).map(([key, value]) => ({
+    price: value,
+    // An S level above price acts as resistance (and vice versa); the label keeps its name
+    type: value < price ? 'support' : 'resistance',
+    source: `pivot-${method}`,
+    label: `${names[method]} ${key === 'P' ? 'pivot' : key}`,
+    strength: key === 'P' ? 0.5 : 0.4
+  })));
+}
+
+module.exports = {
+  calculateSupportResistance,
+  calculatePivots
+};
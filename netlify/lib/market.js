@@ -0,0 +1,238 @@
+// netlify/lib/market.js
+// The market-data pipeline: resolve the symbol, fetch ascending OHLCV through
+// the provider registry, then derive indicators, patterns and levels. Every
+// payload states its data quality (see js/data-quality.js).
+
+const ta = require('./indicators');
+const { detectPatterns } = require('./patterns');
+const { calculateSupportResistance } = require('./levels');
+const { resolveSymbol } = require('./symbols');
+const providers = require('./providers');
+const { quoteFromCandles } = require('./providers/common');
+const { TIMEFRAME_MS } = require('./timeframes');
+const DataQuality = require('../../js/data-quality');
+const Volume = require('../../js/volume');
+
+// Demo series start near a typical price for the asset class
+const DEMO_BASE = { crypto: 50000, forex: 1.085, commodity: 2045.3, stock: 178.5 };
+
+// options: { apiKeys, providers (explicit provider order), limit, demo,
+// anchor (anchored VWAP start, ms or ISO time) }
+// Throws when no provider can serve the symbol (err.code, err.errors); demo
+// data is only returned when asked for with options.demo.
+async function getMarketData(symbol, timeframe, options = {}) {
+  const instrument = resolveSymbol(symbol);
+  if (options.demo) return getDemoData(instrument, timeframe, options.limit || 200, options);
+
+  const series = await providers.fetchSeries(instrument, timeframe, {
+    apiKeys: options.apiKeys,
+    order: options.providers,
+    limit: options.limit || 200
+  });
+
+  const payload = series.candles.length > 0
+    ? fullPayload(series, options)
+    : quoteOnlyPayload(series);
+
+  return {
+    ...describe(instrument, timeframe),
+    source: series.source,
+    provider: series.provider,
+    ...payload,
+    availability: DataQuality.availability(payload),
+    providerErrors: series.errors,
+    lastUpdate: new Date(series.cache.storedAt).toISOString(),
+    cached: series.cache.cached,
+    ageMs: series.cache.ageMs,
+    stale: series.cache.stale
+  };
+}
+
+function describe(instrument, timeframe) {
+  return {
+    symbol: instrument.symbol,
+    assetClass: instrument.assetClass,
+    instrument: { base: instrument.base, quote: instrument.quote, name: instrument.name },
+    timeframe,
+    // Exchange symbol for live streaming (js/stream.js); only Binance pairs stream
+    stream: instrument.providers.binance ? { provider: 'binance', symbol: instrument.providers.binance } : null
+  };
+}
+
+// options: { anchor }
+function fullPayload(series, options = {}) {
+  const { candles, quote } = series;
+  const closes = candles.map(c => c.close);
+  const analysis = analyzeCandles(candles, options);
+
+  return {
+    quality: 'full',
+    ...quote,
+    // Sources without volume send zeros; report none rather than a zero total
+    ...(analysis.indicators.volume.available ? {} : { volume: null }),
+    ...analysis,
+    historicalData: closes.slice(-50),
+    candles
+  };
+}
+
+// Quote-only sources (Fixer, ExchangeRate-API, Metals-API) have no history:
+// the rate is passed through as is and everything derived from candles is
+// left empty rather than estimated.
+function quoteOnlyPayload(series) {
+  return {
+    quality: 'quote-only',
+    price: null,
+    change: null,
+    changePercent: null,
+    high24h: null,
+    low24h: null,
+    volume: null,
+    bid: null,
+    ask: null,
+    ...series.quote,
+    indicators: null,
+    patterns: [],
+    supportResistance: null,
+    historicalData: [],
+    candles: [],
+    note: `Live rate from ${series.source} - no price history, so no indicators or signals. Add a Twelve Data key for full analysis`
+  };
+}
+
+// ============ ANALYSIS ============
+// Volume analytics (js/volume.js) join the indicators, their series included,
+// and add volume-profile and VWAP levels to support/resistance.
+function analyzeCandles(candles, options = {}) {
+  const indicators = calculateIndicators(
+    candles.map(c => c.close),
+    candles.map(c => c.high),
+    candles.map(c => c.low)
+  );
+  const { series: volumeSeries, ...volume } = Volume.indicators(candles, { anchor: options.anchor });
+
+  return {
+    indicators: { ...indicators, ...volume, series: { ...indicators.series, ...volumeSeries } },
+    patterns: detectPatterns(candles),
+    supportResistance: calculateSupportResistance(candles, { volume })
+  };
+}
+
+// ============ INDICATOR CALCULATIONS ============
+// Latest values in the shape the UI and analysis expect, plus the full series
+// (aligned with the candles, oldest first) for charting and crossover checks.
+function calculateIndicators(closes, highs, lows) {
+  const ema20 = ta.ema(closes, 20);
+  const ema50 = ta.ema(closes, 50);
+  const ema200 = ta.ema(closes, 200);
+  const sma20 = ta.sma(closes, 20);
+  const sma50 = ta.sma(closes, 50);
+  const rsi = ta.rsi(closes, 14);
+  const macd = ta.macd(closes, 12, 26, 9);
+  const bollinger = ta.bollinger(closes, 20, 2);
+  const atr = ta.atr(highs, lows, closes, 14);
+  const adx = ta.adx(highs, lows, closes, 14);
+  const stochastic = ta.stochastic(highs, lows, closes, 14, 1, 3);
+
+  return {
+    rsi: ta.last(rsi),
+    macd: {
+      value: ta.last(macd.line),
+      signal: ta.last(macd.signal),
+      histogram: ta.last(macd.histogram)
+    },
+    ema20: ta.last(ema20),
+    ema50: ta.last(ema50),
+    ema200: ta.last(ema200),
+    sma20: ta.last(sma20),
+    sma50: ta.last(sma50),
+    bollingerBands: {
+      upper: ta.last(bollinger.upper),
+      middle: ta.last(bollinger.middle),
+      lower: ta.last(bollinger.lower),
+      bandwidth: ta.last(bollinger.bandwidth),
+      percentB: ta.last(bollinger.percentB)
+    },
+    atr: ta.last(atr),
+    adx: ta.last(adx.adx),
+    plusDI: ta.last(adx.plusDI),
+    minusDI: ta.last(adx.minusDI),
+    stochastic: { k: ta.last(stochastic.k), d: ta.last(stochastic.d) },
+    crossovers: {
+      macd: ta.last(ta.crossovers(macd.line, macd.signal)),
+      ema20_50: ta.last(ta.crossovers(ema20, ema50)),
+      ema50_200: ta.last(ta.crossovers(ema50, ema200)),
+      stochastic: ta.last(ta.crossovers(stochastic.k, stochastic.d))
+    },
+    series: {
+      ema20, ema50, ema200, sma20, sma50, rsi, atr,
+      macd,
+      bollinger,
+      adx: adx.adx,
+      plusDI: adx.plusDI,
+      minusDI: adx.minusDI,
+      stochastic
+    }
+  };
+}
+
+// ============ DEMO DATA ============
+// A seeded random walk, the same for a symbol and timeframe on every call,
+// run through the real pipeline. Marked quality 'demo' so nothing trades or
+// signals on it.
+function getDemoData(instrument, timeframe, limit, options = {}) {
+  const step = TIMEFRAME_MS[timeframe] || TIMEFRAME_MS['1H'];
+  const random = seededRandom(`${instrument.symbol}|${timeframe}`);
+  const volatility = 0.004 * Math.sqrt(step / TIMEFRAME_MS['1H']);
+  const end = Math.floor(Date.now() / step) * step;
+
+  let close = DEMO_BASE[instrument.assetClass] || 100;
+  const candles = [];
+  for (let i = limit - 1; i >= 0; i--) {
+    const open = close;
+    close = open * (1 + (random() - 0.5) * 2 * volatility);
+    candles.push({
+      time: end - i * step,
+      open,
+      high: Math.max(open, close) * (1 + random() * volatility / 2),
+      low: Math.min(open, close) * (1 - random() * volatility / 2),
+      close,
+      volume: Math.round(1000 + random() * 9000)
+    });
+  }
+
+  const payload = { ...fullPayload({ candles, quote: quoteFromCandles(candles) }, options), quality: 'demo' };
+  return {
+    ...describe(instrument, timeframe),
+    source: 'Demo Data',
+    provider: 'demo',
+    ...payload,
+    availability: DataQuality.availability(payload),
+    providerErrors: [],
+    note: 'Demo data - synthetic prices for trying the dashboard, never used for signals or alerts',
+    lastUpdate: new Date(end).toISOString(),
+    cached: false,
+    ageMs: 0,
+    stale: false
+  };
+}
+
+// mulberry32 seeded from a string hash
+function seededRandom(text) {
+  let seed = 0;
+  for (const ch of text) seed = (Math.imul(seed, 31) + ch.charCodeAt(0)) | 0;
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = {
+  getMarketData,
+  fullPayload,
+  analyzeCandles,
+  calculateIndicators,
+  getDemoData
+};
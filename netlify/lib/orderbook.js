@@ -0,0 +1,154 @@
+// netlify/lib/orderbook.js
+// Order book analytics on a Binance depth snapshot: spread, cumulative depth,
+// imbalance by distance from the mid, resting walls and slippage estimates.
+
+const binance = require('./providers/binance');
+const { ProviderError, getJson } = require('./providers/common');
+const cache = require('./cache');
+
+const DEPTH_LIMITS = [5, 10, 20, 50, 100, 500, 1000];
+const DEPTH_TTL_MS = 2000;
+
+const DEFAULTS = {
+  bands: [0.1, 0.5, 1],     // % from the mid
+  wallMultiple: 5,          // a wall is at least this many times the side's average level
+  maxWalls: 5,              // per side
+  sizes: [1000, 10000, 100000]  // slippage order sizes, quote currency
+};
+
+// Resolves to { symbol, lastUpdateId, bids, asks, cache } with levels as
+// { price, qty }, best first
+async function fetchDepth(instrument, limit = 1000) {
+  const symbol = instrument.providers.binance;
+  if (!symbol) throw new ProviderError('NOT_SUPPORTED', `No exchange order book for ${instrument.symbol}`);
+  // Binance only accepts these limits; take the next one up
+  const size = DEPTH_LIMITS.find(l => l >= limit) || 1000;
+
+  const result = await cache.getOrLoad(`binance|depth|${symbol}|${size}`, DEPTH_TTL_MS, async () => {
+    const depth = await getJson(`${binance.baseUrl()}/api/v3/depth?symbol=${symbol}&limit=${size}`, 'Binance depth', 'binance');
+    if (!Array.isArray(depth.bids)) throw new ProviderError('BAD_RESPONSE', depth.msg || 'Unexpected Binance depth response');
+    return depth;
+  });
+  const toLevels = side => side.map(([p, q]) => ({ price: parseFloat(p), qty: parseFloat(q) }));
+
+  return {
+    symbol,
+    lastUpdateId: result.value.lastUpdateId,
+    bids: toLevels(result.value.bids),
+    asks: toLevels(result.value.asks),
+    cache: { cached: result.cached, stale: result.stale, ageMs: result.ageMs, storedAt: result.storedAt }
+  };
+}
+
+// ============ ANALYTICS ============
+function analyzeBook(book, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const { bids, asks } = book;
+  if (bids.length === 0 || asks.length === 0) throw new ProviderError('NO_DATA', 'Order book is empty on one side');
+
+  const bestBid = bids[0].price;
+  const bestAsk = asks[0].price;
+  const mid = (bestBid + bestAsk) / 2;
+
+  return {
+    bestBid,
+    bestAsk,
+    mid,
+    spread: bestAsk - bestBid,
+    spreadPct: (bestAsk - bestBid) / mid * 100,
+    levels: { bids: bids.length, asks: asks.length },
+    depth: { bids: cumulative(bids), asks: cumulative(asks) },
+    imbalance: opts.bands.map(band => imbalance(bids, asks, mid, band)),
+    walls: [...walls(bids, 'bid', mid, opts), ...walls(asks, 'ask', mid, opts)],
+    slippage: opts.sizes.map(size => ({
+      size,
+      buy: slippage(asks, size, mid),
+      sell: slippage(bids, size, mid)
+    }))
+  };
+}
+
+// Running totals outward from the best price, for depth charts
+function cumulative(levels) {
+  let qty = 0, notional = 0;
+  return levels.map(l => {
+    qty += l.qty;
+    notional += l.qty * l.price;
+    return { price: l.price, qty: l.qty, cumQty: qty, cumNotional: notional };
+  });
+}
+
+// Resting size within `band` % of the mid on each side; imbalance runs from
+// -1 (all asks) to 1 (all bids)
+function imbalance(bids, asks, mid, band) {
+  const bidQty = sum(bids.filter(l => l.price >= mid * (1 - band / 100)));
+  const askQty = sum(asks.filter(l => l.price <= mid * (1 + band / 100)));
+  const total = bidQty + askQty;
+  return {
+    band,
+    bidQty,
+    askQty,
+    bidNotional: notionalOf(bids.filter(l => l.price >= mid * (1 - band / 100))),
+    askNotional: notionalOf(asks.filter(l => l.price <= mid * (1 + band / 100))),
+    imbalance: total > 0 ? (bidQty - askQty) / total : 0,
+    buyPressure: total > 0 ? bidQty / total * 100 : 50
+  };
+}
+
+// Levels several times the side's average size, largest first
+function walls(levels, side, mid, opts) {
+  const average = sum(levels) / levels.length;
+  return levels
+    .filter(l => l.qty >= average * opts.wallMultiple)
+    .sort((a, b) => b.qty - a.qty)
+    .slice(0, opts.maxWalls)
+    .map(l => ({
+      side,
+      price: l.price,
+      qty: l.qty,
+      notional: l.qty * l.price,
+      multiple: l.qty / average,
+      distancePct: Math.abs(l.price - mid) / mid * 100
+    }));
+}
+
+// Walks the book to fill `size` (quote currency) at market. `filled` is
+// false when the fetched depth runs out first.
+function slippage(levels, size, mid) {
+  let remaining = size, qty = 0, cost = 0, used = 0;
+  for (const l of levels) {
+    if (remaining <= 0) break;
+    const take = Math.min(remaining, l.qty * l.price);
+    qty += take / l.price;
+    cost += take;
+    remaining -= take;
+    used++;
+  }
+  if (qty === 0) return null;
+  const avgPrice = cost / qty;
+  return {
+    avgPrice,
+    worstPrice: levels[used - 1].price,
+    slippagePct: Math.abs(avgPrice - mid) / mid * 100,
+    impactPct: Math.abs(levels[used - 1].price - levels[0].price) / levels[0].price * 100,
+    levelsUsed: used,
+    filled: remaining <= 1e-9,
+    unfilled: Math.max(0, remaining)
+  };
+}
+
+// ============ HELPER FUNCTIONS ============
+function sum(levels) {
+  return levels.reduce((a, l) => a + l.qty, 0);
+}
+
+function notionalOf(levels) {
+  return levels.reduce((a, l) => a + l.qty * l.price, 0);
+}
+
+module.exports = {
+  DEFAULTS,
+  DEPTH_LIMITS,
+  fetchDepth,
+  analyzeBook
+};
@@ -0,0 +1,407 @@
+// netlify/lib/patterns.js
+// Candlestick and swing-based chart pattern recognition on OHLC candles
+// ({ time, open, high, low, close, volume }, oldest first).
+//
+// Every hit is { name, type, index, time, direction, strength } where type is
+// 'candlestick' | 'chart' | 'trend', direction is 'bullish' | 'bearish' |
+// 'neutral' and strength is a 0-1 score. Chart patterns also carry the bar
+// range they span, their key level and whether price has confirmed them.
+
+const ta = require('./indicators');
+
+const DEFAULTS = {
+  candleLookback: 20,  // only recent candles matter for candlestick signals
+  chartLookback: 120,  // window for swing-based chart patterns
+  swingStrength: 3,    // bars on each side that a swing point must exceed
+  trendLookback: 5
+};
+
+function detectPatterns(candles, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  if (candles.length < opts.trendLookback) return [];
+
+  const atr = ta.atr(candles.map(c => c.high), candles.map(c => c.low), candles.map(c => c.close), 14);
+  const context = {
+    candles,
+    atr: i => atr[i] || averageRange(candles, i, 14),
+    avgBody: averageBodies(candles, 10)
+  };
+
+  const patterns = [
+    detectTrend(candles, opts.trendLookback),
+    ...detectCandlestickPatterns(context, opts),
+    ...detectChartPatterns(context, opts)
+  ].filter(Boolean);
+
+  return patterns
+    .map(p => ({ ...p, time: candles[p.index].time, strength: round(clamp(p.strength, 0, 1)) }))
+    .sort((a, b) => b.index - a.index || b.strength - a.strength);
+}
+
+// ============ TREND ============
+function detectTrend(candles, lookback) {
+  const len = candles.length;
+  const now = candles[len - 1].close;
+  const then = candles[len - lookback].close;
+  const change = (now - then) / then;
+
+  const name = change > 0.02 ? 'Uptrend' : change < -0.02 ? 'Downtrend' : 'Sideways';
+  return {
+    name,
+    type: 'trend',
+    index: len - 1,
+    direction: name === 'Uptrend' ? 'bullish' : name === 'Downtrend' ? 'bearish' : 'neutral',
+    strength: name === 'Sideways' ? 1 - Math.abs(change) / 0.02 : Math.abs(change) / 0.1
+  };
+}
+
+// ============ CANDLESTICK PATTERNS ============
+function detectCandlestickPatterns(ctx, opts) {
+  const hits = [];
+  const start = Math.max(2, ctx.candles.length - opts.candleLookback);
+
+  for (let i = start; i < ctx.candles.length; i++) {
+    const trend = priorTrend(ctx, i, opts.trendLookback);
+    [doji, hammer, shootingStar, engulfing, star, threeSoldiersOrCrows].forEach(check => {
+      const hit = check(ctx, i, trend);
+      if (hit) hits.push({ ...hit, type: 'candlestick', index: i });
+    });
+  }
+  return hits;
+}
+
+function doji(ctx, i) {
+  const c = anatomy(ctx.candles[i]);
+  if (c.range === 0 || c.body > c.range * 0.1) return null;
+  return { name: 'Doji', direction: 'neutral', strength: 1 - c.body / (c.range * 0.1) * 0.5 };
+}
+
+// Long lower shadow after a decline
+function hammer(ctx, i, trend) {
+  const c = anatomy(ctx.candles[i]);
+  if (trend !== 'down' || c.body === 0 || c.body < c.range * 0.1) return null;
+  if (c.lower < c.body * 2 || c.upper > c.body * 0.5) return null;
+  return { name: 'Hammer', direction: 'bullish', strength: 0.4 + Math.min(c.lower / c.body, 5) / 10 + volumeBonus(ctx, i) };
+}
+
+// Long upper shadow after an advance
+function shootingStar(ctx, i, trend) {
+  const c = anatomy(ctx.candles[i]);
+  if (trend !== 'up' || c.body === 0 || c.body < c.range * 0.1) return null;
+  if (c.upper < c.body * 2 || c.lower > c.body * 0.5) return null;
+  return { name: 'Shooting Star', direction: 'bearish', strength: 0.4 + Math.min(c.upper / c.body, 5) / 10 + volumeBonus(ctx, i) };
+}
+
+function engulfing(ctx, i, trend) {
+  const prev = anatomy(ctx.candles[i - 1]);
+  const cur = anatomy(ctx.candles[i]);
+  if (cur.body <= prev.body || prev.body === 0) return null;
+
+  const sizeScore = Math.min(cur.body / prev.body, 3) / 6;
+  if (prev.bearish && cur.bullish && cur.open <= prev.close && cur.close >= prev.open) {
+    return { name: 'Bullish Engulfing', direction: 'bullish', strength: 0.3 + sizeScore + (trend === 'down' ? 0.2 : 0) + volumeBonus(ctx, i) };
+  }
+  if (prev.bullish && cur.bearish && cur.open >= prev.close && cur.close <= prev.open) {
+    return { name: 'Bearish Engulfing', direction: 'bearish', strength: 0.3 + sizeScore + (trend === 'up' ? 0.2 : 0) + volumeBonus(ctx, i) };
+  }
+  return null;
+}
+
+// Morning/evening star: long candle, small-bodied star, then a candle closing
+// past the midpoint of the first body
+function star(ctx, i) {
+  const first = anatomy(ctx.candles[i - 2]);
+  const middle = anatomy(ctx.candles[i - 1]);
+  const last = anatomy(ctx.candles[i]);
+  const avgBody = ctx.avgBody[i - 2] || first.body;
+
+  if (first.body < avgBody || middle.body > first.body * 0.3) return null;
+  const midpoint = (first.open + first.close) / 2;
+
+  if (first.bearish && last.bullish && last.close > midpoint && Math.max(middle.open, middle.close) <= first.close + first.body * 0.1) {
+    return { name: 'Morning Star', direction: 'bullish', strength: 0.5 + Math.min((last.close - midpoint) / first.body, 0.5) + volumeBonus(ctx, i) };
+  }
+  if (first.bullish && last.bearish && last.close < midpoint && Math.min(middle.open, middle.close) >= first.close - first.body * 0.1) {
+    return { name: 'Evening Star', direction: 'bearish', strength: 0.5 + Math.min((midpoint - last.close) / first.body, 0.5) + volumeBonus(ctx, i) };
+  }
+  return null;
+}
+
+// Three consecutive same-colour candles, each opening inside the previous
+// body and closing near its extreme
+function threeSoldiersOrCrows(ctx, i) {
+  const bars = [i - 2, i - 1, i].map(j => anatomy(ctx.candles[j]));
+  const avgBody = ctx.avgBody[i - 3] || bars[0].body;
+  if (bars.some(b => b.body < avgBody * 0.5)) return null;
+
+  const opensInside = (prev, cur) => cur.open >= Math.min(prev.open, prev.close) && cur.open <= Math.max(prev.open, prev.close);
+  const chained = opensInside(bars[0], bars[1]) && opensInside(bars[1], bars[2]);
+  if (!chained) return null;
+
+  if (bars.every(b => b.bullish && b.upper <= b.body * 0.5) && bars[1].close > bars[0].close && bars[2].close > bars[1].close) {
+    return { name: 'Three White Soldiers', direction: 'bullish', strength: 0.6 + volumeBonus(ctx, i) };
+  }
+  if (bars.every(b => b.bearish && b.lower <= b.body * 0.5) && bars[1].close < bars[0].close && bars[2].close < bars[1].close) {
+    return { name: 'Three Black Crows', direction: 'bearish', strength: 0.6 + volumeBonus(ctx, i) };
+  }
+  return null;
+}
+
+// ============ CHART PATTERNS ============
+function detectChartPatterns(ctx, opts) {
+  const from = Math.max(0, ctx.candles.length - opts.chartLookback);
+  const swings = findSwings(ctx.candles, opts.swingStrength).filter(s => s.index >= from);
+  const highs = swings.filter(s => s.type === 'high');
+  const lows = swings.filter(s => s.type === 'low');
+
+  return [
+    doubleTopOrBottom(ctx, highs, lows, 'high'),
+    doubleTopOrBottom(ctx, lows, highs, 'low'),
+    headAndShoulders(ctx, highs, lows, 'high'),
+    headAndShoulders(ctx, lows, highs, 'low'),
+    triangle(ctx, highs, lows),
+    flag(ctx)
+  ].filter(Boolean).map(p => ({ ...p, type: 'chart' }));
+}
+
+// Fractal swing points: a high above the `strength` bars on both sides (a low
+// below them). The last `strength` bars cannot be confirmed yet.
+function findSwings(candles, strength = 3) {
+  const swings = [];
+  for (let i = strength; i < candles.length - strength; i++) {
+    let isHigh = true;
+    let isLow = true;
+    for (let j = i - strength; j <= i + strength; j++) {
+      if (j === i) continue;
+      if (j < i ? candles[j].high >= candles[i].high : candles[j].high > candles[i].high) isHigh = false;
+      if (j < i ? candles[j].low <= candles[i].low : candles[j].low < candles[i].low) isLow = false;
+    }
+    if (isHigh) swings.push({ index: i, price: candles[i].high, type: 'high' });
+    if (isLow) swings.push({ index: i, price: candles[i].low, type: 'low' });
+  }
+  return swings;
+}
+
+// Two peaks (troughs) within one ATR of each other, separated by a pullback
+// of at least two ATRs. Confirmed once price closes through the neckline.
+function doubleTopOrBottom(ctx, peaks, troughs, side) {
+  if (peaks.length < 2) return null;
+  const [a, b] = peaks.slice(-2);
+  const atr = ctx.atr(b.index);
+  const between = troughs.filter(t => t.index > a.index && t.index < b.index);
+  if (between.length === 0 || Math.abs(a.price - b.price) > atr) return null;
+
+  const neck = side === 'high'
+    ? Math.min(...between.map(t => t.price))
+    : Math.max(...between.map(t => t.price));
+  const depth = side === 'high'
+    ? Math.min(a.price, b.price) - neck
+    : neck - Math.max(a.price, b.price);
+  if (depth < atr * 2) return null;
+
+  const close = lastClose(ctx);
+  const confirmed = side === 'high' ? close < neck : close > neck;
+  const similarity = 1 - Math.abs(a.price - b.price) / atr;
+  return {
+    name: side === 'high' ? 'Double Top' : 'Double Bottom',
+    direction: side === 'high' ? 'bearish' : 'bullish',
+    index: b.index,
+    bars: [a.index, b.index],
+    level: neck,
+    confirmed,
+    strength: 0.3 + similarity * 0.3 + (confirmed ? 0.4 : 0)
+  };
+}
+
+// Head above both shoulders by at least one ATR, shoulders within 1.5 ATR of
+// each other; the neckline joins the troughs between them.
+function headAndShoulders(ctx, peaks, troughs, side) {
+  if (peaks.length < 3) return null;
+  const [left, head, right] = peaks.slice(-3);
+  const atr = ctx.atr(right.index);
+  const sign = side === 'high' ? 1 : -1;
+
+  if ((head.price - left.price) * sign < atr || (head.price - right.price) * sign < atr) return null;
+  if (Math.abs(left.price - right.price) > atr * 1.5) return null;
+
+  const t1 = troughs.filter(t => t.index > left.index && t.index < head.index);
+  const t2 = troughs.filter(t => t.index > head.index && t.index < right.index);
+  if (t1.length === 0 || t2.length === 0) return null;
+
+  const pick = list => side === 'high' ? Math.min(...list.map(t => t.price)) : Math.max(...list.map(t => t.price));
+  const neck = (pick(t1) + pick(t2)) / 2;
+  const close = lastClose(ctx);
+  const confirmed = side === 'high' ? close < neck : close > neck;
+  const symmetry = 1 - Math.abs(left.price - right.price) / (atr * 1.5);
+
+  return {
+    name: side === 'high' ? 'Head and Shoulders' : 'Inverse Head and Shoulders',
+    direction: side === 'high' ? 'bearish' : 'bullish',
+    index: right.index,
+    bars: [left.index, right.index],
+    level: neck,
+    confirmed,
+    strength: 0.4 + symmetry * 0.2 + (confirmed ? 0.4 : 0)
+  };
+}
+
+// Fit lines through the last three swing highs and lows; slopes are measured
+// in ATRs per bar so "flat" means the same thing on every instrument.
+function triangle(ctx, highs, lows) {
+  if (highs.length < 3 || lows.length < 3) return null;
+  const h = highs.slice(-3);
+  const l = lows.slice(-3);
+  const lastIndex = Math.max(h[2].index, l[2].index);
+  const atr = ctx.atr(lastIndex);
+
+  const highSlope = slope(h) / atr;
+  const lowSlope = slope(l) / atr;
+  const flat = 0.02;
+
+  let name = null;
+  let direction = 'neutral';
+  if (Math.abs(highSlope) <= flat && lowSlope > flat) {
+    name = 'Ascending Triangle';
+    direction = 'bullish';
+  } else if (Math.abs(lowSlope) <= flat && highSlope < -flat) {
+    name = 'Descending Triangle';
+    direction = 'bearish';
+  } else if (highSlope < -flat && lowSlope > flat) {
+    name = 'Symmetrical Triangle';
+  }
+  if (!name) return null;
+
+  const start = Math.min(h[0].index, l[0].index);
+  const upper = lineAt(h, ctx.candles.length - 1);
+  const lower = lineAt(l, ctx.candles.length - 1);
+  if (upper <= lower) return null;
+
+  const close = lastClose(ctx);
+  const breakout = close > upper ? 'up' : close < lower ? 'down' : null;
+  if (breakout && name === 'Symmetrical Triangle') direction = breakout === 'up' ? 'bullish' : 'bearish';
+
+  return {
+    name,
+    direction,
+    index: lastIndex,
+    bars: [start, lastIndex],
+    level: direction === 'bearish' ? lower : upper,
+    confirmed: breakout !== null && (breakout === 'up') === (direction === 'bullish'),
+    strength: 0.4 + Math.min(Math.abs(highSlope - lowSlope) * 5, 0.3) + (breakout ? 0.3 : 0)
+  };
+}
+
+// A sharp pole of at least three ATRs over up to ten bars, then a tight
+// consolidation (under half the pole) drifting against it
+function flag(ctx) {
+  const candles = ctx.candles;
+  const len = candles.length;
+
+  for (let flagLen = 5; flagLen <= 15; flagLen++) {
+    const flagStart = len - flagLen;
+    for (let poleLen = 3; poleLen <= 10; poleLen++) {
+      const poleStart = flagStart - poleLen;
+      if (poleStart < 0) break;
+
+      const atr = ctx.atr(flagStart);
+      const pole = candles[flagStart - 1].close - candles[poleStart].close;
+      if (Math.abs(pole) < atr * 3) continue;
+
+      const body = candles.slice(flagStart);
+      const high = Math.max(...body.map(c => c.high));
+      const low = Math.min(...body.map(c => c.low));
+      if (high - low > Math.abs(pole) * 0.5) continue;
+
+      const drift = body[body.length - 1].close - body[0].close;
+      const bull = pole > 0;
+      if (bull ? drift > atr * 0.5 : drift < -atr * 0.5) continue;
+
+      return {
+        name: bull ? 'Bull Flag' : 'Bear Flag',
+        direction: bull ? 'bullish' : 'bearish',
+        index: len - 1,
+        bars: [poleStart, len - 1],
+        level: bull ? high : low,
+        confirmed: false,
+        strength: 0.4 + Math.min(Math.abs(pole) / atr / 10, 0.3) + (1 - (high - low) / (Math.abs(pole) * 0.5)) * 0.3
+      };
+    }
+  }
+  return null;
+}
+
+// ============ HELPER FUNCTIONS ============
+function anatomy(c) {
+  return {
+    open: c.open,
+    close: c.close,
+    body: Math.abs(c.close - c.open),
+    range: c.high - c.low,
+    upper: c.high - Math.max(c.open, c.close),
+    lower: Math.min(c.open, c.close) - c.low,
+    bullish: c.close > c.open,
+    bearish: c.close < c.open
+  };
+}
+
+function priorTrend(ctx, i, lookback) {
+  const from = i - lookback - 1;
+  if (from < 0) return 'flat';
+  const change = ctx.candles[i - 1].close - ctx.candles[from].close;
+  const atr = ctx.atr(i - 1);
+  return change > atr ? 'up' : change < -atr ? 'down' : 'flat';
+}
+
+// Up to +0.1 when the pattern bar trades above its 20-bar average volume
+function volumeBonus(ctx, i) {
+  const from = Math.max(0, i - 20);
+  const window = ctx.candles.slice(from, i).map(c => c.volume || 0);
+  const average = window.reduce((a, b) => a + b, 0) / (window.length || 1);
+  if (!average || !ctx.candles[i].volume) return 0;
+  return Math.min(Math.max(ctx.candles[i].volume / average - 1, 0), 1) * 0.1;
+}
+
+function averageBodies(candles, period) {
+  return ta.sma(candles.map(c => Math.abs(c.close - c.open)), period);
+}
+
+function averageRange(candles, i, period) {
+  const window = candles.slice(Math.max(0, i - period + 1), i + 1);
+  return window.reduce((a, c) => a + (c.high - c.low), 0) / window.length || 1e-9;
+}
+
+function slope(points) {
+  const n = points.length;
+  const mx = points.reduce((a, p) => a + p.index, 0) / n;
+  const my = points.reduce((a, p) => a + p.price, 0) / n;
+  let num = 0, den = 0;
+  points.forEach(p => {
+    num += (p.index - mx) * (p.price - my);
+    den += (p.index - mx) * (p.index - mx);
+  });
+  return den === 0 ? 0 : num / den;
+}
+
+function lineAt(points, index) {
+  const n = points.length;
+  const mx = points.reduce((a, p) => a + p.index, 0) / n;
+  const my = points.reduce((a, p) => a + p.price, 0) / n;
+  return my + slope(points) * (index - mx);
+}
+
+function lastClose(ctx) {
+  return ctx.candles[ctx.candles.length - 1].close;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  detectPatterns,
+  findSwings
+};
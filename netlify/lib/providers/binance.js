@@ -0,0 +1,91 @@
+// netlify/lib/providers/binance.js
+// Binance spot: klines (paged past the 1000-bar request limit) and the 24h ticker
+
+const { convertTimeframeBinance } = require('../timeframes');
+const { ProviderError, getJson } = require('./common');
+
+const PAGE = 1000;
+const MAX_BARS = 10000;
+
+function baseUrl() {
+  return process.env.BINANCE_BASE_URL || 'https://api.binance.com';
+}
+
+// options: { start, end, limit, withQuote }. Without a start the most recent
+// `limit` bars are returned; with one, the range is walked forward.
+async function fetchSeries(instrument, timeframe, options = {}) {
+  const symbol = instrument.providers.binance;
+  const limit = Math.min(options.limit || 200, MAX_BARS);
+  const candles = await fetchCandles(symbol, convertTimeframeBinance(timeframe), options.start, options.end, limit);
+  const quote = options.withQuote === false ? null : await fetchQuote(symbol);
+  return { candles, quote };
+}
+
+async function fetchCandles(symbol, interval, start, end, limit) {
+  const base = `${baseUrl()}/api/v3/klines?symbol=${symbol}&interval=${interval}`;
+  const candles = [];
+
+  if (start) {
+    // Walk forward from the start of the range
+    let from = start;
+    while ((!end || from < end) && candles.length < MAX_BARS) {
+      const page = await fetchKlines(`${base}&limit=${PAGE}&startTime=${from}${end ? `&endTime=${end}` : ''}`);
+      if (page.length === 0) break;
+      candles.push(...page);
+      from = page[page.length - 1].time + 1;
+      if (page.length < PAGE) break;
+    }
+    return candles;
+  }
+
+  // Walk backward from the end until enough bars are collected
+  let to = end || null;
+  while (candles.length < limit) {
+    const size = Math.min(PAGE, limit - candles.length);
+    const page = await fetchKlines(`${base}&limit=${size}${to ? `&endTime=${to}` : ''}`);
+    if (page.length === 0) break;
+    candles.unshift(...page);
+    to = page[0].time - 1;
+    if (page.length < size) break;
+  }
+  return candles;
+}
+
+async function fetchKlines(url) {
+  const klines = await getJson(url, 'Binance klines', 'binance');
+  if (!Array.isArray(klines)) throw new ProviderError('BAD_RESPONSE', klines.msg || 'Unexpected Binance kline response');
+
+  return klines.map(k => ({
+    time: k[0],
+    open: parseFloat(k[1]),
+    high: parseFloat(k[2]),
+    low: parseFloat(k[3]),
+    close: parseFloat(k[4]),
+    volume: parseFloat(k[5])
+  }));
+}
+
+async function fetchQuote(symbol) {
+  const ticker = await getJson(`${baseUrl()}/api/v3/ticker/24hr?symbol=${symbol}`, 'Binance ticker', 'binance');
+  if (ticker.lastPrice === undefined) throw new ProviderError('BAD_RESPONSE', ticker.msg || 'Unexpected Binance ticker response');
+
+  return {
+    price: parseFloat(ticker.lastPrice),
+    change: parseFloat(ticker.priceChange),
+    changePercent: parseFloat(ticker.priceChangePercent),
+    volume: parseFloat(ticker.volume),
+    high24h: parseFloat(ticker.highPrice),
+    low24h: parseFloat(ticker.lowPrice),
+    bid: parseFloat(ticker.bidPrice),
+    ask: parseFloat(ticker.askPrice)
+  };
+}
+
+module.exports = {
+  id: 'binance',
+  name: 'Binance (Real-time)',
+  assetClasses: ['crypto'],
+  candles: true,
+  baseUrl,
+  fetchSeries
+};
@@ -0,0 +1,101 @@
+// netlify/lib/providers/common.js
+// Shared plumbing for provider modules: JSON requests with classified errors
+// and quote fields derived from candles.
+
+const rateLimit = require('../ratelimit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// code is machine-readable: RATE_LIMITED, HTTP_ERROR, BAD_RESPONSE, NO_DATA,
+// NOT_SUPPORTED, NETWORK_ERROR
+class ProviderError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.name = 'ProviderError';
+    this.code = code;
+    this.status = status || null;
+  }
+}
+
+const MAX_RETRIES = 2;
+const MAX_RETRY_DELAY_MS = 2000;
+
+// provider (optional) enables that provider's token bucket and 429 backoff:
+// short backoffs are retried here, longer ones fail with RATE_LIMITED.
+async function getJson(url, label, provider) {
+  for (let attempt = 0; ; attempt++) {
+    if (provider) await rateLimit.acquire(provider);
+
+    let res;
+    try {
+      res = await fetch(url);
+    } catch (err) {
+      throw new ProviderError('NETWORK_ERROR', `${label}: ${err.message}`);
+    }
+
+    if (res.status === 429 || res.status === 418) {
+      const retryAfter = parseFloat(res.headers?.get?.('retry-after')) * 1000;
+      const delay = provider ? rateLimit.penalize(provider, retryAfter) : Infinity;
+      if (attempt < MAX_RETRIES && delay <= MAX_RETRY_DELAY_MS) {
+        await rateLimit.sleep(delay);
+        continue;
+      }
+      throw new ProviderError('RATE_LIMITED', `${label}: rate limited`, res.status);
+    }
+    if (provider) rateLimit.reward(provider);
+
+    let data;
+    try {
+      data = await res.json();
+    } catch (err) {
+      throw new ProviderError('BAD_RESPONSE', `${label}: invalid JSON (HTTP ${res.status})`, res.status);
+    }
+    if (res.ok === false) {
+      throw new ProviderError('HTTP_ERROR', `${label}: ${data?.msg || data?.message || `HTTP ${res.status}`}`, res.status);
+    }
+    return data;
+  }
+}
+
+// 24h statistics from the candles themselves: change against the last close
+// at least 24h before the latest bar, high/low over that window.
+function quoteFromCandles(candles) {
+  if (candles.length === 0) return null;
+  const last = candles[candles.length - 1];
+  const windowStart = last.time - DAY_MS;
+  const window = candles.filter(c => c.time > windowStart);
+  const reference = [...candles].reverse().find(c => c.time <= windowStart) || candles[0];
+  const change = last.close - reference.close;
+
+  return {
+    price: last.close,
+    change,
+    changePercent: reference.close ? parseFloat((change / reference.close * 100).toFixed(2)) : null,
+    high24h: Math.max(...window.map(c => c.high)),
+    low24h: Math.min(...window.map(c => c.low)),
+    volume: window.reduce((a, c) => a + (c.volume || 0), 0),
+    bid: null,
+    ask: null
+  };
+}
+
+function toMs(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  return isFinite(ms) ? ms : null;
+}
+
+function ascending(candles) {
+  return candles
+    .filter(c => isFinite(c.time) && [c.open, c.high, c.low, c.close].every(v => isFinite(v)))
+    .sort((a, b) => a.time - b.time);
+}
+
+module.exports = {
+  DAY_MS,
+  ProviderError,
+  getJson,
+  quoteFromCandles,
+  toMs,
+  ascending
+};
@@ -0,0 +1,25 @@
+// netlify/lib/providers/exchangerate.js
+// ExchangeRate-API (free, no key): a spot quote only, no candles
+
+const { ProviderError, getJson } = require('./common');
+const { spotQuote } = require('./fixer');
+
+function baseUrl() {
+  return process.env.EXCHANGERATE_BASE_URL || 'https://api.exchangerate-api.com';
+}
+
+async function fetchSeries(instrument, timeframe, options = {}) {
+  const [from, to] = instrument.providers.exchangerate.split('/');
+  const data = await getJson(`${baseUrl()}/v4/latest/${from}`, 'Exchange Rate API', 'exchangerate');
+  if (!data.rates || !isFinite(data.rates[to])) throw new ProviderError('NO_DATA', `Exchange Rate API: no ${to} rate`);
+  return { candles: [], quote: spotQuote(data.rates[to]) };
+}
+
+module.exports = {
+  id: 'exchangerate',
+  name: 'Exchange Rate API (Free)',
+  assetClasses: ['forex'],
+  candles: false,
+  baseUrl,
+  fetchSeries
+};
@@ -0,0 +1,32 @@
+// netlify/lib/providers/fixer.js
+// Fixer.io latest rates: a spot quote only, no candles
+
+const { ProviderError, getJson } = require('./common');
+
+function baseUrl() {
+  return process.env.FIXER_BASE_URL || 'https://api.fixer.io';
+}
+
+async function fetchSeries(instrument, timeframe, options = {}) {
+  const [from, to] = instrument.providers.fixer.split('/');
+  const key = options.apiKeys?.fixer || 'demo';
+  const data = await getJson(`${baseUrl()}/latest?access_key=${key}&base=${from}&symbols=${to}`, 'Fixer.io', 'fixer');
+  if (!data.rates || !isFinite(data.rates[to])) {
+    throw new ProviderError('NO_DATA', `Fixer.io: ${data.error?.info || data.error?.type || `no ${to} rate`}`);
+  }
+  return { candles: [], quote: spotQuote(data.rates[to]) };
+}
+
+function spotQuote(price) {
+  return { price, change: null, changePercent: null, volume: null, high24h: null, low24h: null, bid: null, ask: null };
+}
+
+module.exports = {
+  id: 'fixer',
+  name: 'Fixer.io',
+  assetClasses: ['forex'],
+  candles: false,
+  baseUrl,
+  fetchSeries,
+  spotQuote
+};
@@ -0,0 +1,84 @@
+// netlify/lib/providers/index.js
+// Provider registry. Every provider exposes the same interface:
+//   { id, name, assetClasses, candles, baseUrl(), fetchSeries(instrument, timeframe, options) }
+// where fetchSeries resolves to { candles (ascending OHLCV, empty for
+// quote-only sources), quote: { price, change, changePercent, volume,
+// high24h, low24h, bid, ask } | null }. Base URLs are read from env vars
+// (BINANCE_BASE_URL, TWELVEDATA_BASE_URL...) so tests can point at stub servers.
+
+const { ProviderError } = require('./common');
+const cache = require('../cache');
+
+const PROVIDERS = {
+  binance: require('./binance'),
+  twelvedata: require('./twelvedata'),
+  yahoo: require('./yahoo'),
+  fixer: require('./fixer'),
+  exchangerate: require('./exchangerate'),
+  metals: require('./metals')
+};
+
+// Candle sources first, quote-only sources as a last resort.
+// Override per asset class with PROVIDER_ORDER_CRYPTO=yahoo,binance etc.
+const DEFAULT_ORDER = {
+  crypto: ['binance', 'yahoo', 'twelvedata'],
+  forex: ['twelvedata', 'yahoo', 'fixer', 'exchangerate'],
+  commodity: ['twelvedata', 'yahoo', 'metals'],
+  stock: ['yahoo', 'twelvedata']
+};
+
+// Providers to try for an instrument: the explicit order, else the env
+// override, else the default - limited to those that can map the symbol.
+function providerOrder(instrument, order) {
+  const env = process.env[`PROVIDER_ORDER_${instrument.assetClass.toUpperCase()}`];
+  const list = order && order.length > 0 ? order : env ? env.split(',') : DEFAULT_ORDER[instrument.assetClass];
+
+  return list
+    .map(id => String(id).trim().toLowerCase())
+    .filter(id => PROVIDERS[id] && PROVIDERS[id].assetClasses.includes(instrument.assetClass) && instrument.providers[id]);
+}
+
+// Tries each provider in order and returns the first usable series:
+// { provider, source, candles, quote, errors, cache: { cached, stale, ageMs,
+// storedAt } } where errors lists the providers that failed before it.
+// Throws with code ALL_PROVIDERS_FAILED (and every attempt in err.errors) or
+// NO_PROVIDER when none is configured for the instrument.
+// options: { order, requireCandles, apiKeys, start, end, limit, withQuote }
+async function fetchSeries(instrument, timeframe, options = {}) {
+  const errors = [];
+
+  for (const id of providerOrder(instrument, options.order)) {
+    const provider = PROVIDERS[id];
+    if (options.requireCandles && !provider.candles) continue;
+
+    try {
+      const key = [id, instrument.providers[id], timeframe, options.limit, options.start, options.end, options.withQuote !== false].join('|');
+      const entry = await cache.getOrLoad(key, cache.ttlFor(id, timeframe, options.end), async () => {
+        const result = await provider.fetchSeries(instrument, timeframe, options);
+        if (provider.candles && result.candles.length === 0) {
+          throw new ProviderError('NO_DATA', `${provider.name}: no ${timeframe} candles for ${instrument.symbol}`);
+        }
+        return result;
+      });
+      const { value, ...meta } = entry;
+      return { provider: id, source: provider.name, ...value, errors, cache: meta };
+    } catch (err) {
+      console.log(`${provider.name} failed for ${instrument.symbol}: ${err.message}`);
+      errors.push({ provider: id, code: err.code || 'ERROR', error: err.message });
+    }
+  }
+
+  const error = new Error(errors.length > 0
+    ? `No provider could serve ${instrument.symbol}: ${errors.map(e => e.error).join('; ')}`
+    : `No provider configured for ${instrument.symbol} (${instrument.assetClass})`);
+  error.code = errors.length > 0 ? 'ALL_PROVIDERS_FAILED' : 'NO_PROVIDER';
+  error.errors = errors;
+  throw error;
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_ORDER,
+  providerOrder,
+  fetchSeries
+};
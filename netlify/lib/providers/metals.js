@@ -0,0 +1,29 @@
+// netlify/lib/providers/metals.js
+// Metals-API latest rates: a spot quote only, no candles
+
+const { ProviderError, getJson } = require('./common');
+const { spotQuote } = require('./fixer');
+
+function baseUrl() {
+  return process.env.METALS_BASE_URL || 'https://metals-api.com';
+}
+
+async function fetchSeries(instrument, timeframe, options = {}) {
+  const metal = instrument.providers.metals;
+  const key = options.apiKeys?.metals || 'demo';
+  const data = await getJson(`${baseUrl()}/api/latest?access_key=${key}&base=${instrument.quote}&symbols=${metal}`, 'Metals API', 'metals');
+  if (!data.rates || !(data.rates[metal] > 0)) {
+    throw new ProviderError('NO_DATA', `Metals API: ${data.error?.info || `no ${metal} rate`}`);
+  }
+  // Rates are ounces per unit of the base currency
+  return { candles: [], quote: spotQuote(1 / data.rates[metal]) };
+}
+
+module.exports = {
+  id: 'metals',
+  name: 'Metals API',
+  assetClasses: ['commodity'],
+  candles: false,
+  baseUrl,
+  fetchSeries
+};
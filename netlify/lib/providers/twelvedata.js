@@ -0,0 +1,52 @@
+// netlify/lib/providers/twelvedata.js
+// Twelve Data time series (requested oldest-first, in UTC)
+
+const { convertTimeframeTwelve } = require('../timeframes');
+const rateLimit = require('../ratelimit');
+const { ProviderError, getJson, quoteFromCandles, ascending } = require('./common');
+
+function baseUrl() {
+  return process.env.TWELVEDATA_BASE_URL || 'https://api.twelvedata.com';
+}
+
+async function fetchSeries(instrument, timeframe, options = {}) {
+  const key = options.apiKeys?.twelvedata || 'demo';
+  const range = (options.start ? `&start_date=${twelveDate(options.start)}` : '') +
+    (options.end ? `&end_date=${twelveDate(options.end)}` : '');
+  const url = `${baseUrl()}/time_series?symbol=${encodeURIComponent(instrument.providers.twelvedata)}` +
+    `&interval=${convertTimeframeTwelve(timeframe)}&outputsize=${Math.min(options.limit || 200, 5000)}` +
+    `&order=ASC&timezone=UTC${range}&apikey=${key}`;
+
+  const data = await getJson(url, 'Twelve Data', 'twelvedata');
+  if (data.status === 'error' || !Array.isArray(data.values)) {
+    // Errors arrive as HTTP 200 with the status code in the body
+    if (data.code === 429) rateLimit.penalize('twelvedata');
+    const code = data.code === 429 ? 'RATE_LIMITED' : data.code === 400 || data.code === 404 ? 'NO_DATA' : 'HTTP_ERROR';
+    throw new ProviderError(code, `Twelve Data: ${data.message || 'no values'}`, data.code);
+  }
+
+  // Sorted anyway: older responses ignore `order` and arrive newest-first
+  const candles = ascending(data.values.map(v => ({
+    time: Date.parse(v.datetime.replace(' ', 'T') + (v.datetime.length > 10 ? 'Z' : 'T00:00:00Z')),
+    open: parseFloat(v.open),
+    high: parseFloat(v.high),
+    low: parseFloat(v.low),
+    close: parseFloat(v.close),
+    volume: parseFloat(v.volume || 0)
+  })));
+
+  return { candles, quote: options.withQuote === false ? null : quoteFromCandles(candles) };
+}
+
+function twelveDate(ms) {
+  return new Date(ms).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+module.exports = {
+  id: 'twelvedata',
+  name: 'Twelve Data',
+  assetClasses: ['crypto', 'forex', 'commodity', 'stock'],
+  candles: true,
+  baseUrl,
+  fetchSeries
+};
@@ -0,0 +1,103 @@
+// netlify/lib/providers/yahoo.js
+// Yahoo Finance chart API. Has no 4h interval, so 4H is resampled from 1h bars.
+
+const { convertTimeframeYahoo, timeframeMs } = require('../timeframes');
+const { ProviderError, getJson, quoteFromCandles, ascending } = require('./common');
+
+// Largest range Yahoo serves for each interval
+const MAX_RANGES = { '1m': '7d', '5m': '60d', '15m': '60d', '1h': '730d', '1d': '10y', '1wk': 'max' };
+// Enough to cover the default 200 bars
+const DEFAULT_RANGES = { '1m': '1d', '5m': '5d', '15m': '5d', '1h': '1mo', '1d': '1y', '1wk': '5y' };
+// 4H bars a trading day once 1h bars are bucketed: US stock sessions span two
+// UTC 4h buckets, round-the-clock markets six
+const FOUR_HOUR_BARS_PER_DAY = { crypto: 6, forex: 6, commodity: 6, stock: 2 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function baseUrl() {
+  return process.env.YAHOO_BASE_URL || 'https://query1.finance.yahoo.com';
+}
+
+async function fetchSeries(instrument, timeframe, options = {}) {
+  const interval = convertTimeframeYahoo(timeframe);
+  const limit = options.limit || 200;
+  let range;
+  if (options.start) {
+    range = `&period1=${Math.floor(options.start / 1000)}&period2=${Math.floor((options.end || Date.now()) / 1000)}`;
+  } else if (timeframe === '4H') {
+    const now = Date.now();
+    range = `&period1=${Math.floor((now - fourHourDays(instrument, limit) * DAY_MS) / 1000)}&period2=${Math.floor(now / 1000)}`;
+  } else {
+    range = `&range=${limit > 200 ? MAX_RANGES[interval] : DEFAULT_RANGES[interval]}`;
+  }
+
+  const data = await getJson(`${baseUrl()}/v8/finance/chart/${encodeURIComponent(instrument.providers.yahoo)}?interval=${interval}${range}`, 'Yahoo Finance', 'yahoo');
+  const result = data.chart?.result?.[0];
+  if (!result) throw new ProviderError('NO_DATA', `Yahoo Finance: ${data.chart?.error?.description || 'no chart data'}`);
+
+  const quotes = result.indicators.quote[0];
+  // Drop whole bars with gaps so OHLC arrays stay aligned
+  let candles = ascending((result.timestamp || [])
+    .map((t, i) => ({
+      time: t * 1000,
+      open: quotes.open[i],
+      high: quotes.high[i],
+      low: quotes.low[i],
+      close: quotes.close[i],
+      volume: quotes.volume[i] || 0
+    }))
+    .filter(c => [c.open, c.high, c.low, c.close].every(v => v != null)));
+  if (timeframe === '4H') candles = resample(candles, timeframeMs('4H'));
+  if (options.end) candles = candles.filter(c => c.time <= options.end);
+  if (!options.start) candles = candles.slice(-limit);
+
+  if (options.withQuote === false) return { candles, quote: null };
+
+  const meta = result.meta || {};
+  const quote = quoteFromCandles(candles);
+  if (quote && isFinite(meta.regularMarketPrice)) {
+    quote.price = meta.regularMarketPrice;
+    if (isFinite(meta.previousClose)) {
+      quote.change = meta.regularMarketPrice - meta.previousClose;
+      quote.changePercent = parseFloat((quote.change / meta.previousClose * 100).toFixed(2));
+    }
+    quote.bid = isFinite(meta.bid) ? meta.bid : null;
+    quote.ask = isFinite(meta.ask) ? meta.ask : null;
+  }
+  return { candles, quote };
+}
+
+// Calendar days of 1h bars that resample into `limit` 4H bars: weekends
+// closed outside crypto and a few days' margin for holidays, within the 730
+// days Yahoo keeps
+function fourHourDays(instrument, limit) {
+  const perDay = FOUR_HOUR_BARS_PER_DAY[instrument.assetClass] || 2;
+  const week = instrument.assetClass === 'crypto' ? 1 : 7 / 5;
+  return Math.min(Math.ceil(limit / perDay * week) + 5, parseInt(MAX_RANGES['1h'], 10));
+}
+
+function resample(candles, ms) {
+  const out = [];
+  candles.forEach(c => {
+    const bucket = Math.floor(c.time / ms) * ms;
+    const current = out[out.length - 1];
+    if (current && current.time === bucket) {
+      current.high = Math.max(current.high, c.high);
+      current.low = Math.min(current.low, c.low);
+      current.close = c.close;
+      current.volume += c.volume;
+    } else {
+      out.push({ ...c, time: bucket });
+    }
+  });
+  return out;
+}
+
+module.exports = {
+  id: 'yahoo',
+  name: 'Yahoo Finance',
+  assetClasses: ['crypto', 'forex', 'commodity', 'stock'],
+  candles: true,
+  baseUrl,
+  fetchSeries,
+  resample
+};
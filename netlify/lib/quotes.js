@@ -0,0 +1,63 @@
+// netlify/lib/quotes.js
+// Latest prices for a list of symbols in one call, for marking a portfolio
+// to market. A symbol no provider can price is reported in errors rather
+// than given a made-up price.
+
+const { resolveSymbol } = require('./symbols');
+const providers = require('./providers');
+const { quoteFromCandles } = require('./providers/common');
+const { mapWithConcurrency } = require('./concurrency');
+
+const MAX_SYMBOLS = 50;
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 8;
+
+// Same timeframe and depth as the dashboard's default view, so a symbol on
+// screen and in the portfolio is served from one cache entry
+const TIMEFRAME = '1H';
+const LIMIT = 200;
+
+// options: { concurrency, apiKeys, providers }
+// Returns { quotes: [{ symbol, name, assetClass, price, change,
+// changePercent, source, cached, stale, ageMs, lastUpdate }], errors }
+async function getQuotes(symbols, options = {}) {
+  const concurrency = Math.max(1, Math.min(MAX_CONCURRENCY, parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY));
+  const errors = [];
+
+  const quotes = await mapWithConcurrency(symbols, concurrency, async symbol => {
+    try {
+      const instrument = resolveSymbol(symbol);
+      const series = await providers.fetchSeries(instrument, TIMEFRAME, {
+        apiKeys: options.apiKeys,
+        order: options.providers,
+        limit: LIMIT
+      });
+      const quote = series.quote || quoteFromCandles(series.candles);
+      if (!quote || !(quote.price > 0)) throw new Error(`${series.source} returned no price`);
+
+      return {
+        symbol: instrument.symbol,
+        name: instrument.name,
+        assetClass: instrument.assetClass,
+        price: quote.price,
+        change: quote.change ?? null,
+        changePercent: quote.changePercent ?? null,
+        source: series.source,
+        cached: series.cache.cached,
+        stale: series.cache.stale,
+        ageMs: series.cache.ageMs,
+        lastUpdate: new Date(series.cache.storedAt).toISOString()
+      };
+    } catch (err) {
+      errors.push({ symbol, code: err.code || 'ERROR', error: err.message });
+      return null;
+    }
+  });
+
+  return { quotes: quotes.filter(Boolean), errors };
+}
+
+module.exports = {
+  MAX_SYMBOLS,
+  getQuotes
+};
@@ -0,0 +1,115 @@
+// netlify/lib/ratelimit.js
+// Per-provider token buckets plus exponential backoff after 429s. State lives
+// in module scope, so it is shared by every request a warm function instance
+// serves (each instance has its own buckets).
+
+// capacity = burst size, perSecond = sustained rate. Kept under each
+// provider's published limits (Twelve Data free tier: 8 requests/minute).
+const LIMITS = {
+  binance: { capacity: 50, perSecond: 20 },
+  twelvedata: { capacity: 8, perSecond: 8 / 60 },
+  yahoo: { capacity: 10, perSecond: 2 },
+  fixer: { capacity: 5, perSecond: 1 },
+  exchangerate: { capacity: 5, perSecond: 1 },
+  metals: { capacity: 5, perSecond: 1 }
+};
+const DEFAULT_LIMIT = { capacity: 10, perSecond: 2 };
+
+const MAX_WAIT_MS = 3000;      // longest a request queues for a token
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 60000;
+
+const buckets = new Map();
+const penalties = new Map();  // provider -> { strikes, until }
+
+class TokenBucket {
+  constructor(capacity, perSecond) {
+    this.capacity = capacity;
+    this.perSecond = perSecond;
+    this.tokens = capacity;
+    this.updated = Date.now();
+  }
+
+  refill(now) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updated) / 1000 * this.perSecond);
+    this.updated = now;
+  }
+
+  // Reserves a token and returns how long to wait before using it (0 if one
+  // is available now). Tokens can go negative so queued callers stay ordered.
+  reserve(now = Date.now()) {
+    this.refill(now);
+    this.tokens -= 1;
+    return this.tokens >= 0 ? 0 : Math.ceil(-this.tokens / this.perSecond * 1000);
+  }
+
+  release() {
+    this.tokens = Math.min(this.capacity, this.tokens + 1);
+  }
+}
+
+function bucketFor(provider) {
+  if (!buckets.has(provider)) {
+    const limit = LIMITS[provider] || DEFAULT_LIMIT;
+    buckets.set(provider, new TokenBucket(limit.capacity, limit.perSecond));
+  }
+  return buckets.get(provider);
+}
+
+// Resolves once the provider may be called. Rejects with a RateLimitError when
+// the provider is backing off or the queue is longer than MAX_WAIT_MS.
+async function acquire(provider) {
+  const penalty = penalties.get(provider);
+  const now = Date.now();
+  if (penalty && penalty.until > now) {
+    throw new RateLimitError(provider, penalty.until - now);
+  }
+
+  const bucket = bucketFor(provider);
+  const wait = bucket.reserve(now);
+  if (wait > MAX_WAIT_MS) {
+    bucket.release();
+    throw new RateLimitError(provider, wait);
+  }
+  if (wait > 0) await sleep(wait);
+}
+
+// Records a 429 and returns the backoff delay: Retry-After when the provider
+// sends one, otherwise 0.5s, 1s, 2s... (with jitter) up to a minute.
+function penalize(provider, retryAfterMs) {
+  const penalty = penalties.get(provider) || { strikes: 0, until: 0 };
+  const exponential = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, penalty.strikes));
+  const delay = retryAfterMs > 0 ? Math.min(retryAfterMs, BACKOFF_MAX_MS) : Math.round(exponential * (0.75 + Math.random() * 0.5));
+
+  penalty.strikes += 1;
+  penalty.until = Date.now() + delay;
+  penalties.set(provider, penalty);
+  return delay;
+}
+
+function reward(provider) {
+  penalties.delete(provider);
+}
+
+class RateLimitError extends Error {
+  constructor(provider, retryInMs) {
+    super(`${provider} rate limit: retry in ${Math.ceil(retryInMs / 1000)}s`);
+    this.name = 'RateLimitError';
+    this.code = 'RATE_LIMITED';
+    this.retryInMs = retryInMs;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  LIMITS,
+  TokenBucket,
+  RateLimitError,
+  acquire,
+  penalize,
+  reward,
+  sleep
+};
@@ -0,0 +1,77 @@
+// netlify/lib/screener.js
+// Runs the market-data pipeline over a list of symbols and keeps the ones
+// that pass a condition (see js/conditions.js)
+
+const { getMarketData } = require('./market');
+const { mapWithConcurrency } = require('./concurrency');
+const Conditions = require('../../js/conditions');
+
+const MAX_SYMBOLS = 50;
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 8;
+const SORT_KEYS = ['symbol', ...Conditions.FIELDS];
+
+// options: { filter, sort, order: 'asc'|'desc', concurrency, apiKeys, providers }
+// Throws ConditionError when the filter does not parse, before any fetching.
+async function screen(symbols, timeframe, options = {}) {
+  const condition = Conditions.compile(options.filter);
+  const concurrency = Math.max(1, Math.min(MAX_CONCURRENCY, parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY));
+  const errors = [];
+
+  const rows = await mapWithConcurrency(symbols, concurrency, async symbol => {
+    try {
+      const data = await getMarketData(symbol, timeframe, { apiKeys: options.apiKeys, providers: options.providers });
+      // A quote-only payload has no indicators to screen
+      if (data.quality !== 'full') {
+        errors.push({ symbol, code: 'QUOTE_ONLY', error: `No price history (${data.source})` });
+        return null;
+      }
+      return { row: toRow(data), match: condition.test(data) };
+    } catch (err) {
+      errors.push({ symbol, code: err.code || 'ERROR', error: err.message });
+      return null;
+    }
+  });
+
+  const scanned = rows.filter(Boolean);
+  const matches = sortRows(scanned.filter(r => r.match).map(r => r.row), options.sort, options.order);
+
+  return {
+    timeframe,
+    filter: condition.source,
+    fields: condition.fields,
+    rows: matches,
+    scanned: scanned.length,
+    matched: matches.length,
+    errors
+  };
+}
+
+function toRow(data) {
+  return {
+    symbol: data.symbol,
+    name: data.instrument?.name || data.symbol,
+    assetClass: data.assetClass,
+    source: data.source,
+    cached: data.cached,
+    stale: data.stale,
+    ...Conditions.valuesOf(data),
+    patterns: (data.patterns || []).filter(p => p.type !== 'trend').slice(0, 3).map(p => p.name)
+  };
+}
+
+// Missing values sort last whichever way the column is ordered
+function sortRows(rows, key, order = 'desc') {
+  if (!SORT_KEYS.includes(key)) return rows;
+  const dir = order === 'asc' ? 1 : -1;
+  return rows.slice().sort((a, b) => {
+    if (a[key] == null || b[key] == null) return (a[key] == null) - (b[key] == null);
+    return (key === 'symbol' ? a.symbol.localeCompare(b.symbol) : a[key] - b[key]) * dir;
+  });
+}
+
+module.exports = {
+  MAX_SYMBOLS,
+  SORT_KEYS,
+  screen
+};
@@ -0,0 +1,129 @@
+// netlify/lib/symbols.js
+// Symbol resolver: turns user input ("SOLUSD", "eur/usd", "XAUUSD", "AAPL")
+// into an instrument with its asset class, base/quote and per-provider symbols.
+
+const { CRYPTO, FOREX, COMMODITIES, STOCKS } = require('../../js/catalog');
+
+const COMMODITY_PROVIDERS = {
+  XAUUSD: { twelvedata: 'XAU/USD', yahoo: 'GC=F', metals: 'XAU' },
+  XAGUSD: { twelvedata: 'XAG/USD', yahoo: 'SI=F', metals: 'XAG' },
+  WTIUSD: { twelvedata: 'WTI/USD', yahoo: 'CL=F' }
+};
+
+const FIAT = ['USD', 'EUR', 'GBP', 'JPY', 'AUD', 'CAD', 'CHF', 'NZD', 'SEK', 'NOK', 'DKK', 'SGD', 'HKD', 'CNY', 'CNH', 'MXN', 'ZAR', 'TRY', 'PLN', 'INR'];
+const METALS = ['XAU', 'XAG', 'XPT', 'XPD'];
+const STABLECOINS = ['USDT', 'USDC', 'BUSD', 'FDUSD'];
+
+const CATALOG = [
+  ...CRYPTO.map(([base, name, aliases]) => cryptoInstrument(base, 'USD', name, aliases)),
+  ...FOREX.map(([symbol, name, aliases]) => forexInstrument(symbol.slice(0, 3), symbol.slice(3), name, aliases)),
+  ...COMMODITIES.map(([symbol, name, aliases]) => ({
+    symbol, name, aliases, base: symbol.slice(0, 3), quote: symbol.slice(3), providers: COMMODITY_PROVIDERS[symbol], assetClass: 'commodity'
+  })),
+  ...STOCKS.map(([symbol, name, aliases]) => stockInstrument(symbol, name, aliases))
+];
+
+const BY_SYMBOL = new Map(CATALOG.map(i => [i.symbol, i]));
+const CRYPTO_BASES = new Set(CRYPTO.map(([base]) => base));
+
+// Unknown symbols are classified by shape: stablecoin or known crypto quote ->
+// crypto, two fiat codes -> forex, metal code + fiat -> commodity, else stock.
+function resolveSymbol(input) {
+  const raw = String(input || '').trim().toUpperCase();
+  if (!raw) throw new Error('Symbol is required');
+
+  const compact = raw.replace(/[\s/_-]/g, '');
+  if (BY_SYMBOL.has(compact)) return BY_SYMBOL.get(compact);
+
+  const stable = STABLECOINS.find(q => compact.endsWith(q) && compact.length > q.length);
+  if (stable) {
+    const base = compact.slice(0, -stable.length);
+    const known = BY_SYMBOL.get(base + 'USD');
+    return known ? { ...known, quote: stable, symbol: compact, providers: { ...known.providers, binance: compact } } : cryptoInstrument(base, stable);
+  }
+
+  if (compact.length === 6) {
+    const base = compact.slice(0, 3);
+    const quote = compact.slice(3);
+    if (FIAT.includes(base) && FIAT.includes(quote)) return forexInstrument(base, quote);
+    if (METALS.includes(base) && FIAT.includes(quote)) return metalInstrument(base, quote);
+  }
+
+  const cryptoBase = [...CRYPTO_BASES].find(b => compact.startsWith(b) && FIAT.concat(['BTC', 'ETH']).includes(compact.slice(b.length)));
+  if (cryptoBase) return cryptoInstrument(cryptoBase, compact.slice(cryptoBase.length));
+
+  return stockInstrument(raw.replace(/\s/g, ''));
+}
+
+// Catalog entries whose symbol, name or alias matches the text (case-insensitive)
+function searchSymbols(text) {
+  const q = String(text || '').trim().toLowerCase();
+  if (!q) return [];
+  return CATALOG.filter(i => i.symbol.toLowerCase() === q || i.name.toLowerCase() === q || i.aliases.includes(q));
+}
+
+// ============ INSTRUMENT BUILDERS ============
+function cryptoInstrument(base, quote, name, aliases) {
+  // Binance quotes dollar pairs in USDT
+  const binanceQuote = quote === 'USD' ? 'USDT' : quote;
+  return {
+    symbol: base + quote,
+    assetClass: 'crypto',
+    base,
+    quote,
+    name: name || base,
+    aliases: aliases || [],
+    providers: {
+      binance: base + binanceQuote,
+      twelvedata: `${base}/${quote === 'USDT' ? 'USD' : quote}`,
+      yahoo: `${base}-${STABLECOINS.includes(quote) ? 'USD' : quote}`
+    }
+  };
+}
+
+function forexInstrument(base, quote, name, aliases) {
+  return {
+    symbol: base + quote,
+    assetClass: 'forex',
+    base,
+    quote,
+    name: name || `${base}/${quote}`,
+    aliases: aliases || [],
+    providers: {
+      twelvedata: `${base}/${quote}`,
+      yahoo: `${base}${quote}=X`,
+      fixer: `${base}/${quote}`,
+      exchangerate: `${base}/${quote}`
+    }
+  };
+}
+
+function metalInstrument(base, quote) {
+  return {
+    symbol: base + quote,
+    assetClass: 'commodity',
+    base,
+    quote,
+    name: `${base}/${quote}`,
+    aliases: [],
+    providers: { twelvedata: `${base}/${quote}`, metals: base }
+  };
+}
+
+function stockInstrument(symbol, name, aliases) {
+  return {
+    symbol,
+    assetClass: 'stock',
+    base: symbol,
+    quote: 'USD',
+    name: name || symbol,
+    aliases: aliases || [],
+    providers: { yahoo: symbol, twelvedata: symbol }
+  };
+}
+
+module.exports = {
+  CATALOG,
+  resolveSymbol,
+  searchSymbols
+};
@@ -0,0 +1,57 @@
+// netlify/lib/timeframes.js
+// Maps the UI timeframes (1M, 5M, 15M, 1H, 4H, 1D, 1W) to each provider's intervals
+
+const TIMEFRAME_MS = {
+  '1M': 60 * 1000,
+  '5M': 5 * 60 * 1000,
+  '15M': 15 * 60 * 1000,
+  '1H': 60 * 60 * 1000,
+  '4H': 4 * 60 * 60 * 1000,
+  '1D': 24 * 60 * 60 * 1000,
+  '1W': 7 * 24 * 60 * 60 * 1000
+};
+
+function convertTimeframeBinance(tf) {
+  const map = {
+    '1M': '1m', '5M': '5m', '15M': '15m',
+    '1H': '1h', '4H': '4h', '1D': '1d', '1W': '1w'
+  };
+  return map[tf] || '1h';
+}
+
+function convertTimeframeAlpha(tf) {
+  const map = {
+    '1M': '1min', '5M': '5min', '15M': '15min',
+    '1H': '60min', '4H': '60min', '1D': 'daily', '1W': 'weekly'
+  };
+  return map[tf] || '60min';
+}
+
+function convertTimeframeTwelve(tf) {
+  const map = {
+    '1M': '1min', '5M': '5min', '15M': '15min',
+    '1H': '1h', '4H': '4h', '1D': '1day', '1W': '1week'
+  };
+  return map[tf] || '1h';
+}
+
+function convertTimeframeYahoo(tf) {
+  const map = {
+    '1M': '1m', '5M': '5m', '15M': '15m',
+    '1H': '1h', '4H': '1h', '1D': '1d', '1W': '1wk'
+  };
+  return map[tf] || '1h';
+}
+
+function timeframeMs(tf) {
+  return TIMEFRAME_MS[tf] || TIMEFRAME_MS['1H'];
+}
+
+module.exports = {
+  TIMEFRAME_MS,
+  convertTimeframeBinance,
+  convertTimeframeAlpha,
+  convertTimeframeTwelve,
+  convertTimeframeYahoo,
+  timeframeMs
+};
@@ -0,0 +1,36 @@
+// test/conditions.test.js
+// The screener and rules condition language.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Conditions = require('../js/conditions');
+
+const data = {
+  price: 100,
+  changePercent: -4,
+  indicators: { rsi: 25, ema200: 90, macd: { value: -1, signal: -0.8, histogram: -0.2 } },
+  patterns: [{ type: 'trend', name: 'Downtrend' }, { name: 'Bullish Engulfing', direction: 'bullish' }]
+};
+
+test('numbers and fields can be negated', () => {
+  assert.equal(Conditions.compile('change < -3').test(data), true);
+  assert.equal(Conditions.compile('change<-5').test(data), false);
+  assert.equal(Conditions.compile('-rsi < -20').test(data), true);
+  assert.equal(Conditions.compile('macd.histogram > -0.5').test(data), true);
+  assert.throws(() => Conditions.compile('change < -'), /Unexpected end of condition/);
+});
+
+test('indicator groups read without the indicators root', () => {
+  const c = Conditions.compile('macd.signal < 0 and indicators.macd.value < 0');
+  assert.deepEqual(c.fields, ['indicators.macd.signal', 'indicators.macd.value']);
+  assert.equal(c.test(data), true);
+  assert.throws(() => Conditions.compile('foo.bar > 1'), /Paths start with/);
+});
+
+test('precedence, flags and patterns', () => {
+  assert.equal(Conditions.compile('rsi < 30 and price above ema200').test(data), true);
+  assert.equal(Conditions.compile('oversold or rsi > 90 and price < 0').test(data), true);
+  assert.equal(Conditions.compile('not downtrend').test(data), false);
+  assert.equal(Conditions.compile('pattern "bullish engulfing"').test(data), true);
+  assert.equal(Conditions.compile('adx > 25').test(data), false);
+});
@@ -0,0 +1,261 @@
+// test/indicators.test.js
+// Indicator math against published reference values (StockCharts' RSI and
+// EMA worksheets, a MACD worksheet and TA-Lib's regression suite) and against
+// textbook implementations written out longhand.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const I = require('../netlify/lib/indicators');
+const TALIB = require('./fixtures/ta-lib-daily.json');
+
+const near = (actual, expected, tolerance, label) => {
+  assert.ok(actual !== null && Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected}, got ${actual}`);
+};
+
+// Deterministic random walk of OHLC bars
+function bars(count, seed = 7) {
+  let s = seed;
+  const rnd = () => (s = (s * 16807) % 2147483647) / 2147483647;
+  const out = { highs: [], lows: [], closes: [] };
+  let price = 100;
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    price *= 1 + (rnd() - 0.5) * 0.04;
+    out.highs.push(Math.max(open, price) * (1 + rnd() * 0.01));
+    out.lows.push(Math.min(open, price) * (1 - rnd() * 0.01));
+    out.closes.push(price);
+  }
+  return out;
+}
+
+// ============ REFERENCE SERIES ============
+// StockCharts "RSI" worksheet (cs-rsi.xls): 33 closes, RSI(14) from the 15th
+const RSI_CLOSES = [
+  44.3389, 44.0902, 44.1497, 43.6124, 44.3278, 44.8264, 45.0955, 45.4245, 45.8433, 46.0826, 45.8931,
+  46.0328, 45.6140, 46.2820, 46.2820, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439, 46.2122, 46.2521,
+  45.7137, 46.4515, 45.7835, 45.3548, 44.0288, 44.1783, 44.2181, 44.5672, 43.4205, 42.6628, 43.1314
+];
+const RSI_EXPECTED = [
+  70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38,
+  54.71, 50.42, 39.99, 41.46, 41.87, 45.46, 37.30, 33.08, 37.77
+];
+
+// StockCharts "Moving Averages" worksheet (cs-movavg.xls): 10-day EMA from
+// the 10th close. The worksheet rounds every step, hence the tolerance.
+const EMA_CLOSES = [
+  22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29, 22.15, 22.39, 22.38, 22.61, 23.36,
+  24.05, 23.75, 23.83, 23.95, 23.63, 23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17
+];
+const EMA_EXPECTED = [
+  22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34,
+  23.43, 23.51, 23.54, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92
+];
+
+// MACD(12, 26, 9) worksheet for 66 AAPL daily closes: the line from the
+// 26th close, the signal from the 34th. The histogram is line - signal.
+const MACD_CLOSES = [
+  459.99, 448.85, 446.06, 450.81, 442.80, 448.97, 444.57, 441.40, 430.47, 420.05, 431.14, 425.66, 430.58, 431.72,
+  437.87, 428.43, 428.35, 432.50, 443.66, 455.72, 454.49, 452.08, 452.73, 461.91, 463.58, 461.14, 452.08, 442.66,
+  428.91, 429.79, 431.99, 427.72, 423.20, 426.21, 426.98, 435.69, 434.33, 429.80, 419.85, 426.24, 402.80, 392.05,
+  390.53, 398.67, 406.13, 405.46, 408.38, 417.20, 430.12, 442.78, 439.29, 445.52, 449.98, 460.71, 458.66, 463.84,
+  456.77, 452.97, 454.74, 443.86, 428.85, 434.58, 433.26, 442.93, 439.66, 441.35
+];
+const MACD_LINE = [
+  8.275270, 7.703378, 6.416075, 4.237520, 2.552583, 1.378886, 0.102981, -1.258402, -2.070558, -2.621842,
+  -2.329067, -2.181632, -2.402626, -3.342122, -3.530363, -5.507471, -7.851274, -9.719367, -10.422867, -10.260162,
+  -10.069210, -9.571920, -8.369633, -6.301636, -3.599682, -1.720148, 0.269003, 2.180173, 4.508638, 6.118020,
+  7.722431, 8.327454, 8.403441, 8.508406, 7.625762, 5.649949, 4.494655, 3.432989, 3.333474, 2.956663, 2.762561
+];
+const MACD_SIGNAL = [
+  3.037526, 1.905652, 1.058708, 0.410640, -0.152013, -0.790035, -1.338100, -2.171975, -3.307835, -4.590141,
+  -5.756686, -6.657381, -7.339747, -7.786182, -7.902872, -7.582625, -6.786036, -5.772859, -4.564486, -3.215554,
+  -1.670716, -0.112969, 1.454111, 2.828780, 3.943712, 4.856651, 5.410473, 5.458368, 5.265626, 4.899098,
+  4.585973, 4.260111, 3.960601
+];
+
+// TA-Lib's regression suite (ta_regtest) checks its functions against 252
+// daily bars at a few output indices, to 0.01. Indices here are bar numbers.
+const TALIB_ATR = { 14: 3.578, 15: 3.4876, 16: 3.55, 26: 3.245, 27: 3.394, 28: 3.413, 251: 3.26 };
+
+// ============ LONGHAND ============
+function emaLonghand(values, period) {
+  const k = 2 / (period + 1);
+  const out = values.map(() => null);
+  const start = values.findIndex(v => v !== null);
+  let prev = null;
+  for (let i = start; i < values.length; i++) {
+    if (i < start + period - 1) continue;
+    if (prev === null) {
+      prev = values.slice(start, start + period).reduce((a, b) => a + b, 0) / period;
+    } else {
+      prev = values[i] * k + prev * (1 - k);
+    }
+    out[i] = prev;
+  }
+  return out;
+}
+
+function trueRanges({ highs, lows, closes }) {
+  return highs.map((high, i) => i === 0 ? high - lows[0] : Math.max(high - lows[i], Math.abs(high - closes[i - 1]), Math.abs(lows[i] - closes[i - 1])));
+}
+
+// Wilder: average of the first `period` true ranges after bar 0, then
+// ATR = (previous ATR * 13 + TR) / 14
+function atrLonghand(data, period) {
+  const tr = trueRanges(data);
+  const out = tr.map(() => null);
+  out[period] = tr.slice(1, period + 1).reduce((a, b) => a + b, 0) / period;
+  for (let i = period + 1; i < tr.length; i++) out[i] = (out[i - 1] * (period - 1) + tr[i]) / period;
+  return out;
+}
+
+// Wilder's ADX with averaged (not summed) TR and directional movement
+function adxLonghand({ highs, lows, closes }, period) {
+  const len = closes.length;
+  const tr = trueRanges({ highs, lows, closes });
+  const plusDM = [0], minusDM = [0];
+  for (let i = 1; i < len; i++) {
+    const up = highs[i] - highs[i - 1];
+    const down = lows[i - 1] - lows[i];
+    plusDM.push(up > down && up > 0 ? up : 0);
+    minusDM.push(down > up && down > 0 ? down : 0);
+  }
+  const smooth = series => {
+    const out = series.map(() => null);
+    out[period] = series.slice(1, period + 1).reduce((a, b) => a + b, 0) / period;
+    for (let i = period + 1; i < len; i++) out[i] = (out[i - 1] * (period - 1) + series[i]) / period;
+    return out;
+  };
+  const atr = smooth(tr), plus = smooth(plusDM), minus = smooth(minusDM);
+  const plusDI = [], minusDI = [], dx = [];
+  for (let i = period; i < len; i++) {
+    plusDI[i] = 100 * plus[i] / atr[i];
+    minusDI[i] = 100 * minus[i] / atr[i];
+    dx[i] = 100 * Math.abs(plusDI[i] - minusDI[i]) / (plusDI[i] + minusDI[i]);
+  }
+  const adx = [];
+  adx[2 * period - 1] = dx.slice(period, 2 * period).reduce((a, b) => a + b, 0) / period;
+  for (let i = 2 * period; i < len; i++) adx[i] = (adx[i - 1] * (period - 1) + dx[i]) / period;
+  return { adx, plusDI, minusDI };
+}
+
+// ============ TESTS ============
+test('RSI(14) matches the StockCharts worksheet', () => {
+  const out = I.rsi(RSI_CLOSES, 14);
+  assert.deepEqual(out.slice(0, 14), new Array(14).fill(null));
+  RSI_EXPECTED.forEach((expected, i) => near(out[14 + i], expected, 0.005, `RSI[${14 + i}]`));
+});
+
+test('RSI is 100 with no losses and 50 on a flat series', () => {
+  assert.equal(I.last(I.rsi(Array.from({ length: 20 }, (_, i) => 10 + i))), 100);
+  assert.equal(I.last(I.rsi(new Array(20).fill(10))), 50);
+});
+
+test('EMA(10) matches the StockCharts worksheet', () => {
+  const out = I.ema(EMA_CLOSES, 10);
+  assert.deepEqual(out.slice(0, 9), new Array(9).fill(null));
+  EMA_EXPECTED.forEach((expected, i) => near(out[9 + i], expected, 0.01, `EMA[${9 + i}]`));
+});
+
+test('EMA skips leading nulls and seeds with their first SMA', () => {
+  const out = I.ema([null, null, 1, 2, 3, 4], 3);
+  assert.deepEqual(out, [null, null, null, null, 2, 3]);
+});
+
+test('MACD(12, 26, 9) is EMA12 - EMA26 with an EMA9 signal', () => {
+  const { closes } = bars(120);
+  const { line, signal, histogram } = I.macd(closes);
+  const fast = emaLonghand(closes, 12);
+  const slow = emaLonghand(closes, 26);
+  const expectedLine = closes.map((_, i) => fast[i] !== null && slow[i] !== null ? fast[i] - slow[i] : null);
+  const expectedSignal = emaLonghand(expectedLine, 9);
+
+  assert.equal(line.findIndex(v => v !== null), 25);
+  assert.equal(signal.findIndex(v => v !== null), 33);
+  for (let i = 33; i < closes.length; i++) {
+    near(line[i], expectedLine[i], 1e-9, `line[${i}]`);
+    near(signal[i], expectedSignal[i], 1e-9, `signal[${i}]`);
+    near(histogram[i], line[i] - signal[i], 1e-12, `histogram[${i}]`);
+  }
+});
+
+test('MACD(12, 26, 9) matches the worksheet', () => {
+  const { line, signal, histogram } = I.macd(MACD_CLOSES);
+  assert.deepEqual(line.slice(0, 25), new Array(25).fill(null));
+  assert.deepEqual(signal.slice(0, 33), new Array(33).fill(null));
+  MACD_LINE.forEach((expected, i) => near(line[25 + i], expected, 1e-6, `line[${25 + i}]`));
+  MACD_SIGNAL.forEach((expected, i) => {
+    near(signal[33 + i], expected, 1e-6, `signal[${33 + i}]`);
+    near(histogram[33 + i], MACD_LINE[8 + i] - expected, 2e-6, `histogram[${33 + i}]`);
+  });
+});
+
+test('ATR(14) matches the TA-Lib regression values', () => {
+  const out = I.atr(TALIB.high, TALIB.low, TALIB.close, 14);
+  assert.equal(out.findIndex(v => v !== null), 14);
+  Object.entries(TALIB_ATR).forEach(([i, expected]) => near(out[i], expected, 0.01, `ATR[${i}]`));
+});
+
+test('ADX(14) and the DI lines match the TA-Lib regression values', () => {
+  const out = I.adx(TALIB.high, TALIB.low, TALIB.close, 14);
+  assert.equal(out.plusDI.findIndex(v => v !== null), 14);
+  assert.equal(out.adx.findIndex(v => v !== null), 27);
+  // TA-Lib seeds its smoothing with a 13-bar sum where Wilder averages 14, so
+  // only the converged end of the series is comparable
+  near(out.plusDI[251], 21.0, 0.01, '+DI[251]');
+  near(out.minusDI[251], 21.1988, 0.01, '-DI[251]');
+  near(out.adx[250], 16.6840, 0.01, 'ADX[250]');
+  near(out.adx[251], 15.5260, 0.01, 'ADX[251]');
+});
+
+test('slow stochastic (5, 3, 3) matches the TA-Lib regression values', () => {
+  const { k, d } = I.stochastic(TALIB.high, TALIB.low, TALIB.close, 5, 3, 3);
+  assert.equal(d.findIndex(v => v !== null), 8);
+  near(k[8], 24.0128, 0.01, '%K[8]');
+  near(d[8], 36.254, 0.01, '%D[8]');
+  near(k[251], 30.194, 0.01, '%K[251]');
+  near(d[251], 43.69, 0.01, '%D[251]');
+});
+
+test('Bollinger Bands (20, 2) match the TA-Lib regression values', () => {
+  const out = I.bollinger(TALIB.close, 20, 2);
+  assert.equal(out.upper.findIndex(v => v !== null), 19);
+  const [upper, middle, lower] = [98.0734, 92.8910, 87.7086];
+  near(out.upper[19], upper, 0.0001, 'upper[19]');
+  near(out.middle[19], middle, 0.0001, 'middle[19]');
+  near(out.lower[19], lower, 0.0001, 'lower[19]');
+  // StockCharts' BandWidth and %B, from the published bands
+  near(out.bandwidth[19], (upper - lower) / middle * 100, 0.001, 'bandwidth[19]');
+  near(out.percentB[19], (TALIB.close[19] - lower) / (upper - lower), 0.0001, '%B[19]');
+});
+
+test('ATR(14) follows Wilder and ignores bar 0', () => {
+  const data = bars(80);
+  const out = I.atr(data.highs, data.lows, data.closes, 14);
+  const expected = atrLonghand(data, 14);
+  assert.deepEqual(out.slice(0, 14), new Array(14).fill(null));
+  for (let i = 14; i < out.length; i++) near(out[i], expected[i], 1e-9, `ATR[${i}]`);
+
+  // A constant 2-point range is an ATR of 2, whatever the first bar did
+  const flat = { highs: [200, ...new Array(20).fill(11)], lows: [0, ...new Array(20).fill(9)], closes: new Array(21).fill(10) };
+  near(I.last(I.atr(flat.highs, flat.lows, flat.closes, 14)), 2, 1e-12, 'flat ATR');
+});
+
+test('ADX(14) and the DI lines follow Wilder', () => {
+  const data = bars(120, 11);
+  const out = I.adx(data.highs, data.lows, data.closes, 14);
+  const expected = adxLonghand(data, 14);
+  assert.equal(out.adx.findIndex(v => v !== null), 27);
+  for (let i = 14; i < 120; i++) {
+    near(out.plusDI[i], expected.plusDI[i], 1e-9, `+DI[${i}]`);
+    near(out.minusDI[i], expected.minusDI[i], 1e-9, `-DI[${i}]`);
+  }
+  for (let i = 27; i < 120; i++) near(out.adx[i], expected.adx[i], 1e-9, `ADX[${i}]`);
+});
+
+test('ADX is 100 on a steady one-way trend', () => {
+  const closes = Array.from({ length: 40 }, (_, i) => 100 + i);
+  const out = I.adx(closes.map(c => c + 0.5), closes.map(c => c - 0.5), closes, 14);
+  near(I.last(out.adx), 100, 1e-9, 'ADX');
+  assert.equal(I.last(out.minusDI), 0);
+});
@@ -0,0 +1,25 @@
+// test/journal.test.js
+// Signal journal statistics: confidence buckets and the per-group summaries.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Journal = require('../js/journal');
+
+const signal = (confidence, status = 'open') => ({
+  symbol: 'BTCUSD', timeframe: '1H', direction: 'BUY', engine: 'rules', confidence,
+  outcome: { status, r: status === 'tp' ? 2 : status === 'sl' ? -1 : null, mfe: 0, mae: 0 }
+});
+
+test('confidence falls into its bucket, or n/a when none holds it', () => {
+  assert.equal(Journal.confidenceBucket(0), '< 50');
+  assert.equal(Journal.confidenceBucket(59.9), '50-59');
+  assert.equal(Journal.confidenceBucket(80), '80+');
+  [null, undefined, -5, NaN, 'high'].forEach(c => assert.equal(Journal.confidenceBucket(c), 'n/a', String(c)));
+});
+
+test('stats survive confidences outside every bucket and list n/a last', () => {
+  const stats = Journal.stats([signal(72, 'tp'), signal(-1, 'sl'), signal(NaN), signal(45, 'sl')]);
+  assert.equal(stats.overall.signals, 4);
+  assert.deepEqual(stats.byConfidence.map(g => [g.key, g.signals]), [['< 50', 1], ['70-79', 1], ['n/a', 2]]);
+  assert.equal(stats.byConfidence[1].hitRate, 1);
+});
@@ -0,0 +1,44 @@
+// test/paper-trading.test.js
+// Margin, fees and P&L of non-USD quotes are booked in the account currency.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PaperTrading = require('../js/paper-trading');
+const Risk = require('../js/risk');
+
+const near = (actual, expected, label) => assert.ok(Math.abs(actual - expected) < 1e-6, `${label}: expected ${expected}, got ${actual}`);
+
+test('USDJPY margin is in dollars, not yen', () => {
+  const account = PaperTrading.createAccount({ initialBalance: 10000 });
+  const { account: next } = PaperTrading.placeOrder(account,
+    { symbol: 'USDJPY', side: 'buy', qty: 100000, leverage: 30, instrument: { base: 'USD', quote: 'JPY' } },
+    { price: 150, time: 1 });
+  near(PaperTrading.usedMargin(next, { USDJPY: 150 }), 100000 / 30, 'margin');
+
+  // 1.5 yen on 100,000 dollars is 150,000 yen, 1,000 dollars at 150
+  const closed = PaperTrading.closePosition(next, next.positions[0].id, 151.5, 2);
+  near(closed.events[0].trade.pnl, 150000 / 151.5, 'pnl');
+  near(closed.account.balance, 10000 + 150000 / 151.5, 'balance');
+});
+
+test('EURGBP P&L converts at the order quoteRate', () => {
+  const account = PaperTrading.createAccount({ initialBalance: 10000, fee: 0.0001 });
+  const order = { symbol: 'EURGBP', side: 'sell', qty: 10000, leverage: 30, instrument: { base: 'EUR', quote: 'GBP' } };
+  assert.throws(() => PaperTrading.placeOrder(account, order, { price: 0.85, time: 1 }), /No GBP to USD rate/);
+
+  const { account: next } = PaperTrading.placeOrder(account, { ...order, quoteRate: 1.25 }, { price: 0.85, time: 1 });
+  const position = next.positions[0];
+  near(position.entryFee, 10000 * 0.85 * 1.25 * 0.0001, 'entry fee');
+  near(PaperTrading.unrealizedPnl(position, 0.84), 100 * 1.25, 'unrealized');
+  near(PaperTrading.equity(next, { EURGBP: 0.84 }), next.balance + 125, 'equity');
+
+  const trade = PaperTrading.closePosition(next, position.id, 0.84, 2).events[0].trade;
+  near(trade.pnl, 125 - position.entryFee - 10000 * 0.84 * 1.25 * 0.0001, 'pnl');
+});
+
+test('USD-quoted positions without an instrument keep their old figures', () => {
+  const account = PaperTrading.createAccount({ initialBalance: 100000 });
+  const { account: next } = PaperTrading.placeOrder(account, { symbol: 'BTCUSD', side: 'buy', qty: 1 }, { price: 60000, time: 1 });
+  near(PaperTrading.freeMargin(next, { BTCUSD: 61000 }), 100000 + 1000 - 61000, 'free margin');
+  near(Risk.openExposure(next), 60000, 'exposure');
+});
@@ -0,0 +1,124 @@
+// test/providers.test.js
+// The provider registry against a local stub server standing in for Binance,
+// Twelve Data and Yahoo: symbol mapping, fallback order and candle order.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { resolveSymbol } = require('../netlify/lib/symbols');
+const { providerOrder, fetchSeries } = require('../netlify/lib/providers');
+const cache = require('../netlify/lib/cache');
+
+const HOUR = 3600000;
+const T0 = Date.UTC(2026, 0, 5);
+
+// Path and query of every request, and the upstreams that should fail
+const requests = [];
+const failing = new Set();
+
+const json = (res, status, body) => {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+function route(url, res) {
+  const symbol = url.searchParams.get('symbol');
+  if (url.pathname.startsWith('/binance/')) {
+    if (failing.has('binance')) return json(res, 503, { msg: 'Service unavailable' });
+    if (url.pathname.endsWith('/klines')) {
+      return json(res, 200, ['1.1', '1.2', '1.3'].map((close, i) => [T0 + i * HOUR, '1.0', '1.4', '0.9', close, '500']));
+    }
+    return json(res, 200, { lastPrice: '1.3', priceChange: '0.1', priceChangePercent: '8.33', volume: '1500', highPrice: '1.4', lowPrice: '0.9', bidPrice: '1.29', askPrice: '1.31' });
+  }
+  if (url.pathname.startsWith('/twelvedata/')) {
+    // Newest first, as older responses arrive whatever `order` says
+    return json(res, 200, {
+      meta: { symbol },
+      values: ['2026-01-07', '2026-01-06', '2026-01-05'].map((datetime, i) => ({
+        datetime, open: '2600', high: '2620', low: '2590', close: String(2610 - i * 5), volume: '0'
+      })),
+      status: 'ok'
+    });
+  }
+  if (url.pathname.startsWith('/yahoo/')) {
+    return json(res, 200, {
+      chart: {
+        result: [{
+          meta: { regularMarketPrice: 151, previousClose: 149 },
+          timestamp: [0, 1, 2].map(i => (T0 + i * HOUR) / 1000),
+          indicators: { quote: [{ open: [148, 149, 150], high: [150, 151, 152], low: [147, 148, 149], close: [149, 150, 151], volume: [10, 20, 30] }] }
+        }]
+      }
+    });
+  }
+  json(res, 404, { message: 'Not found' });
+}
+
+let server;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://stub');
+    requests.push(url.pathname + url.search);
+    route(url, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  process.env.BINANCE_BASE_URL = `${base}/binance`;
+  process.env.TWELVEDATA_BASE_URL = `${base}/twelvedata`;
+  process.env.YAHOO_BASE_URL = `${base}/yahoo`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+  requests.length = 0;
+  failing.clear();
+  cache.clear();
+});
+
+// ============ SYMBOLS ============
+test('dollar crypto pairs and gold map onto each provider\'s symbol', () => {
+  const sol = resolveSymbol('SOLUSD');
+  assert.equal(sol.assetClass, 'crypto');
+  assert.deepEqual(sol.providers, { binance: 'SOLUSDT', twelvedata: 'SOL/USD', yahoo: 'SOL-USD' });
+  assert.deepEqual(providerOrder(sol), ['binance', 'yahoo', 'twelvedata']);
+
+  assert.deepEqual(resolveSymbol('xrp/usd').providers, { binance: 'XRPUSDT', twelvedata: 'XRP/USD', yahoo: 'XRP-USD' });
+
+  const gold = resolveSymbol('XAUUSD');
+  assert.equal(gold.assetClass, 'commodity');
+  assert.deepEqual(gold.providers, { twelvedata: 'XAU/USD', yahoo: 'GC=F', metals: 'XAU' });
+  assert.deepEqual(providerOrder(gold), ['twelvedata', 'yahoo', 'metals']);
+  // Providers that cannot map the symbol drop out of an explicit order
+  assert.deepEqual(providerOrder(gold, ['binance', 'yahoo']), ['yahoo']);
+});
+
+// ============ FETCHING ============
+test('Binance serves crypto when it is up', async () => {
+  const series = await fetchSeries(resolveSymbol('XRPUSD'), '1H');
+  assert.equal(series.provider, 'binance');
+  assert.deepEqual(series.errors, []);
+  assert.deepEqual(series.candles.map(c => c.close), [1.1, 1.2, 1.3]);
+  assert.equal(series.quote.price, 1.3);
+  assert.match(requests[0], /^\/binance\/api\/v3\/klines\?symbol=XRPUSDT&interval=1h/);
+});
+
+test('a failing provider falls through to the next in order', async () => {
+  failing.add('binance');
+  const series = await fetchSeries(resolveSymbol('SOLUSD'), '1H');
+  assert.equal(series.provider, 'yahoo');
+  assert.deepEqual(series.errors.map(e => [e.provider, e.code]), [['binance', 'HTTP_ERROR']]);
+  assert.deepEqual(series.candles.map(c => c.close), [149, 150, 151]);
+  assert.equal(series.quote.price, 151);
+  assert.deepEqual(requests.map(r => r.split('?')[0]), ['/binance/api/v3/klines', '/yahoo/v8/finance/chart/SOL-USD']);
+});
+
+test('Twelve Data\'s newest-first values come out ascending', async () => {
+  const series = await fetchSeries(resolveSymbol('XAUUSD'), '1D');
+  assert.equal(series.provider, 'twelvedata');
+  assert.match(requests[0], /^\/twelvedata\/time_series\?symbol=XAU%2FUSD&interval=1day/);
+  assert.deepEqual(series.candles.map(c => new Date(c.time).toISOString().slice(0, 10)), ['2026-01-05', '2026-01-06', '2026-01-07']);
+  assert.deepEqual(series.candles.map(c => c.close), [2600, 2605, 2610]);
+  assert.equal(series.quote.price, 2610);
+});
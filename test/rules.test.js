@@ -0,0 +1,105 @@
+// test/rules.test.js
+// The signal rules language: parsing, weighted votes and confidence.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Rules = require('../js/rules');
+
+const market = (rsi, extra = {}) => ({ price: 100, changePercent: -2, indicators: { rsi, ema200: 90, adx: 25, ...extra } });
+
+// ============ PARSING ============
+test('lines parse into label, condition, action and weight', () => {
+  const rule = Rules.parseLine('  Trend pullback: rsi < 40 and price > ema200 -> buy weight 2.5', 3);
+  assert.equal(rule.line, 3);
+  assert.equal(rule.label, 'Trend pullback');
+  assert.equal(rule.action, 'BUY');
+  assert.equal(rule.weight, 2.5);
+  assert.equal(rule.condition.test(market(35)), true);
+
+  assert.equal(Rules.parseLine('change < -1.5 → SELL', 1).action, 'SELL');
+  assert.equal(Rules.parseLine('change < -1.5 → SELL', 1).label, 'change < -1.5');
+  assert.equal(Rules.parseLine('adx < 15 => HOLD', 1).weight, 1);
+  assert.equal(Rules.parseLine('   # a comment', 1), null);
+  assert.equal(Rules.parseLine('', 1), null);
+});
+
+test('errors carry the line and column', () => {
+  const error = (text, line = 4) => {
+    try {
+      Rules.parseLine(text, line);
+    } catch (err) {
+      assert.equal(err.name, 'RuleError');
+      return err;
+    }
+    assert.fail(`"${text}" parsed`);
+  };
+  assert.match(error('rsi < 30').message, /^Line 4: Expected "-> BUY"/);
+  assert.equal(error('Label: -> BUY').column, 7);
+  assert.equal(error('rsi < 30 -> JUMP').column, 13);
+  assert.match(error('rsi < 30 -> BUY weight 0').message, /Weight must be a number above 0/);
+  assert.match(error('rsi < 30 -> BUY weight 101').message, /up to 100/);
+  // Condition errors point into the line, past the label
+  const bad = error('Dip: rsi < < 30 -> BUY', 2);
+  assert.equal(bad.line, 2);
+  assert.equal(bad.column, 12);
+
+  assert.deepEqual(Rules.check('rsi < 30 -> BUY\nrsi >\n# fine').map(e => e.line), [2]);
+  assert.equal(Rules.check('# only comments')[0].line, null);
+  assert.throws(() => Rules.compile(''), /No rules/);
+});
+
+// ============ EVALUATION ============
+test('the default rules reproduce the old RSI thresholds', () => {
+  const set = Rules.compile(Rules.DEFAULT_TEXT);
+  const signal = rsi => {
+    const { recommendation, direction, confidence } = Rules.evaluate(set, market(rsi));
+    return [recommendation, direction, confidence];
+  };
+  assert.deepEqual(signal(25), ['BUY', 'BULLISH', 75]);
+  assert.deepEqual(signal(80), ['SELL', 'BEARISH', 75]);
+  assert.deepEqual(signal(50), ['HOLD', 'NEUTRAL', 50]);
+  assert.deepEqual(signal(30), ['HOLD', 'NEUTRAL', 50]);
+  assert.deepEqual(signal(70), ['HOLD', 'NEUTRAL', 50]);
+});
+
+test('confidence weighs agreement among matches and across the set', () => {
+  const set = Rules.compile([
+    'Oversold: rsi < 30 -> BUY weight 2',
+    'Above trend: price > ema200 -> BUY',
+    'Falling: change < -1 -> SELL',
+    'Quiet: adx < 15 -> HOLD'
+  ].join('\n'));
+
+  // BUY 3 vs SELL 1 of 4 matched, out of 5: 50 + 50 * (2 / 4) * (3 / 5) = 65
+  const result = Rules.evaluate(set, market(25));
+  assert.equal(result.recommendation, 'BUY');
+  assert.equal(result.confidence, 65);
+  assert.deepEqual(result.votes, { BUY: 3, SELL: 1, HOLD: 0 });
+  assert.deepEqual(result.matched.map(m => m.label), ['Oversold', 'Above trend', 'Falling']);
+
+  // BUY 1 vs SELL 1 is a tie
+  const tie = Rules.evaluate(set, market(45));
+  assert.equal(tie.recommendation, 'HOLD');
+  assert.equal(tie.confidence, 50);
+
+  // Only HOLD matched
+  const quiet = Rules.evaluate(set, { price: 80, changePercent: 1, indicators: { rsi: 50, ema200: 90, adx: 10 } });
+  assert.deepEqual([quiet.recommendation, quiet.confidence], ['HOLD', 50]);
+});
+
+test('rules reading missing values are skipped, not counted as false', () => {
+  const set = Rules.compile('rsi < 30 -> BUY\nstochastic.k < 20 -> BUY');
+  const result = Rules.evaluate(set, market(20));
+  assert.deepEqual(result.skipped, [{ label: 'stochastic.k < 20', line: 2, missing: ['indicators.stochastic.k'] }]);
+  // The skipped rule still counts towards the whole set: 50 + 50 * 1 * 1/2
+  assert.equal(result.confidence, 75);
+  assert.equal(result.evaluable, true);
+  assert.equal(Rules.evaluate(Rules.compile('stochastic.k < 20 -> BUY'), market(20)).evaluable, false);
+});
+
+test('share codes round-trip and reject anything else', () => {
+  const set = { name: 'Dips ✓', text: 'change < -3 -> BUY weight 2' };
+  assert.deepEqual(Rules.decodeShare(Rules.encodeShare(set)), set);
+  assert.throws(() => Rules.decodeShare('not base64!'), /Not a rule set share code/);
+  assert.throws(() => Rules.decodeShare(btoa(JSON.stringify({ text: 'rsi <' }))), /Line 1/);
+});
@@ -0,0 +1,204 @@
+// test/stream.test.js
+// Incremental indicators against the batch ones in netlify/lib/indicators.js,
+// and the local order book's snapshot + diff sync and gap recovery.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Stream = require('../js/stream');
+const I = require('../netlify/lib/indicators');
+
+const near = (actual, expected, label) => {
+  if (expected === null) return assert.equal(actual, null, label);
+  assert.ok(actual !== null && Math.abs(actual - expected) < 1e-9, `${label}: expected ${expected}, got ${actual}`);
+};
+
+// Deterministic random walk of candles, one hour apart
+function candles(count, seed = 5) {
+  let s = seed;
+  const rnd = () => (s = (s * 16807) % 2147483647) / 2147483647;
+  const out = [];
+  let price = 100;
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    price *= 1 + (rnd() - 0.5) * 0.04;
+    out.push({
+      time: i * 3600000,
+      open,
+      high: Math.max(open, price) * (1 + rnd() * 0.01),
+      low: Math.min(open, price) * (1 - rnd() * 0.01),
+      close: price,
+      volume: 1000 + rnd() * 500
+    });
+  }
+  return out;
+}
+
+// Batch values for the same candles, keyed like the incremental series
+function batch(list) {
+  const closes = list.map(c => c.close), highs = list.map(c => c.high), lows = list.map(c => c.low);
+  const adx = I.adx(highs, lows, closes);
+  const stoch = I.stochastic(highs, lows, closes);
+  return {
+    rsi: I.rsi(closes),
+    ema20: I.ema(closes, 20),
+    ema50: I.ema(closes, 50),
+    ema200: I.ema(closes, 200),
+    sma20: I.sma(closes, 20),
+    sma50: I.sma(closes, 50),
+    atr: I.atr(highs, lows, closes),
+    adx: adx.adx,
+    plusDI: adx.plusDI,
+    minusDI: adx.minusDI,
+    macd: I.macd(closes),
+    bollinger: I.bollinger(closes),
+    stochastic: stoch
+  };
+}
+
+function assertMatches(series, expected, from = 0) {
+  ['rsi', 'ema20', 'ema50', 'ema200', 'sma20', 'sma50', 'atr', 'adx', 'plusDI', 'minusDI'].forEach(key => {
+    assert.equal(series[key].length, expected[key].length - from, `${key} length`);
+    series[key].forEach((v, i) => near(v, expected[key][from + i], `${key}[${from + i}]`));
+  });
+  ['line', 'signal', 'histogram'].forEach(key => {
+    series.macd[key].forEach((v, i) => near(v, expected.macd[key][from + i], `macd.${key}[${from + i}]`));
+  });
+  ['upper', 'middle', 'lower'].forEach(key => {
+    series.bollinger[key].forEach((v, i) => near(v, expected.bollinger[key][from + i], `bollinger.${key}[${from + i}]`));
+  });
+  ['k', 'd'].forEach(key => {
+    series.stochastic[key].forEach((v, i) => near(v, expected.stochastic[key][from + i], `stochastic.${key}[${from + i}]`));
+  });
+}
+
+// ============ INDICATORS ============
+test('seeded indicators match the batch series bar for bar', () => {
+  const list = candles(300);
+  const state = Stream.createIndicators(list);
+  assertMatches(state.series, batch(list));
+
+  const latest = Stream.snapshot(state);
+  near(latest.rsi, I.last(I.rsi(list.map(c => c.close))), 'snapshot rsi');
+  near(latest.macd.histogram, I.last(I.macd(list.map(c => c.close)).histogram), 'snapshot histogram');
+});
+
+test('streamed klines step the indicators as bars close', () => {
+  const list = candles(280);
+  // The history's last bar is still forming
+  const live = Stream.createLiveSeries(list.slice(0, 241));
+
+  for (let i = 240; i < 280; i++) {
+    const bar = list[i];
+    // A bar's first tick closes the previous one only if its final kline was missed
+    const missed = i > 240 && (i - 1) % 5 === 0;
+    assert.equal(Stream.applyKline(live, { ...bar, close: bar.open, closed: false }), missed);
+    assert.equal(Stream.applyKline(live, { ...bar, close: bar.high, closed: false }), false);
+    if (i % 5 === 0) {
+      // Final kline missed, only its last tick got through
+      Stream.applyKline(live, { ...bar, closed: false });
+      continue;
+    }
+    assert.equal(Stream.applyKline(live, { ...bar, closed: true }), true);
+    // A repeat of the closing kline is not a second close
+    assert.equal(Stream.applyKline(live, { ...bar, closed: true }), false);
+  }
+  assertMatches(live.indicators.series, batch(list));
+  near(Stream.snapshot(live.indicators).ema200, I.last(I.ema(list.map(c => c.close), 200)), 'snapshot ema200');
+
+  // Klines older than the last bar are ignored
+  assert.equal(Stream.applyKline(live, { ...list[100], closed: true }), false);
+});
+
+test('trimming to maxCandles keeps the series aligned', () => {
+  const list = candles(260);
+  const live = Stream.createLiveSeries(list.slice(0, 230), 200);
+  list.slice(230).forEach(bar => Stream.applyKline(live, { ...bar, closed: true }));
+
+  assert.equal(live.candles.length, 200);
+  assert.equal(live.indicators.series.rsi.length, 200);
+  // The calculators were seeded from index 30, the oldest of the first 200
+  assertMatches(live.indicators.series, batch(list.slice(30)), 30);
+});
+
+// ============ ORDER BOOK ============
+const SNAPSHOT = { lastUpdateId: 100, bids: [['99.0', '1'], ['98.0', '2']], asks: [['101.0', '1'], ['102.0', '3']] };
+const diff = (U, u, b = [], a = []) => ({ U, u, b, a });
+
+test('diffs sync onto the snapshot in update-id order', () => {
+  const book = Stream.createBook(SNAPSHOT);
+  assert.equal(Stream.applyDiff(book, diff(95, 100, [['99.0', '9']])), 'stale');
+  assert.equal(Stream.topLevels(book).bids[0].qty, 1);
+
+  // The first diff only has to straddle lastUpdateId + 1
+  assert.equal(Stream.applyDiff(book, diff(98, 103, [['99.5', '4']], [['101.0', '0']])), 'applied');
+  assert.equal(Stream.applyDiff(book, diff(104, 104, [], [['100.5', '2']])), 'applied');
+  assert.equal(book.lastUpdateId, 104);
+
+  const top = Stream.topLevels(book, 2);
+  assert.deepEqual(top.bids, [{ price: 99.5, qty: 4 }, { price: 99, qty: 1 }]);
+  assert.deepEqual(top.asks, [{ price: 100.5, qty: 2 }, { price: 102, qty: 3 }]);
+
+  // Once synced every diff must start right after the last one
+  assert.equal(Stream.applyDiff(book, diff(106, 107)), 'gap');
+  assert.equal(Stream.applyDiff(Stream.createBook(SNAPSHOT), diff(102, 105)), 'gap');
+});
+
+// A socket the test drives by hand
+class FakeSocket {
+  constructor(url) {
+    this.url = url;
+    FakeSocket.last = this;
+    setImmediate(() => this.onopen && this.onopen());
+  }
+  send(data) {
+    this.onmessage({ data: JSON.stringify({ data: { e: 'depthUpdate', ...data } }) });
+  }
+  close() {
+    if (this.onclose) this.onclose();
+  }
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('a depth gap rebuilds the book from a fresh snapshot', async () => {
+  const snapshots = [
+    SNAPSHOT,
+    { lastUpdateId: 200, bids: [['97.0', '5']], asks: [['103.0', '5']] }
+  ];
+  let fetches = 0;
+  const fetch = async () => ({ json: async () => snapshots[fetches++] });
+  const states = [], books = [];
+  const stream = Stream.connect({
+    symbol: 'BTCUSDT',
+    timeframe: '1H',
+    WebSocket: FakeSocket,
+    fetch,
+    onStatus: s => states.push(s.state),
+    onBook: book => books.push(Stream.topLevels(book, 1))
+  });
+
+  try {
+    const socket = FakeSocket.last;
+    assert.match(socket.url, /btcusdt@depth@100ms/);
+    // Diffs that arrive before the snapshot are buffered and replayed
+    socket.send(diff(99, 101, [['99.0', '3']]));
+    await tick();
+    await tick();
+    assert.deepEqual(states, ['connecting', 'syncing', 'live']);
+    assert.equal(books[books.length - 1].bids[0].qty, 3);
+
+    socket.send(diff(110, 111));
+    await tick();
+    await tick();
+    assert.deepEqual(states.slice(3), ['resyncing', 'live']);
+    assert.equal(fetches, 2);
+
+    socket.send(diff(195, 201, [], [['103.0', '1']]));
+    const last = books[books.length - 1];
+    assert.equal(last.lastUpdateId, 201);
+    assert.deepEqual(last.bids, [{ price: 97, qty: 5 }]);
+    assert.deepEqual(last.asks, [{ price: 103, qty: 1 }]);
+  } finally {
+    stream.close();
+  }
+});
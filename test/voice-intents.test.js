@@ -0,0 +1,77 @@
+// test/voice-intents.test.js
+// Spoken phrases to intents: actions, symbol, timeframe and trade slots,
+// confirmation and the feedback for commands that cannot run as heard.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const VoiceIntents = require('../js/voice-intents');
+
+// The slots a phrase filled, leaving out the empty ones
+function slots(phrase) {
+  const intent = VoiceIntents.parse(phrase);
+  const keep = ['action', 'symbol', 'timeframe', 'quantity', 'notional', 'orderType', 'price', 'stopLoss', 'takeProfit', 'all', 'alert', 'missing', 'needsConfirmation'];
+  return Object.fromEntries(keep
+    .filter(k => intent[k] !== null && intent[k] !== false && !(Array.isArray(intent[k]) && intent[k].length === 0))
+    .map(k => [k, intent[k]]));
+}
+
+test('analyze phrases pick the symbol from the catalog and the timeframe', () => {
+  assert.deepEqual(slots('Analyze Microsoft on the daily'), { action: 'analyze', symbol: 'MSFT', timeframe: '1D' });
+  assert.deepEqual(slots('Show Ethereum on the four hour'), { action: 'analyze', symbol: 'ETHUSD', timeframe: '4H' });
+  assert.deepEqual(slots('analyze BTC on the weekly'), { action: 'analyze', symbol: 'BTCUSD', timeframe: '1W' });
+  assert.deepEqual(slots('eur usd on the 15 minute'), { action: 'analyze', symbol: 'EURUSD', timeframe: '15M' });
+  assert.deepEqual(slots('pull up gold hourly'), { action: 'analyze', symbol: 'XAUUSD', timeframe: '1H' });
+  // Tickers outside the catalog, named or in capitals
+  assert.deepEqual(slots('ticker PLTR'), { action: 'analyze', symbol: 'PLTR' });
+});
+
+test('trades carry quantity, order type and stops, and wait for a yes', () => {
+  assert.deepEqual(slots('Buy 0.1 Bitcoin'), { action: 'buy', symbol: 'BTCUSD', quantity: 0.1, orderType: 'market', needsConfirmation: true });
+  assert.deepEqual(slots('buy zero point five bitcoin at 60k'), {
+    action: 'buy', symbol: 'BTCUSD', quantity: 0.5, orderType: 'limit', price: 60000, needsConfirmation: true
+  });
+  assert.deepEqual(slots('Sell 500 dollars of Solana at 160'), {
+    action: 'sell', symbol: 'SOLUSD', notional: 500, orderType: 'limit', price: 160, needsConfirmation: true
+  });
+  assert.deepEqual(slots('sell two hundred Apple stop loss 180 take profit 150'), {
+    action: 'sell', symbol: 'AAPL', quantity: 200, orderType: 'market', stopLoss: 180, takeProfit: 150, needsConfirmation: true
+  });
+  assert.equal(slots('buy seventy two thousand dollars of bitcoin').notional, 72000);
+  assert.equal(VoiceIntents.describe(VoiceIntents.parse('buy zero point five bitcoin at 60k')), 'Buy 0.5 Bitcoin with a limit at 60000');
+});
+
+test('close and portfolio commands', () => {
+  assert.deepEqual(slots('Close my Bitcoin position'), { action: 'close', symbol: 'BTCUSD', needsConfirmation: true });
+  assert.deepEqual(slots('close all positions'), { action: 'close', all: true, needsConfirmation: true });
+  assert.deepEqual(slots('Show portfolio'), { action: 'portfolio' });
+  assert.deepEqual(slots('what is my p&l'), { action: 'portfolio' });
+  assert.deepEqual(slots('Order book for Ethereum'), { action: 'depth', symbol: 'ETHUSD' });
+});
+
+test('alerts map onto the alert engine conditions', () => {
+  assert.deepEqual(slots('Alert me when gold goes above 2500').alert, { type: 'price-cross', params: { level: 2500, direction: 'above' } });
+  assert.deepEqual(slots('Alert me when RSI on Tesla drops below 25'), {
+    action: 'alert', symbol: 'TSLA', alert: { type: 'rsi-zone', params: { lower: 25, upper: 70 } }
+  });
+  assert.deepEqual(slots('alert me when ethereum drops 5 percent').alert, { type: 'change-24h', params: { threshold: 5, direction: 'down' } });
+  assert.deepEqual(slots('tell me when MACD on bitcoin turns bullish').alert, { type: 'macd-sign', params: { direction: 'positive' } });
+});
+
+test('confirm and cancel are whole replies', () => {
+  ['yes', 'yeah please', 'confirm the order', 'go ahead'].forEach(p => assert.equal(slots(p).action, 'confirm', p));
+  ['no', 'cancel the order', 'never mind', 'forget it'].forEach(p => assert.equal(slots(p).action, 'cancel', p));
+  // Inside a longer command "cancel" is not a reply
+  assert.notEqual(slots('no wait buy 1 bitcoin').action, 'cancel');
+});
+
+test('commands that cannot run get spoken feedback', () => {
+  const feedback = phrase => VoiceIntents.feedback(VoiceIntents.parse(phrase));
+  assert.deepEqual(slots('buy bitcoin'), { action: 'buy', symbol: 'BTCUSD', orderType: 'market', missing: ['quantity'] });
+  assert.equal(feedback('buy bitcoin'), 'How much? For example: buy 0.1 Bitcoin');
+  assert.match(feedback('alert me on bitcoin'), /^Alert on what\?/);
+  assert.equal(feedback('make me a sandwich'), 'Sorry, I didn\'t understand "make me a sandwich". Try: Analyze Microsoft on the daily');
+  assert.equal(feedback(''), "I didn't hear anything");
+  assert.equal(feedback('Analyze Microsoft on the daily'), null);
+  // Never a silent fallback to Bitcoin
+  assert.equal(VoiceIntents.parse('make me a sandwich').symbol, null);
+});